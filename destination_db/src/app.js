@@ -4,9 +4,11 @@ const cors = require('cors');
 const helmet = require('helmet');
 const { connectDatabase } = require('./config/database');
 const setupAssociations = require('./models/associations');
+const { setupSearchIndex } = require('./config/searchIndex');
 const destinationRoutes = require('./routes/destinationRoutes');
 const categoryRoutes = require('./routes/categoryRoutes');
 const searchRoutes = require('./routes/searchRoutes');
+const reviewRoutes = require('./routes/reviewRoutes');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const logger = require('./utils/logger');
 const { v4: uuidv4 } = require('uuid');
@@ -29,6 +31,9 @@ async function initializeDatabase() {
       await require('./config/database').sync({ alter: true });
       logger.info('Database models synchronized');
     }
+    
+    // Keep the full-text search vectors maintained by the database
+    await setupSearchIndex();
   } catch (error) {
     logger.error('Failed to initialize database:', error);
     process.exit(1);
@@ -76,6 +81,7 @@ app.use(logger.requestLogger);
 app.use('/api/destinations', destinationRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/search', searchRoutes);
+app.use('/api/reviews', reviewRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
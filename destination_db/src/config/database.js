@@ -37,6 +37,18 @@ async function initializePostGIS() {
   }
 }
 
+// Initialize the extensions full-text search relies on (fuzzy matching, accent folding)
+async function initializeSearchExtensions() {
+  try {
+    await sequelize.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+    await sequelize.query('CREATE EXTENSION IF NOT EXISTS unaccent');
+    logger.info('Search extensions initialized or already exist');
+  } catch (error) {
+    logger.error('Error initializing search extensions:', error);
+    throw error;
+  }
+}
+
 // Connect to database
 async function connectDatabase() {
   try {
@@ -46,6 +58,9 @@ async function connectDatabase() {
     // Initialize PostGIS
     await initializePostGIS();
     
+    // Initialize full-text search extensions
+    await initializeSearchExtensions();
+    
     return sequelize;
   } catch (error) {
     logger.error('Unable to connect to the database:', error);
@@ -0,0 +1,146 @@
+const { QueryTypes } = require('sequelize');
+const sequelize = require('./database');
+const logger = require('../utils/logger');
+
+// Text search configurations Postgres ships with; each indexed language adds its stemming
+const TEXT_SEARCH_CONFIGS = [
+  'simple', 'arabic', 'danish', 'dutch', 'english', 'finnish', 'french', 'german', 'greek',
+  'hungarian', 'indonesian', 'irish', 'italian', 'lithuanian', 'nepali', 'norwegian',
+  'portuguese', 'romanian', 'russian', 'spanish', 'swedish', 'tamil', 'turkish'
+];
+
+// Languages destinations are indexed in, on top of the language-neutral 'simple' configuration
+const SEARCH_LANGUAGES = (process.env.SEARCH_LANGUAGES || 'english')
+  .split(',')
+  .map(language => language.trim().toLowerCase())
+  .filter(language => TEXT_SEARCH_CONFIGS.includes(language) && language !== 'simple');
+
+/**
+ * Create the search vector function and the triggers that keep destinations."searchVector"
+ * current
+ *
+ * The vector holds the name (weight A), category names (B), address (C) and description (D),
+ * unaccented, once per search language and once unstemmed. It is rebuilt when a destination's
+ * own text changes, when its categories change and when a category is renamed. Destinations
+ * without a vector, or indexed with different languages, are (re)indexed here.
+ * Needs the pg_trgm and unaccent extensions and the tables to exist.
+ */
+async function setupSearchIndex() {
+  try {
+    const configs = [...SEARCH_LANGUAGES, 'simple'];
+    const vectors = configs.map(config => `
+      setweight(to_tsvector('${config}', immutable_unaccent(coalesce(p_name, ''))), 'A') ||
+      setweight(to_tsvector('${config}', immutable_unaccent(coalesce(categories.names, ''))), 'B') ||
+      setweight(to_tsvector('${config}', immutable_unaccent(concat_ws(' ',
+        p_address->>'street', p_address->>'city', p_address->>'state', p_address->>'country'
+      ))), 'C') ||
+      setweight(to_tsvector('${config}', immutable_unaccent(coalesce(p_description, ''))), 'D')`
+    ).join(' ||');
+
+    const [existing] = await sequelize.query(`
+      SELECT obj_description(
+        to_regprocedure('destination_search_vector(uuid, text, text, jsonb)'), 'pg_proc'
+      ) AS languages
+    `, { type: QueryTypes.SELECT });
+
+    // unaccent() isn't immutable, so indexes and generated values go through this wrapper
+    await sequelize.query(`
+      CREATE OR REPLACE FUNCTION immutable_unaccent(text) RETURNS text AS $$
+        SELECT public.unaccent('public.unaccent'::regdictionary, $1)
+      $$ LANGUAGE sql IMMUTABLE PARALLEL SAFE STRICT
+    `);
+
+    await sequelize.query(`
+      CREATE OR REPLACE FUNCTION destination_search_vector(
+        p_destination_id uuid, p_name text, p_description text, p_address jsonb
+      ) RETURNS tsvector AS $$
+        SELECT ${vectors}
+        FROM (
+          SELECT string_agg(c.name, ' ') AS names
+          FROM destination_categories dc
+          JOIN categories c ON c.id = dc."categoryId"
+          WHERE dc."destinationId" = p_destination_id
+        ) categories
+      $$ LANGUAGE sql STABLE
+    `);
+    await sequelize.query(
+      `COMMENT ON FUNCTION destination_search_vector(uuid, text, text, jsonb) IS '${configs.join(',')}'`
+    );
+
+    // Setting "searchVector" (to anything) asks for a rebuild
+    await sequelize.query(`
+      CREATE OR REPLACE FUNCTION destinations_search_vector_trigger() RETURNS trigger AS $$
+      BEGIN
+        NEW."searchVector" := destination_search_vector(NEW.id, NEW.name, NEW.description, NEW.address);
+        RETURN NEW;
+      END
+      $$ LANGUAGE plpgsql
+    `);
+    await sequelize.query('DROP TRIGGER IF EXISTS destinations_search_vector_update ON destinations');
+    await sequelize.query(`
+      CREATE TRIGGER destinations_search_vector_update
+      BEFORE INSERT OR UPDATE OF name, description, address, "searchVector" ON destinations
+      FOR EACH ROW EXECUTE PROCEDURE destinations_search_vector_trigger()
+    `);
+
+    await sequelize.query(`
+      CREATE OR REPLACE FUNCTION destination_categories_search_trigger() RETURNS trigger AS $$
+      BEGIN
+        IF TG_OP IN ('DELETE', 'UPDATE') THEN
+          UPDATE destinations SET "searchVector" = NULL WHERE id = OLD."destinationId";
+        END IF;
+        IF TG_OP IN ('INSERT', 'UPDATE') THEN
+          UPDATE destinations SET "searchVector" = NULL WHERE id = NEW."destinationId";
+        END IF;
+        RETURN NULL;
+      END
+      $$ LANGUAGE plpgsql
+    `);
+    await sequelize.query('DROP TRIGGER IF EXISTS destination_categories_search_update ON destination_categories');
+    await sequelize.query(`
+      CREATE TRIGGER destination_categories_search_update
+      AFTER INSERT OR UPDATE OR DELETE ON destination_categories
+      FOR EACH ROW EXECUTE PROCEDURE destination_categories_search_trigger()
+    `);
+
+    await sequelize.query(`
+      CREATE OR REPLACE FUNCTION categories_search_trigger() RETURNS trigger AS $$
+      BEGIN
+        UPDATE destinations SET "searchVector" = NULL
+        WHERE id IN (
+          SELECT "destinationId" FROM destination_categories WHERE "categoryId" = NEW.id
+        );
+        RETURN NULL;
+      END
+      $$ LANGUAGE plpgsql
+    `);
+    await sequelize.query('DROP TRIGGER IF EXISTS categories_search_update ON categories');
+    await sequelize.query(`
+      CREATE TRIGGER categories_search_update
+      AFTER UPDATE OF name ON categories
+      FOR EACH ROW EXECUTE PROCEDURE categories_search_trigger()
+    `);
+
+    // Trigram index for typo-tolerant name matching
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS destinations_name_trgm_idx
+      ON destinations USING GIN (immutable_unaccent(name) gin_trgm_ops)
+    `);
+
+    const languagesChanged = existing.languages !== configs.join(',');
+    await sequelize.query(languagesChanged
+      ? 'UPDATE destinations SET "searchVector" = NULL'
+      : 'UPDATE destinations SET "searchVector" = NULL WHERE "searchVector" IS NULL');
+
+    logger.info(`Search index ready (languages: ${configs.join(', ')})`);
+  } catch (error) {
+    logger.error('Error setting up search index:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  TEXT_SEARCH_CONFIGS,
+  SEARCH_LANGUAGES,
+  setupSearchIndex
+};
@@ -1,9 +1,10 @@
 const Category = require('../models/category');
+const categoryService = require('../services/categoryService');
 const { setCache, getCache, deleteCache } = require('../config/redis');
 const logger = require('../utils/logger');
 const { asyncHandler } = require('../middleware/errorHandler');
 const sequelize = require('../config/database');
-const { NotFoundError, ConflictError, ValidationError, DatabaseError } = require('../utils/errors');
+const { AppError, NotFoundError, ConflictError, ValidationError, DatabaseError } = require('../utils/errors');
 
 // Get all categories
 exports.getAllCategories = asyncHandler(async (req, res) => {
@@ -29,6 +30,13 @@ exports.getAllCategories = asyncHandler(async (req, res) => {
   res.status(200).json({ data: categories });
 });
 
+// Get the category hierarchy with destination counts
+exports.getCategoryTree = asyncHandler(async (req, res) => {
+  const tree = await categoryService.getCategoryTree();
+  
+  res.status(200).json({ data: tree });
+});
+
 // Get category by ID or slug
 exports.getCategoryByIdOrSlug = asyncHandler(async (req, res) => {
   const { identifier } = req.params;
@@ -128,7 +136,8 @@ exports.updateCategory = asyncHandler(async (req, res) => {
   }
   
   // If parentId is provided and changed, check if parent category exists
-  if (parentId && parentId !== category.parentId) {
+  const parentChanged = parentId && parentId !== category.parentId;
+  if (parentChanged) {
     const parentCategory = await Category.findByPk(parentId);
     if (!parentCategory) {
       throw new NotFoundError('Parent category', parentId);
@@ -142,12 +151,25 @@ exports.updateCategory = asyncHandler(async (req, res) => {
   
   // Update category
   try {
-    await category.update({
-      name,
-      description,
-      parentId,
-      icon,
-      displayOrder
+    await sequelize.transaction(async (transaction) => {
+      if (parentChanged) {
+        // One hierarchy change at a time, so two concurrent moves can't form a cycle
+        await sequelize.query('LOCK TABLE categories IN SHARE ROW EXCLUSIVE MODE', { transaction });
+        
+        if (await categoryService.isInSubtree(parentId, id, { transaction })) {
+          throw new ValidationError('Category cannot be moved under one of its own subcategories', {
+            parentId
+          });
+        }
+      }
+      
+      await category.update({
+        name,
+        description,
+        parentId,
+        icon,
+        displayOrder
+      }, { transaction });
     });
     
     // Clear category cache
@@ -162,6 +184,10 @@ exports.updateCategory = asyncHandler(async (req, res) => {
       data: category
     });
   } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    
     logger.error(`Error updating category ${id}:`, error);
     throw new DatabaseError('Failed to update category', error);
   }
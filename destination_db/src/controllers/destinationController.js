@@ -4,6 +4,7 @@ const Destination = require('../models/destination');
 const Category = require('../models/category');
 const OperatingHours = require('../models/operatingHours');
 const Review = require('../models/review');
+const categoryService = require('../services/categoryService');
 const { setCache, getCache, deleteCache } = require('../config/redis');
 const { latLngToPoint } = require('../utils/geoUtils');
 const logger = require('../utils/logger');
@@ -37,6 +38,11 @@ exports.getAllDestinations = asyncHandler(async (req, res) => {
     whereConditions.costLevel = costLevel;
   }
   
+  // A category includes its subcategories
+  if (category) {
+    whereConditions.id = await categoryService.destinationIdsInCategories([category]);
+  }
+  
   // Build query options
   const queryOptions = {
     where: whereConditions,
@@ -56,11 +62,6 @@ exports.getAllDestinations = asyncHandler(async (req, res) => {
     ]
   };
   
-  // If category filter is specified, use it
-  if (category) {
-    queryOptions.include[0].where = { slug: category };
-  }
-  
   // Execute query
   const { count, rows: destinations } = await Destination.findAndCountAll(queryOptions);
   
@@ -123,6 +124,37 @@ exports.getDestinationById = asyncHandler(async (req, res) => {
   res.status(200).json({ data: destination });
 });
 
+// Get multiple destinations by ID in a single request
+exports.getDestinationsByIds = asyncHandler(async (req, res) => {
+  // Drop duplicates while keeping the order the caller asked for
+  const ids = [...new Set(req.body.ids)];
+  
+  const destinations = await Destination.findAll({
+    where: { id: { [Op.in]: ids } },
+    include: [
+      {
+        model: Category,
+        as: 'categories',
+        through: { attributes: [] } // Don't include junction table
+      },
+      {
+        model: OperatingHours,
+        as: 'operatingHours'
+      }
+    ]
+  });
+  
+  const destinationsById = new Map(destinations.map(dest => [dest.id, dest]));
+  
+  // Report IDs we couldn't find so callers can handle partial misses
+  const missing = ids.filter(id => !destinationsById.has(id));
+  
+  res.status(200).json({
+    data: ids.filter(id => destinationsById.has(id)).map(id => destinationsById.get(id)),
+    missing
+  });
+});
+
 // Create new destination
 exports.createDestination = asyncHandler(async (req, res) => {
   const { 
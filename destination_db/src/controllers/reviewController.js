@@ -0,0 +1,236 @@
+const sequelize = require('../config/database');
+const Destination = require('../models/destination');
+const Review = require('../models/review');
+const reviewService = require('../services/reviewService');
+const { deleteCache } = require('../config/redis');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { NotFoundError, ConflictError, ForbiddenError } = require('../utils/errors');
+
+// New and edited reviews wait for an admin unless moderation is turned off
+const REQUIRE_MODERATION = process.env.REVIEW_MODERATION !== 'false';
+
+// List approved reviews of a destination
+exports.getDestinationReviews = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { page = 1, limit = 20, sort = 'createdAt', order = 'DESC' } = req.query;
+
+  const destination = await Destination.findByPk(id);
+  if (!destination) {
+    throw new NotFoundError('Destination', id);
+  }
+
+  const { count, rows: reviews } = await Review.findAndCountAll({
+    where: { destinationId: id, status: 'approved' },
+    limit: parseInt(limit),
+    offset: (parseInt(page) - 1) * parseInt(limit),
+    // Ties (same rating or visit date) newest first so pages are stable
+    order: [[sort, order], ['createdAt', 'DESC'], ['id', 'ASC']]
+  });
+
+  res.status(200).json({
+    data: reviews,
+    summary: {
+      averageRating: destination.averageRating,
+      reviewCount: destination.reviewCount,
+      attributeRatings: destination.attributeRatings
+    },
+    pagination: {
+      total: count,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(count / limit)
+    }
+  });
+});
+
+// Get a single approved review
+exports.getReview = asyncHandler(async (req, res) => {
+  const { id, reviewId } = req.params;
+
+  const review = await Review.findOne({
+    where: { id: reviewId, destinationId: id, status: 'approved' }
+  });
+
+  if (!review) {
+    throw new NotFoundError('Review', reviewId);
+  }
+
+  res.status(200).json({ data: review });
+});
+
+// Review a destination (one review per user)
+exports.createReview = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { rating, comment, visitDate, visitContext, attributes } = req.body;
+
+  const destination = await Destination.findByPk(id);
+  if (!destination) {
+    throw new NotFoundError('Destination', id);
+  }
+
+  const existing = await Review.findOne({
+    where: { destinationId: id, userId: req.user.id }
+  });
+
+  if (existing) {
+    throw new ConflictError('You have already reviewed this destination', { reviewId: existing.id });
+  }
+
+  const review = await sequelize.transaction(async (transaction) => {
+    const created = await Review.create({
+      destinationId: id,
+      userId: req.user.id,
+      rating,
+      comment,
+      visitDate,
+      visitContext,
+      attributes,
+      status: REQUIRE_MODERATION ? 'pending' : 'approved'
+    }, { transaction });
+
+    await reviewService.refreshRatingSummary(id, { transaction });
+
+    return created;
+  });
+
+  await clearDestinationCache(id);
+
+  res.status(201).json({
+    message: review.status === 'pending'
+      ? 'Review submitted and awaiting moderation'
+      : 'Review created successfully',
+    data: review
+  });
+});
+
+// Edit a review (author or admin)
+exports.updateReview = asyncHandler(async (req, res) => {
+  const { id, reviewId } = req.params;
+
+  const review = await findOwnReview(req, id, reviewId);
+
+  const updatedFields = {};
+  ['rating', 'comment', 'visitDate', 'visitContext', 'attributes'].forEach(field => {
+    if (req.body[field] !== undefined) updatedFields[field] = req.body[field];
+  });
+
+  // An author's edit has to be moderated again
+  if (REQUIRE_MODERATION && req.user.role !== 'admin') {
+    Object.assign(updatedFields, {
+      status: 'pending',
+      moderationNote: null,
+      moderatedBy: null,
+      moderatedAt: null
+    });
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    await review.update(updatedFields, { transaction });
+    await reviewService.refreshRatingSummary(id, { transaction });
+  });
+
+  await clearDestinationCache(id);
+
+  res.status(200).json({
+    message: 'Review updated successfully',
+    data: review
+  });
+});
+
+// Delete a review (author or admin)
+exports.deleteReview = asyncHandler(async (req, res) => {
+  const { id, reviewId } = req.params;
+
+  const review = await findOwnReview(req, id, reviewId);
+
+  await sequelize.transaction(async (transaction) => {
+    await review.destroy({ transaction });
+    await reviewService.refreshRatingSummary(id, { transaction });
+  });
+
+  await clearDestinationCache(id);
+
+  res.status(200).json({
+    message: 'Review deleted successfully'
+  });
+});
+
+// Reviews waiting for moderation (or rejected ones), oldest first
+exports.getModerationQueue = asyncHandler(async (req, res) => {
+  const { status = 'pending', page = 1, limit = 20 } = req.query;
+
+  const { count, rows: reviews } = await Review.findAndCountAll({
+    where: { status },
+    include: [
+      {
+        model: Destination,
+        attributes: ['id', 'name']
+      }
+    ],
+    limit: parseInt(limit),
+    offset: (parseInt(page) - 1) * parseInt(limit),
+    order: [['updatedAt', 'ASC'], ['id', 'ASC']]
+  });
+
+  res.status(200).json({
+    data: reviews,
+    pagination: {
+      total: count,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(count / limit)
+    }
+  });
+});
+
+// Approve or reject a review
+exports.moderateReview = asyncHandler(async (req, res) => {
+  const { reviewId } = req.params;
+  const { status, note } = req.body;
+
+  const review = await Review.findByPk(reviewId);
+  if (!review) {
+    throw new NotFoundError('Review', reviewId);
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    await review.update({
+      status,
+      moderationNote: note || null,
+      moderatedBy: req.user.id,
+      moderatedAt: new Date()
+    }, { transaction });
+
+    await reviewService.refreshRatingSummary(review.destinationId, { transaction });
+  });
+
+  await clearDestinationCache(review.destinationId);
+
+  res.status(200).json({
+    message: `Review ${status}`,
+    data: review
+  });
+});
+
+// Find a review of the destination that the user may change
+const findOwnReview = async (req, destinationId, reviewId) => {
+  const review = await Review.findOne({
+    where: { id: reviewId, destinationId }
+  });
+
+  if (!review) {
+    throw new NotFoundError('Review', reviewId);
+  }
+
+  if (review.userId !== req.user.id && req.user.role !== 'admin') {
+    throw new ForbiddenError('You can only change your own reviews');
+  }
+
+  return review;
+};
+
+// The destination embeds its latest reviews and rating summary
+const clearDestinationCache = async (destinationId) => {
+  await deleteCache(`destination:${destinationId}`);
+  await deleteCache('destinations:*');
+};
@@ -1,68 +1,26 @@
+const { QueryTypes } = require('sequelize');
 const sequelize = require('../config/database');
 const Destination = require('../models/destination');
 const Category = require('../models/category');
 const OperatingHours = require('../models/operatingHours');
+const destinationService = require('../services/destinationService');
+const categoryService = require('../services/categoryService');
 const { setCache, getCache } = require('../config/redis');
 const logger = require('../utils/logger');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { ValidationError } = require('../utils/errors');
 
-// Search destinations
-exports.searchDestinations = asyncHandler(async (req, res) => {
-  const { 
-    query, 
-    categories, 
-    costLevelMin, 
-    costLevelMax, 
-    page = 1, 
-    limit = 20, 
-    sort = 'name', 
-    order = 'ASC' 
-  } = req.query;
-  
-  // Build a basic query - simplified to ensure it works
-  const { Op } = require('sequelize');
-  
-  // Simple where conditions - just active destinations to start
-  const whereConditions = { status: 'active' };
-  
-  // Add text search if provided
-  if (query) {
-    whereConditions[Op.or] = [
-      { name: { [Op.iLike]: `%${query}%` } },
-      { description: { [Op.iLike]: `%${query}%` } }
-    ];
-  }
-  
-  // Add cost level filters if provided
-  if (costLevelMin || costLevelMax) {
-    whereConditions.costLevel = {};
-    if (costLevelMin) whereConditions.costLevel[Op.gte] = parseInt(costLevelMin);
-    if (costLevelMax) whereConditions.costLevel[Op.lte] = parseInt(costLevelMax);
-  }
-  
-  // Simple query without complex joins or filtering
-  const offset = (parseInt(page) - 1) * parseInt(limit);
-  
-  const { count, rows } = await Destination.findAndCountAll({
-    where: whereConditions,
-    offset,
-    limit: parseInt(limit),
-    order: [[sort, order]],
-  });
+// Map area searches return clusters instead of destinations below this zoom level
+const CLUSTER_MAX_ZOOM = parseInt(process.env.SEARCH_CLUSTER_MAX_ZOOM || '14');
 
-  // Return response with pagination
-  const responseData = {
-    data: rows,
-    pagination: {
-      total: count,
-      page: parseInt(page),
-      limit: parseInt(limit),
-      pages: Math.ceil(count / parseInt(limit))
-    }
-  };
+// Clustering grid cells per map tile width (a 256px tile gives 64px cells)
+const CLUSTER_CELLS_PER_TILE = 4;
+
+// Search destinations (full-text with a typo-tolerant fallback)
+exports.searchDestinations = asyncHandler(async (req, res) => {
+  const results = await destinationService.searchDestinations(req.query);
   
-  res.status(200).json(responseData);
+  res.status(200).json(results);
 });
 
 // Find nearby destinations
@@ -73,24 +31,23 @@ exports.findNearbyDestinations = asyncHandler(async (req, res) => {
     throw new ValidationError('Latitude and longitude are required');
   }
   
-  // Convert parameters to proper types
-  const latNum = parseFloat(lat);
-  const lngNum = parseFloat(lng);
-  const radiusNum = parseFloat(radius);
-  const limitNum = parseInt(limit);
+  // All user input goes through bound replacements, never into the SQL string
+  const replacements = {
+    lat: parseFloat(lat),
+    lng: parseFloat(lng),
+    radiusMeters: parseFloat(radius) * 1000,
+    limit: parseInt(limit)
+  };
   
   // Build basic query for active destinations
   let query = `
     SELECT 
       d.id, 
-      d.name, 
-      d.description,
-      d.status,
-      d."visitDuration",
-      d."costLevel",
+      ST_Y(d.location) as latitude,
+      ST_X(d.location) as longitude,
       ST_Distance(
         d.location::geography, 
-        ST_SetSRID(ST_MakePoint(${lngNum}, ${latNum}), 4326)::geography
+        ST_SetSRID(ST_MakePoint(:lng, :lat), 4326)::geography
       ) / 1000 as distance_km
     FROM 
       destinations d
@@ -98,33 +55,62 @@ exports.findNearbyDestinations = asyncHandler(async (req, res) => {
       d.status = 'active' AND
       ST_DWithin(
         d.location::geography, 
-        ST_SetSRID(ST_MakePoint(${lngNum}, ${latNum}), 4326)::geography, 
-        ${radiusNum * 1000}
+        ST_SetSRID(ST_MakePoint(:lng, :lat), 4326)::geography, 
+        :radiusMeters
       )
   `;
   
-  // Add category filter if provided
-  if (categories) {
+  // Add category filter if provided (including subcategories)
+  const categoryList = parseCategoryList(categories);
+  if (categoryList.length > 0) {
+    replacements.categories = categoryList;
     query += `
-      AND d.id IN (
-        SELECT dc."destinationId" 
-        FROM destination_categories dc
-        JOIN categories c ON dc."categoryId" = c.id
-        WHERE c.slug IN (${categories.split(',').map(c => `'${c.trim()}'`).join(',')})
-      )
+      AND ${categoryService.inCategoriesSql(':categories')}
     `;
   }
   
   // Add order and limit
   query += `
     ORDER BY distance_km ASC
-    LIMIT ${limitNum}
+    LIMIT :limit
   `;
   
   // Execute query
-  const [results] = await sequelize.query(query);
+  const [results] = await sequelize.query(query, { replacements });
   
-  res.status(200).json({ data: results });
+  if (results.length === 0) {
+    return res.status(200).json({ data: [] });
+  }
+  
+  // Load everything the recommendation engine scores on in one query
+  const destinations = await Destination.findAll({
+    where: { id: results.map(result => result.id) },
+    include: [
+      {
+        model: Category,
+        as: 'categories',
+        through: { attributes: [] } // Don't include junction table
+      },
+      {
+        model: OperatingHours,
+        as: 'operatingHours'
+      }
+    ]
+  });
+  
+  const destinationsById = new Map(destinations.map(dest => [dest.id, dest]));
+  
+  // Keep the distance ordering from the spatial query
+  const data = results
+    .filter(result => destinationsById.has(result.id))
+    .map(result => ({
+      ...destinationsById.get(result.id).toJSON(),
+      latitude: result.latitude,
+      longitude: result.longitude,
+      distance_km: result.distance_km
+    }));
+  
+  res.status(200).json({ data });
 });
 
 // Get destinations by opening hours
@@ -132,8 +118,11 @@ exports.getOpenDestinations = asyncHandler(async (req, res) => {
   const { day, time, categories, lat, lng, radius, limit = 20 } = req.query;
   
   // Determine day of week and time
-  const dayOfWeek = day ? parseInt(day) : new Date().getDay();
-  const currentTime = time || new Date().toTimeString().substring(0, 8);
+  const replacements = {
+    dayOfWeek: day !== undefined ? parseInt(day) : new Date().getDay(),
+    currentTime: time || new Date().toTimeString().substring(0, 8),
+    limit: parseInt(limit)
+  };
   
   // Build basic query to find open destinations
   let query = `
@@ -141,47 +130,190 @@ exports.getOpenDestinations = asyncHandler(async (req, res) => {
     FROM destinations d
     JOIN operating_hours oh ON d.id = oh."destinationId"
     WHERE d.status = 'active'
-    AND oh."dayOfWeek" = ${dayOfWeek}
+    AND oh."dayOfWeek" = :dayOfWeek
     AND (
       oh."is24Hours" = true OR
-      (oh."openTime" <= '${currentTime}' AND oh."closeTime" > '${currentTime}')
+      (oh."openTime" <= :currentTime AND oh."closeTime" > :currentTime)
     )
   `;
   
-  // Add category filter if provided
-  if (categories) {
+  // Add category filter if provided (including subcategories)
+  const categoryList = parseCategoryList(categories);
+  if (categoryList.length > 0) {
+    replacements.categories = categoryList;
     query += `
-      AND d.id IN (
-        SELECT dc."destinationId" 
-        FROM destination_categories dc
-        JOIN categories c ON dc."categoryId" = c.id
-        WHERE c.slug IN (${categories.split(',').map(c => `'${c.trim()}'`).join(',')})
-      )
+      AND ${categoryService.inCategoriesSql(':categories')}
     `;
   }
   
   // Add location filter if provided
   if (lat && lng && radius) {
-    const latNum = parseFloat(lat);
-    const lngNum = parseFloat(lng);
-    const radiusNum = parseFloat(radius);
+    replacements.lat = parseFloat(lat);
+    replacements.lng = parseFloat(lng);
+    replacements.radiusMeters = parseFloat(radius) * 1000;
     
     query += `
       AND ST_DWithin(
         d.location::geography, 
-        ST_SetSRID(ST_MakePoint(${lngNum}, ${latNum}), 4326)::geography, 
-        ${radiusNum * 1000}
+        ST_SetSRID(ST_MakePoint(:lng, :lat), 4326)::geography, 
+        :radiusMeters
       )
     `;
   }
   
   // Add limit
   query += `
-    LIMIT ${parseInt(limit)}
+    LIMIT :limit
   `;
   
   // Execute query
-  const [results] = await sequelize.query(query);
+  const [results] = await sequelize.query(query, { replacements });
   
   res.status(200).json({ data: results });
-});
\ No newline at end of file
+});
+
+// Find destinations inside a map viewport
+exports.findDestinationsInBoundingBox = asyncHandler(async (req, res) => {
+  const { minLng, minLat, maxLng, maxLat } = req.query;
+  
+  const replacements = { minLng, minLat, maxLng, maxLat };
+  
+  // A box crossing the antimeridian is searched as its two halves
+  const area = minLng <= maxLng
+    ? 'd.location && ST_MakeEnvelope(:minLng, :minLat, :maxLng, :maxLat, 4326)'
+    : `(d.location && ST_MakeEnvelope(:minLng, :minLat, 180, :maxLat, 4326) OR
+        d.location && ST_MakeEnvelope(-180, :minLat, :maxLng, :maxLat, 4326))`;
+  
+  res.status(200).json(await findDestinationsInArea(area, replacements, req.query));
+});
+
+// Find destinations inside a GeoJSON polygon
+exports.findDestinationsInPolygon = asyncHandler(async (req, res) => {
+  const { polygon } = req.body;
+  
+  const replacements = { polygon: JSON.stringify(polygon) };
+  
+  // ST_MakeValid so self-intersecting shapes drawn on the map still work
+  const area = `ST_Intersects(
+    d.location,
+    ST_MakeValid(ST_SetSRID(ST_GeomFromGeoJSON(:polygon), 4326))
+  )`;
+  
+  res.status(200).json(await findDestinationsInArea(area, replacements, req.body));
+});
+
+/**
+ * Destinations matching an area condition plus the category and cost filters
+ *
+ * Zoomed out (below CLUSTER_MAX_ZOOM) the destinations are grouped into grid cells about a
+ * quarter of a map tile wide and only the clusters are returned, each with its count, center
+ * and bounds. Otherwise the destinations themselves are returned, up to `limit`.
+ * The area condition uses the GiST index on location.
+ */
+async function findDestinationsInArea(area, replacements, params) {
+  const { categories, costLevelMin, costLevelMax, zoom, limit = 500 } = params;
+  
+  let conditions = `d.status = 'active' AND ${area}`;
+  
+  const categoryList = parseCategoryList(categories);
+  if (categoryList.length > 0) {
+    replacements.categories = categoryList;
+    conditions += ` AND ${categoryService.inCategoriesSql(':categories')}`;
+  }
+  if (costLevelMin) {
+    replacements.costLevelMin = parseInt(costLevelMin);
+    conditions += ' AND d."costLevel" >= :costLevelMin';
+  }
+  if (costLevelMax) {
+    replacements.costLevelMax = parseInt(costLevelMax);
+    conditions += ' AND d."costLevel" <= :costLevelMax';
+  }
+  
+  if (zoom !== undefined && parseInt(zoom) < CLUSTER_MAX_ZOOM) {
+    replacements.cellSize = 360 / Math.pow(2, parseInt(zoom)) / CLUSTER_CELLS_PER_TILE;
+    
+    const clusters = await sequelize.query(`
+      SELECT
+        COUNT(*)::int AS count,
+        ST_Y(ST_Centroid(ST_Collect(d.location))) AS latitude,
+        ST_X(ST_Centroid(ST_Collect(d.location))) AS longitude,
+        ST_YMin(ST_Extent(d.location)) AS "minLat",
+        ST_XMin(ST_Extent(d.location)) AS "minLng",
+        ST_YMax(ST_Extent(d.location)) AS "maxLat",
+        ST_XMax(ST_Extent(d.location)) AS "maxLng",
+        CASE WHEN COUNT(*) = 1 THEN MIN(d.id::text) END AS "destinationId"
+      FROM destinations d
+      WHERE ${conditions}
+      GROUP BY ST_SnapToGrid(d.location, :cellSize)
+      ORDER BY count DESC
+    `, { replacements, type: QueryTypes.SELECT });
+    
+    return {
+      clusters: clusters.map(({ minLat, minLng, maxLat, maxLng, destinationId, ...cluster }) => ({
+        ...cluster,
+        bounds: { minLat, minLng, maxLat, maxLng },
+        ...(destinationId && { destinationId })
+      })),
+      total: clusters.reduce((total, cluster) => total + cluster.count, 0),
+      clustered: true
+    };
+  }
+  
+  replacements.limit = parseInt(limit);
+  
+  const results = await sequelize.query(`
+    SELECT
+      d.id,
+      ST_Y(d.location) AS latitude,
+      ST_X(d.location) AS longitude,
+      COUNT(*) OVER() AS total
+    FROM destinations d
+    WHERE ${conditions}
+    ORDER BY d.popularity DESC NULLS LAST, d.id
+    LIMIT :limit
+  `, { replacements, type: QueryTypes.SELECT });
+  
+  const destinations = results.length > 0
+    ? await Destination.findAll({
+      where: { id: results.map(result => result.id) },
+      include: [
+        {
+          model: Category,
+          as: 'categories',
+          through: { attributes: [] }
+        },
+        {
+          model: OperatingHours,
+          as: 'operatingHours'
+        }
+      ]
+    })
+    : [];
+  const destinationsById = new Map(destinations.map(dest => [dest.id, dest]));
+  const total = results.length > 0 ? parseInt(results[0].total) : 0;
+  
+  // Most popular first, so a truncated response still shows the main sights
+  return {
+    data: results
+      .filter(result => destinationsById.has(result.id))
+      .map(result => ({
+        ...destinationsById.get(result.id).toJSON(),
+        latitude: result.latitude,
+        longitude: result.longitude
+      })),
+    total,
+    clustered: false,
+    truncated: total > results.length
+  };
+}
+
+/**
+ * Split a comma-separated category list into trimmed, non-empty values
+ */
+function parseCategoryList(categories) {
+  if (!categories) return [];
+  
+  return categories.split(',')
+    .map(category => category.trim())
+    .filter(category => category.length > 0);
+}
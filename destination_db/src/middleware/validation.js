@@ -1,7 +1,17 @@
 const Joi = require('joi');
 const { ValidationError } = require('../utils/errors');
+const { TEXT_SEARCH_CONFIGS } = require('../config/searchIndex');
 const logger = require('../utils/logger');
 
+// Maximum number of destination IDs accepted by the batch lookup endpoint
+const MAX_BATCH_SIZE = 100;
+
+// Maximum number of categories a search can filter on
+const MAX_CATEGORY_FILTERS = 100;
+
+// Maximum number of positions in a polygon search area
+const MAX_POLYGON_POSITIONS = 1000;
+
 /**
  * Generic validation middleware creator
  * @param {Joi.Schema} schema - Joi schema to validate against
@@ -46,6 +56,22 @@ const validate = (schema, type = 'body') => {
   };
 };
 
+// Comma-separated category slugs or IDs, as sent by other services (e.g. every preferred
+// category of a user), so the length is limited per entry rather than in total
+const categoryFilter = Joi.string().custom((value, helpers) => {
+  const entries = value.split(',');
+  
+  if (entries.length > MAX_CATEGORY_FILTERS) {
+    return helpers.message(`Cannot filter on more than ${MAX_CATEGORY_FILTERS} categories`);
+  }
+  
+  if (entries.some(entry => entry.trim().length > 100)) {
+    return helpers.message('Category slugs and IDs cannot exceed 100 characters');
+  }
+  
+  return value;
+});
+
 // Destination validation schemas
 const destinationSchemas = {
   create: Joi.object({
@@ -212,6 +238,19 @@ const destinationSchemas = {
     }
     
     return value;
+  }),
+  
+  batch: Joi.object({
+    ids: Joi.array().items(
+      Joi.string().uuid().messages({
+        'string.guid': 'Destination ID must be a valid UUID'
+      })
+    ).required().min(1).max(MAX_BATCH_SIZE)
+      .messages({
+        'any.required': 'Destination IDs are required',
+        'array.min': 'At least one destination ID is required',
+        'array.max': `Cannot request more than ${MAX_BATCH_SIZE} destinations at once`
+      })
   })
 };
 
@@ -259,15 +298,20 @@ const categorySchemas = {
 const searchSchemas = {
   search: Joi.object({
     query: Joi.string().max(100),
-    categories: Joi.string().max(200),
+    categories: categoryFilter,
     costLevelMin: Joi.number().integer().min(1).max(5),
     costLevelMax: Joi.number().integer().min(1).max(5),
     lat: Joi.number().min(-90).max(90),
     lng: Joi.number().min(-180).max(180),
     radius: Joi.number().positive().max(100), // max 100km radius
+    costLevels: Joi.string().pattern(/^[1-5](,[1-5])*$/),
+    ratings: Joi.string().pattern(/^[1-5](,[1-5])*$/),
+    attributes: Joi.string().max(200).pattern(/^[\w-]+(,[\w-]+)*$/),
+    openNow: Joi.boolean(),
+    lang: Joi.string().valid(...TEXT_SEARCH_CONFIGS),
     page: Joi.number().integer().positive(),
     limit: Joi.number().integer().positive().max(100),
-    sort: Joi.string().valid('name', 'costLevel', 'visitDuration', 'popularity', 'createdAt'),
+    sort: Joi.string().valid('relevance', 'name', 'costLevel', 'visitDuration', 'popularity', 'averageRating', 'createdAt'),
     order: Joi.string().valid('ASC', 'DESC')
   }).custom((value, helpers) => {
     if (value.costLevelMin && value.costLevelMax && value.costLevelMin > value.costLevelMax) {
@@ -306,7 +350,7 @@ const searchSchemas = {
         'number.positive': 'Radius must be positive',
         'number.max': 'Radius cannot exceed 100 kilometers'
       }),
-    categories: Joi.string().max(200),
+    categories: categoryFilter,
     limit: Joi.number().integer().positive().max(100).default(20)
       .messages({
         'number.base': 'Limit must be a number',
@@ -319,7 +363,7 @@ const searchSchemas = {
   open: Joi.object({
     day: Joi.number().integer().min(0).max(6),
     time: Joi.string().pattern(/^([01]\d|2[0-3]):([0-5]\d):([0-5]\d)$/),
-    categories: Joi.string().max(200),
+    categories: categoryFilter,
     lat: Joi.number().min(-90).max(90),
     lng: Joi.number().min(-180).max(180),
     radius: Joi.number().positive().max(100),
@@ -340,14 +384,169 @@ const searchSchemas = {
   })
 };
 
+// Filters and clustering options shared by the map area searches
+const areaSearchFields = {
+  categories: categoryFilter,
+  costLevelMin: Joi.number().integer().min(1).max(5),
+  costLevelMax: Joi.number().integer().min(1).max(5),
+  zoom: Joi.number().integer().min(0).max(22)
+    .messages({
+      'number.base': 'Zoom must be a number',
+      'number.min': 'Zoom must be between 0 and 22',
+      'number.max': 'Zoom must be between 0 and 22'
+    }),
+  limit: Joi.number().integer().positive().max(1000).default(500)
+    .messages({
+      'number.max': 'Limit cannot exceed 1000'
+    })
+};
+
+// GeoJSON [longitude, latitude] position
+const geoJsonPosition = Joi.array().ordered(
+  Joi.number().min(-180).max(180).required(),
+  Joi.number().min(-90).max(90).required()
+);
+
+// Polygon rings are closed: at least four positions, the last one repeating the first
+const geoJsonPolygonCoordinates = Joi.array().min(1).items(
+  Joi.array().min(4).items(geoJsonPosition).custom((ring, helpers) => {
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+      return helpers.message('Polygon rings must end with their first position');
+    }
+    
+    return ring;
+  })
+);
+
+const areaSearchSchemas = {
+  bbox: Joi.object({
+    minLng: Joi.number().required().min(-180).max(180),
+    minLat: Joi.number().required().min(-90).max(90),
+    maxLng: Joi.number().required().min(-180).max(180),
+    maxLat: Joi.number().required().min(-90).max(90),
+    ...areaSearchFields
+  }).custom((value, helpers) => {
+    // minLng may be greater than maxLng for boxes crossing the antimeridian
+    if (value.minLat > value.maxLat) {
+      return helpers.message('Minimum latitude cannot be greater than maximum latitude');
+    }
+    
+    return value;
+  }),
+  
+  polygon: Joi.object({
+    polygon: Joi.object({
+      type: Joi.string().valid('Polygon', 'MultiPolygon').required(),
+      coordinates: Joi.when('type', {
+        is: 'Polygon',
+        then: geoJsonPolygonCoordinates,
+        otherwise: Joi.array().min(1).items(geoJsonPolygonCoordinates)
+      }).required()
+    }).required()
+      .messages({
+        'any.required': 'A GeoJSON Polygon or MultiPolygon is required'
+      }),
+    ...areaSearchFields
+  }).custom((value, helpers) => {
+    // Flatten down to positions: rings for a Polygon, polygons of rings for a MultiPolygon
+    const positions = value.polygon.coordinates.flat(value.polygon.type === 'Polygon' ? 1 : 2);
+    
+    if (positions.length > MAX_POLYGON_POSITIONS) {
+      return helpers.message(`Polygon cannot have more than ${MAX_POLYGON_POSITIONS} positions`);
+    }
+    
+    return value;
+  })
+};
+
+// Review validation schemas
+const reviewFields = {
+  rating: Joi.number().min(1).max(5)
+    .messages({
+      'number.base': 'Rating must be a number',
+      'number.min': 'Rating must be between 1 and 5',
+      'number.max': 'Rating must be between 1 and 5'
+    }),
+  comment: Joi.string().allow('').max(2000)
+    .messages({
+      'string.max': 'Comment cannot exceed 2000 characters'
+    }),
+  visitDate: Joi.date().iso().max('now')
+    .messages({
+      'date.max': 'Visit date cannot be in the future'
+    }),
+  visitContext: Joi.string().valid('solo', 'couple', 'family', 'friends', 'business'),
+  // Structured feedback, e.g. { "cleanliness": 4, "value": 3 }
+  attributes: Joi.object().pattern(
+    Joi.string().pattern(/^[a-zA-Z][a-zA-Z0-9_]*$/).max(50),
+    Joi.number().min(1).max(5)
+  ).max(20)
+    .messages({
+      'object.max': 'Cannot rate more than 20 attributes',
+      'number.min': 'Attribute ratings must be between 1 and 5',
+      'number.max': 'Attribute ratings must be between 1 and 5'
+    })
+};
+
+const reviewSchemas = {
+  create: Joi.object({
+    ...reviewFields,
+    rating: reviewFields.rating.required()
+      .messages({
+        'any.required': 'Rating is required'
+      })
+  }),
+  
+  update: Joi.object(reviewFields).min(1)
+    .messages({
+      'object.min': 'Provide at least one field to update'
+    }),
+  
+  list: Joi.object({
+    page: Joi.number().integer().positive(),
+    limit: Joi.number().integer().positive().max(100),
+    sort: Joi.string().valid('createdAt', 'rating', 'visitDate'),
+    order: Joi.string().valid('ASC', 'DESC')
+  }),
+  
+  moderationQueue: Joi.object({
+    status: Joi.string().valid('pending', 'rejected'),
+    page: Joi.number().integer().positive(),
+    limit: Joi.number().integer().positive().max(100)
+  }),
+  
+  moderate: Joi.object({
+    status: Joi.string().valid('approved', 'rejected').required()
+      .messages({
+        'any.required': 'Status is required',
+        'any.only': 'Status must be approved or rejected'
+      }),
+    note: Joi.string().allow('').max(500)
+      .messages({
+        'string.max': 'Note cannot exceed 500 characters'
+      })
+  })
+};
+
 // Export validation middlewares
 module.exports = {
   validateDestinationCreate: validate(destinationSchemas.create),
   validateDestinationUpdate: validate(destinationSchemas.update),
   validateOperatingHours: validate(destinationSchemas.operatingHours),
+  validateDestinationBatch: validate(destinationSchemas.batch),
   validateCategoryCreate: validate(categorySchemas.create),
   validateCategoryUpdate: validate(categorySchemas.update),
   validateSearch: validate(searchSchemas.search, 'query'),
   validateNearbySearch: validate(searchSchemas.nearby, 'query'),
-  validateOpenSearch: validate(searchSchemas.open, 'query')
+  validateOpenSearch: validate(searchSchemas.open, 'query'),
+  validateBoundingBoxSearch: validate(areaSearchSchemas.bbox, 'query'),
+  validatePolygonSearch: validate(areaSearchSchemas.polygon),
+  validateReviewCreate: validate(reviewSchemas.create),
+  validateReviewUpdate: validate(reviewSchemas.update),
+  validateReviewList: validate(reviewSchemas.list, 'query'),
+  validateModerationQueue: validate(reviewSchemas.moderationQueue, 'query'),
+  validateReviewModeration: validate(reviewSchemas.moderate)
 };
\ No newline at end of file
@@ -43,6 +43,22 @@ Destination.init({
     type: DataTypes.FLOAT, // 0-5 scale representing popularity
     defaultValue: 3.0
   },
+  basePopularity: {
+    type: DataTypes.FLOAT, // Popularity before reviews were blended in (null until the first review)
+    allowNull: true
+  },
+  averageRating: {
+    type: DataTypes.FLOAT, // Average of approved review ratings, null without reviews
+    allowNull: true
+  },
+  reviewCount: {
+    type: DataTypes.INTEGER, // Number of approved reviews
+    defaultValue: 0
+  },
+  attributeRatings: {
+    type: DataTypes.JSONB, // Per-attribute review averages ({ cleanliness: { average, count } })
+    defaultValue: {}
+  },
   image: {
     type: DataTypes.STRING // URL to main image
   },
@@ -66,6 +82,9 @@ Destination.init({
     type: DataTypes.JSONB, // Seasonal information (best time to visit)
     defaultValue: {}
   },
+  searchVector: {
+    type: DataTypes.TSVECTOR // Maintained by database triggers (see config/searchIndex.js)
+  },
   createdAt: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
@@ -78,6 +97,9 @@ Destination.init({
   sequelize,
   modelName: 'destination',
   tableName: 'destinations',
+  defaultScope: {
+    attributes: { exclude: ['searchVector'] }
+  },
   indexes: [
     // GiST index for geospatial queries
     {
@@ -90,6 +112,11 @@ Destination.init({
     },
     {
       fields: ['costLevel']
+    },
+    // GIN index for full-text search
+    {
+      using: 'GIN',
+      fields: ['searchVector']
     }
   ]
 });
@@ -44,6 +44,18 @@ Review.init({
     type: DataTypes.ENUM('pending', 'approved', 'rejected'),
     defaultValue: 'approved'
   },
+  moderationNote: {
+    type: DataTypes.TEXT, // Reason given by the moderator, shown to the author
+    allowNull: true
+  },
+  moderatedBy: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  moderatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   createdAt: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
@@ -65,6 +77,14 @@ Review.init({
     },
     {
       fields: ['rating']
+    },
+    {
+      fields: ['status']
+    },
+    {
+      // One review per user and destination
+      unique: true,
+      fields: ['destinationId', 'userId']
     }
   ]
 });
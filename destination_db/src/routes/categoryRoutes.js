@@ -8,6 +8,7 @@ const router = express.Router();
 
 // Public routes
 router.get('/', cacheMiddleware(86400), categoryController.getAllCategories);
+router.get('/tree', cacheMiddleware(3600), categoryController.getCategoryTree);
 router.get('/:identifier', cacheMiddleware(86400), categoryController.getCategoryByIdOrSlug);
 
 // Protected admin routes
@@ -0,0 +1,20 @@
+const express = require('express');
+const { protect } = require('../middleware/auth');
+const reviewController = require('../controllers/reviewController');
+const { validateReviewCreate, validateReviewUpdate, validateReviewList } = require('../middleware/validation');
+
+// Mounted at /api/destinations/:id/reviews
+const router = express.Router({ mergeParams: true });
+
+// Public routes
+router.get('/', validateReviewList, reviewController.getDestinationReviews);
+router.get('/:reviewId', reviewController.getReview);
+
+// Protected routes - authors manage their own reviews, admins any review
+router.use(protect);
+
+router.post('/', validateReviewCreate, reviewController.createReview);
+router.put('/:reviewId', validateReviewUpdate, reviewController.updateReview);
+router.delete('/:reviewId', reviewController.deleteReview);
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const { protect, adminOnly } = require('../middleware/auth');
 const destinationController = require('../controllers/destinationController');
-const { validateDestinationCreate, validateDestinationUpdate } = require('../middleware/validation');
+const destinationReviewRoutes = require('./destinationReviewRoutes');
+const { validateDestinationCreate, validateDestinationUpdate, validateDestinationBatch } = require('../middleware/validation');
 const { cacheMiddleware } = require('../middleware/cache');
 
 const router = express.Router();
@@ -9,6 +10,10 @@ const router = express.Router();
 // Public routes
 router.get('/', cacheMiddleware(3600), destinationController.getAllDestinations);
 router.get('/:id', cacheMiddleware(3600), destinationController.getDestinationById);
+router.post('/batch', validateDestinationBatch, destinationController.getDestinationsByIds);
+
+// Reviews (reading is public, writing requires authentication)
+router.use('/:id/reviews', destinationReviewRoutes);
 
 // Protected routes - require authentication
 router.use(protect);
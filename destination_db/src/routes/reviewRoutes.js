@@ -0,0 +1,14 @@
+const express = require('express');
+const { protect, adminOnly } = require('../middleware/auth');
+const reviewController = require('../controllers/reviewController');
+const { validateModerationQueue, validateReviewModeration } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Protected admin routes - review moderation
+router.use(protect, adminOnly);
+
+router.get('/moderation', validateModerationQueue, reviewController.getModerationQueue);
+router.put('/:reviewId/moderation', validateReviewModeration, reviewController.moderateReview);
+
+module.exports = router;
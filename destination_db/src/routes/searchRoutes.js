@@ -1,13 +1,22 @@
 const express = require('express');
 const searchController = require('../controllers/searchController');
-const { validateSearch, validateNearbySearch } = require('../middleware/validation');
+const {
+  validateSearch,
+  validateNearbySearch,
+  validateOpenSearch,
+  validateBoundingBoxSearch,
+  validatePolygonSearch
+} = require('../middleware/validation');
 const { cacheMiddleware } = require('../middleware/cache');
 
 const router = express.Router();
 
 // Public search routes
-router.get('/', validateSearch, cacheMiddleware(1800), searchController.searchDestinations);
+// Shorter cache: results and facets can filter on what is open now
+router.get('/', validateSearch, cacheMiddleware(900), searchController.searchDestinations);
 router.get('/nearby', validateNearbySearch, cacheMiddleware(1800), searchController.findNearbyDestinations);
-router.get('/open', cacheMiddleware(900), searchController.getOpenDestinations);
+router.get('/open', validateOpenSearch, cacheMiddleware(900), searchController.getOpenDestinations);
+router.get('/bbox', validateBoundingBoxSearch, cacheMiddleware(1800), searchController.findDestinationsInBoundingBox);
+router.post('/polygon', validatePolygonSearch, searchController.findDestinationsInPolygon);
 
 module.exports = router;
\ No newline at end of file
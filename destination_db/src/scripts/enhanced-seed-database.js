@@ -6,6 +6,7 @@ const Destination = require('../models/destination');
 const Category = require('../models/category');
 const OperatingHours = require('../models/operatingHours');
 const Review = require('../models/review');
+const reviewService = require('../services/reviewService');
 const { latLngToPoint } = require('../utils/geoUtils');
 const logger = require('../utils/logger');
 const sequelize = require('../config/database');
@@ -702,6 +703,10 @@ async function seedDatabase() {
     }
     logger.info('Reviews created');
     
+    // Seeded reviews bypass the API, so build the rating summaries they feed
+    await reviewService.refreshAllRatingSummaries();
+    logger.info('Rating summaries updated');
+    
     logger.info('Database seeding completed successfully!');
     
     // Close connection
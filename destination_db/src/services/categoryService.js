@@ -0,0 +1,159 @@
+const { Op, QueryTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const Category = require('../models/category');
+const logger = require('../utils/logger');
+
+// Every category paired with itself and each of its descendants. UNION drops rows already
+// found, so the recursion ends even if the data has a cycle.
+const CATEGORY_CLOSURE_SQL = `
+  SELECT id AS "ancestorId", id AS "categoryId" FROM categories
+  UNION
+  SELECT closure."ancestorId", c.id
+  FROM closure JOIN categories c ON c."parentId" = closure."categoryId"
+`;
+
+// Ids of the categories with the given slugs or ids and all their descendants
+const descendantsSql = (param) => `
+  WITH RECURSIVE selected AS (
+    SELECT id FROM categories WHERE slug IN (${param}) OR id::text IN (${param})
+    UNION
+    SELECT c.id FROM categories c JOIN selected ON c."parentId" = selected.id
+  )
+  SELECT id FROM selected
+`;
+
+/**
+ * SQL condition for destinations (aliased `d`) in any of the categories bound to the named
+ * replacement (slugs or ids), including their subcategories
+ * @param {string} param - Replacement holding the category list, e.g. ':categories'
+ */
+exports.inCategoriesSql = (param = ':categories') => `d.id IN (
+  SELECT dc."destinationId"
+  FROM destination_categories dc
+  WHERE dc."categoryId" IN (${descendantsSql(param)})
+)`;
+
+/**
+ * Sequelize condition on Destination.id for destinations in any of the categories (slugs or
+ * ids), including their subcategories
+ * @param {Array<string>} identifiers - Category slugs or ids
+ * @returns {Object} Condition for `where.id`
+ */
+exports.destinationIdsInCategories = async (identifiers) => {
+  try {
+    const categoryIds = await exports.getDescendantIds(identifiers);
+    
+    if (categoryIds.length === 0) {
+      return { [Op.in]: [] };
+    }
+    
+    return {
+      [Op.in]: sequelize.literal(`(
+        SELECT "destinationId" FROM destination_categories
+        WHERE "categoryId" IN (${categoryIds.map(id => sequelize.escape(id)).join(', ')})
+      )`)
+    };
+  } catch (error) {
+    logger.error('Error in categoryService.destinationIdsInCategories:', error);
+    throw error;
+  }
+};
+
+/**
+ * Ids of the given categories (slugs or ids) and all their descendants
+ * @param {Array<string>} identifiers - Category slugs or ids
+ * @param {Object} options - Optional transaction
+ * @returns {Array<string>} Category ids
+ */
+exports.getDescendantIds = async (identifiers, { transaction } = {}) => {
+  try {
+    if (identifiers.length === 0) {
+      return [];
+    }
+    
+    const rows = await sequelize.query(descendantsSql(':identifiers'), {
+      replacements: { identifiers },
+      type: QueryTypes.SELECT,
+      transaction
+    });
+    
+    return rows.map(row => row.id);
+  } catch (error) {
+    logger.error('Error in categoryService.getDescendantIds:', error);
+    throw error;
+  }
+};
+
+/**
+ * Whether a category is the other category or one of its descendants
+ * Moving a category under one of these would create a cycle.
+ * @param {string} categoryId - Possible descendant
+ * @param {string} ancestorId - Category whose subtree is checked
+ * @param {Object} options - Optional transaction
+ * @returns {boolean}
+ */
+exports.isInSubtree = async (categoryId, ancestorId, { transaction } = {}) => {
+  try {
+    const descendantIds = await exports.getDescendantIds([ancestorId], { transaction });
+    
+    return descendantIds.includes(categoryId);
+  } catch (error) {
+    logger.error(`Error in categoryService.isInSubtree for ID ${categoryId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get all categories as a nested tree with destination counts
+ * `destinationCount` counts active destinations in the category itself,
+ * `totalDestinationCount` those in the category or any of its subcategories.
+ * @returns {Array<Object>} Top-level categories with their `childCategories`
+ */
+exports.getCategoryTree = async () => {
+  try {
+    const categories = await Category.findAll({
+      order: [
+        ['displayOrder', 'ASC'],
+        ['name', 'ASC']
+      ],
+      raw: true
+    });
+    
+    const counts = await sequelize.query(`
+      WITH RECURSIVE closure AS (${CATEGORY_CLOSURE_SQL})
+      SELECT closure."ancestorId" AS id,
+        COUNT(DISTINCT d.id) FILTER (WHERE closure."categoryId" = closure."ancestorId")::int AS "destinationCount",
+        COUNT(DISTINCT d.id)::int AS "totalDestinationCount"
+      FROM closure
+      JOIN destination_categories dc ON dc."categoryId" = closure."categoryId"
+      JOIN destinations d ON d.id = dc."destinationId" AND d.status = 'active'
+      GROUP BY closure."ancestorId"
+    `, { type: QueryTypes.SELECT });
+    const countsById = new Map(counts.map(count => [count.id, count]));
+    
+    const nodes = new Map(categories.map(category => [category.id, {
+      ...category,
+      destinationCount: countsById.has(category.id) ? countsById.get(category.id).destinationCount : 0,
+      totalDestinationCount: countsById.has(category.id) ? countsById.get(category.id).totalDestinationCount : 0,
+      childCategories: []
+    }]));
+    
+    // Categories whose parent is missing are shown at the top level
+    const roots = [];
+    nodes.forEach(node => {
+      const parent = node.parentId && nodes.get(node.parentId);
+      if (parent) {
+        parent.childCategories.push(node);
+      } else {
+        roots.push(node);
+      }
+    });
+    
+    return roots;
+  } catch (error) {
+    logger.error('Error in categoryService.getCategoryTree:', error);
+    throw error;
+  }
+};
+
+exports.CATEGORY_CLOSURE_SQL = CATEGORY_CLOSURE_SQL;
@@ -1,11 +1,19 @@
-const { Op } = require('sequelize');
+const { QueryTypes } = require('sequelize');
 const Destination = require('../models/destination');
 const Category = require('../models/category');
 const OperatingHours = require('../models/operatingHours');
 const Review = require('../models/review');
-const { buildRadiusQuery } = require('../utils/geoUtils');
+const sequelize = require('../config/database');
+const categoryService = require('./categoryService');
+const { SEARCH_LANGUAGES } = require('../config/searchIndex');
 const logger = require('../utils/logger');
 
+// Minimum word similarity (0-1) of a name to the query for typo-tolerant matches
+const FUZZY_THRESHOLD = parseFloat(process.env.SEARCH_FUZZY_THRESHOLD || '0.4');
+
+// Longer queries are cut to this many words
+const MAX_SEARCH_WORDS = 10;
+
 /**
  * Get destinations with filtering, pagination, and sorting
  */
@@ -30,6 +38,11 @@ exports.getDestinations = async (options) => {
       whereConditions.costLevel = costLevel;
     }
     
+    // A category includes its subcategories
+    if (category) {
+      whereConditions.id = await categoryService.destinationIdsInCategories([category]);
+    }
+    
     // Build query options
     const queryOptions = {
       where: whereConditions,
@@ -49,11 +62,6 @@ exports.getDestinations = async (options) => {
       ]
     };
     
-    // If category filter is specified, use it
-    if (category) {
-      queryOptions.include[0].where = { slug: category };
-    }
-    
     // Execute query
     const { count, rows: destinations } = await Destination.findAndCountAll(queryOptions);
     
@@ -234,89 +242,148 @@ exports.updateOperatingHours = async (destinationId, operatingHours) => {
 };
 
 /**
- * Search destinations by various criteria
+ * Search destinations by text and filters, with facet counts
+ *
+ * Text queries run against the maintained full-text search vector: words match in any search
+ * language (stemmed) or exactly, and the last word also matches as a prefix so partial names
+ * work. Results are ordered by relevance (by name without a query) unless another sort is
+ * asked for. When nothing matches, destinations whose names are similar to the query are
+ * returned instead (typo tolerance via pg_trgm). Each result carries its relevance, how it
+ * matched and highlighted snippets of the name and description.
+ *
+ * Facets count the matching destinations per category (including subcategories), cost level,
+ * rating bucket, attribute and open now. Values within a facet are alternatives, so each
+ * facet is counted with every filter except its own; attributes all have to apply, so their
+ * counts include the attribute filter.
  */
 exports.searchDestinations = async (searchParams) => {
   try {
     const { 
       query, 
-      categories, 
-      costLevelMin, 
-      costLevelMax, 
-      lat, 
-      lng, 
-      radius, 
+      lang,
       page = 1, 
       limit = 20, 
-      sort = 'name', 
-      order = 'ASC' 
+      sort, 
+      order 
     } = searchParams;
     
-    const offset = (page - 1) * limit;
-    
-    // Build where conditions
-    const whereConditions = { status: 'active' };
+    // All user input goes through bound replacements, never into the SQL string
+    const replacements = {
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    };
     
-    // Text search
-    if (query) {
-      whereConditions[Op.or] = [
-        { name: { [Op.iLike]: `%${query}%` } },
-        { description: { [Op.iLike]: `%${query}%` } }
-      ];
-    }
+    const filters = buildSearchFilters(searchParams, replacements);
+    const words = query ? getSearchWords(query) : [];
+    const direction = order === 'DESC' ? 'DESC' : 'ASC';
+    // Relevance only means something with a text query; without one, list by name
+    const sortBy = sort && sort !== 'relevance' ? sortColumn(sort) : (words.length > 0 ? null : 'd.name');
+    const orderBy = `${sortBy ? `${sortBy} ${direction},` : ''} relevance DESC, d.id`;
     
-    // Cost level range
-    if (costLevelMin || costLevelMax) {
-      whereConditions.costLevel = {};
-      if (costLevelMin) whereConditions.costLevel[Op.gte] = costLevelMin;
-      if (costLevelMax) whereConditions.costLevel[Op.lte] = costLevelMax;
-    }
+    let match = textMatches.none;
     
-    // Location radius search
-    if (lat && lng && radius) {
-      const radiusQuery = buildRadiusQuery(lat, lng, radius);
-      Object.assign(whereConditions, radiusQuery);
+    if (words.length > 0) {
+      const languages = lang ? [lang] : SEARCH_LANGUAGES;
+      languages.forEach((language, index) => {
+        replacements[`language${index}`] = language;
+      });
+      replacements.query = query;
+      // Words can only contain letters and digits, so they are safe as to_tsquery syntax
+      replacements.prefixQuery = words.map((word, index) =>
+        index === words.length - 1 ? `${word}:*` : word
+      ).join(' & ');
+      replacements.headlineLanguage = languages[0] || 'simple';
+      replacements.fuzzyThreshold = String(FUZZY_THRESHOLD);
+      
+      match = textMatches.fulltext([
+        ...languages.map((language, index) =>
+          `websearch_to_tsquery(:language${index}::regconfig, immutable_unaccent(:query))`
+        ),
+        'to_tsquery(\'simple\', immutable_unaccent(:prefixQuery))'
+      ].join(' || '));
     }
     
-    // Build include conditions
-    const includeConditions = [
-      {
-        model: Category,
-        as: 'categories',
-        through: { attributes: [] }
-      },
-      {
-        model: OperatingHours,
-        as: 'operatingHours'
+    const { results, facets } = await sequelize.transaction(async (transaction) => {
+      // The trigram threshold is set for this transaction only so the <% operator can use the
+      // trigram index
+      if (match !== textMatches.none) {
+        await sequelize.query(
+          'SELECT set_config(\'pg_trgm.word_similarity_threshold\', :fuzzyThreshold, true)',
+          { replacements, transaction }
+        );
       }
-    ];
-    
-    // Category filter
-    if (categories) {
-      const categoryArray = typeof categories === 'string' 
-        ? categories.split(',') 
-        : categories;
+      
+      const run = (sql) => sequelize.query(sql, {
+        replacements,
+        type: QueryTypes.SELECT,
+        transaction
+      });
+      
+      let rows = await run(pageQuery(match, filters, orderBy));
+      
+      // Fall back to similar names only when no page has full-text matches
+      if (rows.length === 0 && match !== textMatches.none &&
+        (replacements.offset === 0 || !(await hasMatches(run, match, filters)))) {
+        const fuzzyRows = await run(pageQuery(textMatches.fuzzy, filters, orderBy));
         
-      includeConditions[0].where = { slug: { [Op.in]: categoryArray } };
-    }
-    
-    // Execute search query
-    const { count, rows: destinations } = await Destination.findAndCountAll({
-      where: whereConditions,
-      include: includeConditions,
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      order: [[sort, order]],
-      distinct: true
+        // Without any match the facets stay those of the full-text query
+        if (fuzzyRows.length > 0 || replacements.offset > 0) {
+          match = textMatches.fuzzy;
+          rows = fuzzyRows;
+        }
+      }
+      
+      return {
+        results: rows,
+        facets: await getSearchFacets(run, match, filters, searchParams)
+      };
     });
     
+    // Load the full destinations in one query, keeping the search order
+    const destinations = results.length > 0
+      ? await Destination.findAll({
+        where: { id: results.map(result => result.id) },
+        include: [
+          {
+            model: Category,
+            as: 'categories',
+            through: { attributes: [] }
+          },
+          {
+            model: OperatingHours,
+            as: 'operatingHours'
+          }
+        ]
+      })
+      : [];
+    const destinationsById = new Map(destinations.map(dest => [dest.id, dest]));
+    const total = results.length > 0 ? parseInt(results[0].total) : 0;
+    const matchType = words.length > 0 && results.length > 0 ? match.type : 'none';
+    
     return {
-      data: destinations,
+      data: results
+        .filter(result => destinationsById.has(result.id))
+        .map(result => ({
+          ...destinationsById.get(result.id).toJSON(),
+          relevance: result.relevance,
+          ...(words.length > 0 && {
+            matchType,
+            highlights: {
+              name: result.nameHighlight,
+              description: result.descriptionHighlight
+            }
+          })
+        })),
+      facets,
+      search: {
+        query: query || null,
+        matchType
+      },
       pagination: {
-        total: count,
+        total,
         page: parseInt(page),
         limit: parseInt(limit),
-        pages: Math.ceil(count / limit)
+        pages: Math.ceil(total / limit)
       }
     };
   } catch (error) {
@@ -324,3 +391,275 @@ exports.searchDestinations = async (searchParams) => {
     throw error;
   }
 };
+
+// How destinations can match the text query, as parts of the search queries
+const textMatches = {
+  none: {
+    type: 'none',
+    tsQuery: 'NULL::tsquery',
+    condition: 'TRUE',
+    relevance: 'NULL::float'
+  },
+  fulltext: (tsQuery) => ({
+    type: 'fulltext',
+    tsQuery,
+    condition: 'd."searchVector" @@ search.tsquery',
+    relevance: 'ts_rank(d."searchVector", search.tsquery)',
+    highlight: true
+  }),
+  // Nothing in the text matched the query, so there is nothing to highlight
+  fuzzy: {
+    type: 'fuzzy',
+    tsQuery: 'NULL::tsquery',
+    condition: 'immutable_unaccent(:query) <% immutable_unaccent(d.name)',
+    relevance: 'word_similarity(immutable_unaccent(:query), immutable_unaccent(d.name))'
+  }
+};
+
+const NAME_HIGHLIGHT = 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true';
+const DESCRIPTION_HIGHLIGHT = 'StartSel=<mark>, StopSel=</mark>, MaxWords=25, MinWords=10, MaxFragments=2';
+
+// One page of matches; highlights are only worked out for the rows on the page
+const pageQuery = (match, filters, orderBy) => `
+  WITH search AS (SELECT ${match.tsQuery} AS tsquery),
+  matches AS (
+    SELECT d.id, ${match.relevance} AS relevance, COUNT(*) OVER() AS total
+    FROM destinations d, search
+    WHERE ${whereClause(filters, match)}
+    ORDER BY ${orderBy}
+    LIMIT :limit OFFSET :offset
+  )
+  SELECT m.id, m.relevance, m.total,
+    ${match.highlight
+      ? `ts_headline(:headlineLanguage::regconfig, d.name, search.tsquery, '${NAME_HIGHLIGHT}')`
+      : 'NULL'} AS "nameHighlight",
+    ${match.highlight
+      ? `ts_headline(:headlineLanguage::regconfig, coalesce(d.description, ''), search.tsquery, '${DESCRIPTION_HIGHLIGHT}')`
+      : 'NULL'} AS "descriptionHighlight"
+  FROM matches m
+  JOIN destinations d ON d.id = m.id, search
+  ORDER BY ${orderBy}
+`;
+
+/**
+ * Build the search filters, grouped by the facet they belong to
+ * Values are added to the replacements
+ */
+const buildSearchFilters = (searchParams, replacements) => {
+  const {
+    categories,
+    costLevelMin,
+    costLevelMax,
+    costLevels,
+    ratings,
+    attributes,
+    openNow,
+    lat,
+    lng,
+    radius
+  } = searchParams;
+  
+  const filters = {
+    base: ['d.status = \'active\''],
+    categories: [],
+    costLevels: [],
+    ratings: [],
+    attributes: [],
+    openNow: []
+  };
+  
+  if (lat && lng && radius) {
+    replacements.lat = parseFloat(lat);
+    replacements.lng = parseFloat(lng);
+    replacements.radiusMeters = parseFloat(radius) * 1000;
+    filters.base.push(`ST_DWithin(
+      d.location::geography,
+      ST_SetSRID(ST_MakePoint(:lng, :lat), 4326)::geography,
+      :radiusMeters
+    )`);
+  }
+  
+  // A category includes its subcategories
+  const categoryList = parseList(categories);
+  if (categoryList.length > 0) {
+    replacements.categories = categoryList;
+    filters.categories.push(categoryService.inCategoriesSql(':categories'));
+  }
+  
+  if (costLevelMin) {
+    replacements.costLevelMin = parseInt(costLevelMin);
+    filters.costLevels.push('d."costLevel" >= :costLevelMin');
+  }
+  if (costLevelMax) {
+    replacements.costLevelMax = parseInt(costLevelMax);
+    filters.costLevels.push('d."costLevel" <= :costLevelMax');
+  }
+  const costLevelList = parseList(costLevels).map(level => parseInt(level));
+  if (costLevelList.length > 0) {
+    replacements.costLevels = costLevelList;
+    filters.costLevels.push('d."costLevel" IN (:costLevels)');
+  }
+  
+  const ratingList = parseList(ratings).map(rating => parseInt(rating));
+  if (ratingList.length > 0) {
+    replacements.ratings = ratingList;
+    filters.ratings.push(`${RATING_BUCKET} IN (:ratings)`);
+  }
+  
+  const attributeList = parseList(attributes);
+  if (attributeList.length > 0) {
+    replacements.attributes = JSON.stringify(
+      Object.fromEntries(attributeList.map(attribute => [attribute, true]))
+    );
+    filters.attributes.push('d.attributes @> :attributes::jsonb');
+  }
+  
+  // Open now in server time, like the open destinations search
+  replacements.dayOfWeek = new Date().getDay();
+  replacements.currentTime = new Date().toTimeString().substring(0, 8);
+  if (openNow === true || openNow === 'true') {
+    filters.openNow.push(OPEN_NOW);
+  }
+  
+  return filters;
+};
+
+// Whole stars of the average rating; 5 only for a perfect average
+const RATING_BUCKET = 'FLOOR(d."averageRating")::int';
+
+const OPEN_NOW = `EXISTS (
+  SELECT 1
+  FROM operating_hours oh
+  WHERE oh."destinationId" = d.id
+    AND oh."dayOfWeek" = :dayOfWeek
+    AND (
+      oh."is24Hours" = true OR
+      (oh."openTime" <= :currentTime AND oh."closeTime" > :currentTime)
+    )
+)`;
+
+// Whether anything matches, on any page
+const hasMatches = async (run, match, filters) => {
+  const rows = await run(`
+    WITH search AS (SELECT ${match.tsQuery} AS tsquery)
+    SELECT 1 FROM destinations d, search
+    WHERE ${whereClause(filters, match)}
+    LIMIT 1
+  `);
+  
+  return rows.length > 0;
+};
+
+// The filters and text match as a WHERE clause, leaving out one facet's filters if asked
+const whereClause = (filters, match, exceptFacet) => [
+  ...Object.entries(filters)
+    .filter(([facet]) => facet !== exceptFacet)
+    .flatMap(([, conditions]) => conditions),
+  match.condition
+].join(' AND ');
+
+/**
+ * Count the matches for each facet value
+ * @param {Function} run - Runs a query in the search transaction
+ */
+const getSearchFacets = async (run, match, filters, searchParams) => {
+  const from = (exceptFacet) => `
+    WITH search AS (SELECT ${match.tsQuery} AS tsquery)
+    SELECT d.* FROM destinations d, search
+    WHERE ${whereClause(filters, match, exceptFacet)}
+  `;
+  
+  // Each category counts the matches in it or any of its subcategories
+  const categories = await run(`
+    WITH RECURSIVE matched AS (${from('categories')}),
+    closure AS (${categoryService.CATEGORY_CLOSURE_SQL})
+    SELECT c.id, c.slug, c.name, c."parentId", COUNT(DISTINCT matched.id)::int AS count
+    FROM categories c
+    JOIN closure ON closure."ancestorId" = c.id
+    JOIN destination_categories dc ON dc."categoryId" = closure."categoryId"
+    JOIN matched ON matched.id = dc."destinationId"
+    GROUP BY c.id
+    ORDER BY c."displayOrder", c.name
+  `);
+  
+  const costLevels = await run(`
+    WITH matched AS (${from('costLevels')})
+    SELECT d."costLevel" AS value, COUNT(*)::int AS count
+    FROM matched d
+    WHERE d."costLevel" IS NOT NULL
+    GROUP BY 1
+  `);
+  
+  const ratings = await run(`
+    WITH matched AS (${from('ratings')})
+    SELECT ${RATING_BUCKET} AS value, COUNT(*)::int AS count
+    FROM matched d
+    WHERE d."averageRating" IS NOT NULL
+    GROUP BY 1
+  `);
+  
+  // Counted with the attribute filter: each attribute is one more condition
+  const attributes = await run(`
+    WITH matched AS (${from()})
+    SELECT attribute.key AS value, COUNT(*)::int AS count
+    FROM matched d,
+      jsonb_each(CASE WHEN jsonb_typeof(d.attributes) = 'object' THEN d.attributes END) AS attribute
+    WHERE attribute.value = 'true'::jsonb
+    GROUP BY 1
+    ORDER BY count DESC, value
+  `);
+  
+  const [openNow] = await run(`
+    WITH matched AS (${from('openNow')})
+    SELECT COUNT(*)::int AS count
+    FROM matched d
+    WHERE ${OPEN_NOW}
+  `);
+  
+  const selectedCategories = parseList(searchParams.categories);
+  const selectedCostLevels = parseList(searchParams.costLevels).map(level => parseInt(level));
+  const selectedRatings = parseList(searchParams.ratings).map(rating => parseInt(rating));
+  const selectedAttributes = parseList(searchParams.attributes);
+  
+  // Cost levels and ratings list every value so the filter UI can show empty ones
+  const scale = (rows, selected) => [1, 2, 3, 4, 5].map(value => ({
+    value,
+    count: (rows.find(row => row.value === value) || { count: 0 }).count,
+    selected: selected.includes(value)
+  }));
+  
+  return {
+    categories: categories.map(category => ({
+      ...category,
+      selected: selectedCategories.includes(category.slug) || selectedCategories.includes(category.id)
+    })),
+    costLevels: scale(costLevels, selectedCostLevels),
+    ratings: scale(ratings, selectedRatings),
+    attributes: attributes.map(attribute => ({
+      ...attribute,
+      selected: selectedAttributes.includes(attribute.value)
+    })),
+    openNow: {
+      count: openNow.count,
+      selected: searchParams.openNow === true || searchParams.openNow === 'true'
+    }
+  };
+};
+
+// Split a comma-separated list (or an array) into trimmed, non-empty values
+const parseList = (value) => (typeof value === 'string' ? value.split(',') : value || [])
+  .map(item => String(item).trim())
+  .filter(item => item.length > 0);
+
+// Words of a search query, accents and punctuation left to the database and the tokenizer
+const getSearchWords = (query) => (query.match(/[\p{L}\p{N}]+/gu) || []).slice(0, MAX_SEARCH_WORDS);
+
+// Sort fields accepted by the search validator, mapped to their columns
+const sortColumn = (sort) => ({
+  name: 'd.name',
+  costLevel: 'd."costLevel"',
+  visitDuration: 'd."visitDuration"',
+  popularity: 'd.popularity',
+  averageRating: 'd."averageRating"',
+  createdAt: 'd."createdAt"'
+}[sort] || 'd.name');
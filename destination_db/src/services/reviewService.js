@@ -0,0 +1,102 @@
+const { QueryTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const Destination = require('../models/destination');
+const logger = require('../utils/logger');
+
+// How many reviews' worth of weight a destination's own popularity keeps against its ratings
+const POPULARITY_PRIOR_WEIGHT = parseFloat(process.env.REVIEW_POPULARITY_PRIOR_WEIGHT || '5');
+
+/**
+ * Recalculate a destination's rating summary from its approved reviews
+ *
+ * Stores the average rating, review count and per-attribute averages on the destination and
+ * blends the average into its popularity: a Bayesian average that starts from the popularity
+ * the destination had before any reviews and moves towards the average rating as reviews come
+ * in. Run it inside the transaction that changed the reviews so the summary can't drift.
+ *
+ * @param {string} destinationId - Destination to refresh
+ * @param {Object} options - Optional transaction
+ * @returns {Object} The new summary
+ */
+exports.refreshRatingSummary = async (destinationId, { transaction } = {}) => {
+  try {
+    const destination = await Destination.findByPk(destinationId, {
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    });
+
+    if (!destination) {
+      throw new Error('Destination not found');
+    }
+
+    const replacements = { destinationId };
+
+    const [totals] = await sequelize.query(`
+      SELECT COUNT(*)::int AS "count", AVG(rating) AS "average"
+      FROM reviews
+      WHERE "destinationId" = :destinationId AND status = 'approved'
+    `, { replacements, type: QueryTypes.SELECT, transaction });
+
+    // Structured feedback is averaged per attribute, ignoring values that aren't ratings
+    const attributes = await sequelize.query(`
+      SELECT attribute.key AS "attribute", AVG(attribute.value::text::float) AS "average", COUNT(*)::int AS "count"
+      FROM reviews, jsonb_each(reviews.attributes) AS attribute
+      WHERE reviews."destinationId" = :destinationId
+        AND reviews.status = 'approved'
+        AND jsonb_typeof(attribute.value) = 'number'
+      GROUP BY attribute.key
+    `, { replacements, type: QueryTypes.SELECT, transaction });
+
+    const basePopularity = destination.basePopularity !== null
+      ? destination.basePopularity
+      : destination.popularity;
+    const averageRating = totals.count > 0 ? round(totals.average) : null;
+
+    const summary = {
+      basePopularity,
+      averageRating,
+      reviewCount: totals.count,
+      attributeRatings: Object.fromEntries(attributes.map(row => [
+        row.attribute,
+        { average: round(row.average), count: row.count }
+      ])),
+      popularity: totals.count > 0
+        ? round((POPULARITY_PRIOR_WEIGHT * basePopularity + totals.count * totals.average) /
+          (POPULARITY_PRIOR_WEIGHT + totals.count))
+        : basePopularity
+    };
+
+    await destination.update(summary, { transaction });
+
+    return summary;
+  } catch (error) {
+    logger.error(`Error in reviewService.refreshRatingSummary for ID ${destinationId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Recalculate the rating summary of every destination that has reviews
+ * For reviews written directly to the database, e.g. by seeding or imports
+ */
+exports.refreshAllRatingSummaries = async () => {
+  try {
+    const rows = await sequelize.query(
+      'SELECT DISTINCT reviews."destinationId" FROM reviews JOIN destinations ON destinations.id = reviews."destinationId"',
+      { type: QueryTypes.SELECT }
+    );
+
+    for (const { destinationId } of rows) {
+      await sequelize.transaction(transaction =>
+        exports.refreshRatingSummary(destinationId, { transaction })
+      );
+    }
+
+    return rows.length;
+  } catch (error) {
+    logger.error('Error in reviewService.refreshAllRatingSummaries:', error);
+    throw error;
+  }
+};
+
+const round = (value) => Math.round(parseFloat(value) * 100) / 100;
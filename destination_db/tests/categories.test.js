@@ -2,6 +2,8 @@ const request = require('supertest');
 const app = require('../src/app');
 const { setupTestDatabase, teardownTestDatabase, generateTestToken } = require('./setup');
 const Category = require('../src/models/category');
+const Destination = require('../src/models/destination');
+const { latLngToPoint } = require('../src/utils/geoUtils');
 
 describe('Category API Endpoints', () => {
   let testDbName;
@@ -114,6 +116,48 @@ describe('Category API Endpoints', () => {
     });
   });
   
+  // GET /api/categories/tree
+  describe('GET /api/categories/tree', () => {
+    beforeAll(async () => {
+      // Make sure associations are set up
+      const setupAssociations = require('../src/models/associations');
+      setupAssociations();
+      
+      const destination = await Destination.create({
+        name: 'Louvre Museum',
+        location: latLngToPoint(48.8606, 2.3376),
+        status: 'active'
+      });
+      
+      await destination.setCategories(['33333333-3333-3333-3333-333333333333']);
+    });
+    
+    it('should return nested categories with destination counts', async () => {
+      const res = await request(app)
+        .get('/api/categories/tree')
+        .expect(200);
+      
+      expect(res.body.data.map(category => category.slug)).toEqual(['attractions', 'restaurants']);
+      
+      const [attractions] = res.body.data;
+      expect(attractions.destinationCount).toBe(0);
+      expect(attractions.totalDestinationCount).toBe(1);
+      expect(attractions.childCategories.map(category => category.slug)).toEqual(['museums']);
+      expect(attractions.childCategories[0].destinationCount).toBe(1);
+      expect(attractions.childCategories[0].childCategories).toEqual([]);
+    });
+    
+    it('should filter destinations by a parent category', async () => {
+      const res = await request(app)
+        .get('/api/destinations?category=attractions')
+        .expect(200);
+      
+      expect(res.body.data.map(destination => destination.name)).toEqual(['Louvre Museum']);
+      // The destination keeps its own categories
+      expect(res.body.data[0].categories.map(category => category.slug)).toEqual(['museums']);
+    });
+  });
+  
   // POST /api/categories
   describe('POST /api/categories', () => {
     it('should require authentication', async () => {
@@ -228,6 +272,27 @@ describe('Category API Endpoints', () => {
       expect(res.body.data.description).toBe(updateData.description);
     });
     
+    it('should not allow a category to become its own parent', async () => {
+      await request(app)
+        .put('/api/categories/11111111-1111-1111-1111-111111111111')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ parentId: '11111111-1111-1111-1111-111111111111' })
+        .expect(400);
+    });
+    
+    it('should not allow moving a category under its own subcategory', async () => {
+      const res = await request(app)
+        .put('/api/categories/11111111-1111-1111-1111-111111111111')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ parentId: '33333333-3333-3333-3333-333333333333' })
+        .expect(400);
+      
+      expect(res.body.message).toBe('Category cannot be moved under one of its own subcategories');
+      
+      const attractions = await Category.findByPk('11111111-1111-1111-1111-111111111111');
+      expect(attractions.parentId).toBeNull();
+    });
+    
     it('should return 404 for non-existent category', async () => {
       await request(app)
         .put('/api/categories/99999999-9999-9999-9999-999999999999')
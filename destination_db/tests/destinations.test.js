@@ -198,6 +198,58 @@ describe('Destination API Endpoints', () => {
     });
   });
   
+  // POST /api/destinations/batch
+  describe('POST /api/destinations/batch', () => {
+    it('should return the requested destinations with associations', async () => {
+      const res = await request(app)
+        .post('/api/destinations/batch')
+        .send({
+          ids: [
+            '22222222-2222-2222-2222-222222222222',
+            '11111111-1111-1111-1111-111111111111'
+          ]
+        })
+        .expect('Content-Type', /json/)
+        .expect(200);
+      
+      expect(res.body.data.length).toBe(2);
+      expect(res.body.data[0].name).toBe('Central Park');
+      expect(res.body.data[1].name).toBe('Empire State Building');
+      expect(res.body.data[1]).toHaveProperty('categories');
+      expect(res.body.data[1]).toHaveProperty('operatingHours');
+      expect(res.body.missing).toEqual([]);
+    });
+    
+    it('should report IDs that were not found', async () => {
+      const res = await request(app)
+        .post('/api/destinations/batch')
+        .send({
+          ids: [
+            '11111111-1111-1111-1111-111111111111',
+            '99999999-9999-9999-9999-999999999999'
+          ]
+        })
+        .expect(200);
+      
+      expect(res.body.data.length).toBe(1);
+      expect(res.body.missing).toEqual(['99999999-9999-9999-9999-999999999999']);
+    });
+    
+    it('should require at least one ID', async () => {
+      await request(app)
+        .post('/api/destinations/batch')
+        .send({ ids: [] })
+        .expect(400);
+    });
+    
+    it('should reject invalid IDs', async () => {
+      await request(app)
+        .post('/api/destinations/batch')
+        .send({ ids: ['not-a-uuid'] })
+        .expect(400);
+    });
+  });
+  
   // POST /api/destinations
   describe('POST /api/destinations', () => {
     it('should require authentication', async () => {
@@ -0,0 +1,192 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+const { setupTestDatabase, teardownTestDatabase, generateTestToken } = require('./setup');
+const Destination = require('../src/models/destination');
+const Review = require('../src/models/review');
+const { latLngToPoint } = require('../src/utils/geoUtils');
+
+const DESTINATION_ID = '11111111-1111-1111-1111-111111111111';
+
+describe('Review API Endpoints', () => {
+  let testDbName;
+  let adminToken;
+  let userToken;
+  let otherUserToken;
+  let reviewId;
+
+  beforeAll(async () => {
+    // Set up test database
+    testDbName = await setupTestDatabase();
+
+    // Generate tokens
+    adminToken = generateTestToken('admin');
+    userToken = generateTestToken('user');
+    otherUserToken = jwt.sign(
+      { id: 'other-user-id', email: 'other@example.com', role: 'user' },
+      process.env.JWT_SECRET || 'test-secret',
+      { expiresIn: '1h' }
+    );
+
+    // Make sure associations are set up
+    const setupAssociations = require('../src/models/associations');
+    setupAssociations();
+
+    await Destination.create({
+      id: DESTINATION_ID,
+      name: 'Empire State Building',
+      location: latLngToPoint(40.7484, -73.9857),
+      popularity: 4.0,
+      status: 'active'
+    });
+
+    // Approved reviews already in the database
+    await Review.bulkCreate([
+      { destinationId: DESTINATION_ID, userId: 'user1', rating: 5, attributes: { views: 5 }, createdAt: new Date('2024-01-01') },
+      { destinationId: DESTINATION_ID, userId: 'user2', rating: 3, attributes: { views: 4, value: 2 }, createdAt: new Date('2024-02-01') }
+    ]);
+  });
+
+  afterAll(async () => {
+    // Clean up test database
+    await teardownTestDatabase(testDbName);
+  });
+
+  // POST /api/destinations/:id/reviews
+  describe('POST /api/destinations/:id/reviews', () => {
+    it('should submit a review for moderation', async () => {
+      const res = await request(app)
+        .post(`/api/destinations/${DESTINATION_ID}/reviews`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          rating: 4,
+          comment: 'Great views',
+          visitContext: 'couple',
+          attributes: { views: 3 }
+        })
+        .expect(201);
+
+      expect(res.body.data.status).toBe('pending');
+      expect(res.body.data.userId).toBe('test-user-id');
+      reviewId = res.body.data.id;
+    });
+
+    it('should allow only one review per user', async () => {
+      const res = await request(app)
+        .post(`/api/destinations/${DESTINATION_ID}/reviews`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ rating: 2 })
+        .expect(409);
+
+      expect(res.body.details.reviewId).toBe(reviewId);
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .post(`/api/destinations/${DESTINATION_ID}/reviews`)
+        .send({ rating: 4 })
+        .expect(401);
+    });
+
+    it('should validate the rating', async () => {
+      await request(app)
+        .post(`/api/destinations/${DESTINATION_ID}/reviews`)
+        .set('Authorization', `Bearer ${otherUserToken}`)
+        .send({ rating: 6 })
+        .expect(400);
+    });
+  });
+
+  // GET /api/destinations/:id/reviews
+  describe('GET /api/destinations/:id/reviews', () => {
+    it('should list approved reviews with the rating summary', async () => {
+      const res = await request(app)
+        .get(`/api/destinations/${DESTINATION_ID}/reviews`)
+        .expect(200);
+
+      expect(res.body.data.length).toBe(2); // The pending review is not public
+      expect(res.body.data[0].userId).toBe('user2'); // Newest first
+      expect(res.body).toHaveProperty('summary');
+      expect(res.body.pagination.total).toBe(2);
+    });
+
+    it('should support sorting and pagination', async () => {
+      const res = await request(app)
+        .get(`/api/destinations/${DESTINATION_ID}/reviews?sort=rating&order=DESC&limit=1`)
+        .expect(200);
+
+      expect(res.body.data.length).toBe(1);
+      expect(res.body.data[0].rating).toBe(5);
+      expect(res.body.pagination.pages).toBe(2);
+    });
+  });
+
+  // Moderation
+  describe('Review moderation', () => {
+    it('should list pending reviews for admins only', async () => {
+      await request(app)
+        .get('/api/reviews/moderation')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+
+      const res = await request(app)
+        .get('/api/reviews/moderation')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body.data.map(review => review.id)).toEqual([reviewId]);
+      expect(res.body.data[0].destination.name).toBe('Empire State Building');
+    });
+
+    it('should update the rating summary and popularity when a review is approved', async () => {
+      await request(app)
+        .put(`/api/reviews/${reviewId}/moderation`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'approved' })
+        .expect(200);
+
+      const destination = await Destination.findByPk(DESTINATION_ID);
+      expect(destination.reviewCount).toBe(3);
+      expect(destination.averageRating).toBe(4);
+      expect(destination.attributeRatings.views).toEqual({ average: 4, count: 3 });
+      expect(destination.attributeRatings.value).toEqual({ average: 2, count: 1 });
+      expect(destination.basePopularity).toBe(4);
+      expect(destination.popularity).toBe(4); // (5 * 4.0 + 3 * 4) / 8
+    });
+  });
+
+  // PUT and DELETE /api/destinations/:id/reviews/:reviewId
+  describe('Editing reviews', () => {
+    it('should not let other users edit a review', async () => {
+      await request(app)
+        .put(`/api/destinations/${DESTINATION_ID}/reviews/${reviewId}`)
+        .set('Authorization', `Bearer ${otherUserToken}`)
+        .send({ rating: 1 })
+        .expect(403);
+    });
+
+    it('should send an edited review back to moderation', async () => {
+      const res = await request(app)
+        .put(`/api/destinations/${DESTINATION_ID}/reviews/${reviewId}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ rating: 1 })
+        .expect(200);
+
+      expect(res.body.data.status).toBe('pending');
+
+      const destination = await Destination.findByPk(DESTINATION_ID);
+      expect(destination.reviewCount).toBe(2);
+    });
+
+    it('should let the author delete their review', async () => {
+      await request(app)
+        .delete(`/api/destinations/${DESTINATION_ID}/reviews/${reviewId}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/destinations/${DESTINATION_ID}/reviews/${reviewId}`)
+        .expect(404);
+    });
+  });
+});
@@ -1,6 +1,10 @@
 const request = require('supertest');
 const app = require('../src/app');
 const { setupTestDatabase, teardownTestDatabase } = require('./setup');
+const Destination = require('../src/models/destination');
+const Category = require('../src/models/category');
+const OperatingHours = require('../src/models/operatingHours');
+const { latLngToPoint } = require('../src/utils/geoUtils');
 
 describe('Search API Endpoints', () => {
   let testDbName;
@@ -102,4 +106,421 @@ describe('Search API Endpoints', () => {
       expect(res.body).toHaveProperty('data');
     });
   });
-});
\ No newline at end of file
+  
+  // Injection payloads must be treated as data, never as SQL
+  describe('SQL injection protection', () => {
+    const injectionPayloads = [
+      "museums') OR 1=1 --",
+      "x'); DROP TABLE destinations; --",
+      "' UNION SELECT id, name, description, status, \"visitDuration\", \"costLevel\" FROM destinations --"
+    ];
+    
+    beforeAll(async () => {
+      // Make sure associations are set up
+      const setupAssociations = require('../src/models/associations');
+      setupAssociations();
+      
+      const category = await Category.create({
+        name: 'Museums',
+        slug: 'museums'
+      });
+      
+      const destination = await Destination.create({
+        id: '44444444-4444-4444-4444-444444444444',
+        name: 'Metropolitan Museum of Art',
+        description: 'Art museum in NYC',
+        location: latLngToPoint(40.7794, -73.9632),
+        visitDuration: 180,
+        costLevel: 3,
+        status: 'active'
+      });
+      
+      await destination.setCategories([category.id]);
+      
+      await OperatingHours.create({
+        destinationId: destination.id,
+        dayOfWeek: 1,
+        is24Hours: true
+      });
+    });
+    
+    it('should match legitimate category filters on nearby search', async () => {
+      const res = await request(app)
+        .get('/api/search/nearby?lat=40.7794&lng=-73.9632&radius=5&categories=museums')
+        .expect(200);
+      
+      expect(res.body.data.length).toBe(1);
+      expect(res.body.data[0].name).toBe('Metropolitan Museum of Art');
+    });
+    
+    it('should accept more than five category IDs on nearby search', async () => {
+      const museums = await Category.findOne({ where: { slug: 'museums' } });
+      const categoryIds = [
+        '00000000-0000-4000-8000-000000000001',
+        '00000000-0000-4000-8000-000000000002',
+        '00000000-0000-4000-8000-000000000003',
+        '00000000-0000-4000-8000-000000000004',
+        '00000000-0000-4000-8000-000000000005',
+        museums.id
+      ];
+      
+      const res = await request(app)
+        .get('/api/search/nearby')
+        .query({ lat: 40.7794, lng: -73.9632, radius: 5, categories: categoryIds.join(',') })
+        .expect(200);
+      
+      expect(res.body.data.map(dest => dest.name)).toEqual(['Metropolitan Museum of Art']);
+    });
+    
+    it.each(injectionPayloads)('should not inject SQL through nearby categories: %s', async (payload) => {
+      const res = await request(app)
+        .get('/api/search/nearby')
+        .query({ lat: 40.7794, lng: -73.9632, radius: 5, categories: payload })
+        .expect(200);
+      
+      expect(res.body.data).toEqual([]);
+      expect(await Destination.count()).toBe(1);
+    });
+    
+    it.each(injectionPayloads)('should not inject SQL through open categories: %s', async (payload) => {
+      const res = await request(app)
+        .get('/api/search/open')
+        .query({ day: 1, time: '12:00:00', categories: payload })
+        .expect(200);
+      
+      expect(res.body.data).toEqual([]);
+      expect(await Destination.count()).toBe(1);
+    });
+    
+    it('should reject injection payloads in the time parameter', async () => {
+      await request(app)
+        .get('/api/search/open')
+        .query({ day: 1, time: "12:00:00' OR '1'='1" })
+        .expect(400);
+    });
+    
+    it('should reject injection payloads in the day parameter', async () => {
+      await request(app)
+        .get('/api/search/open')
+        .query({ day: '1 OR 1=1', time: '12:00:00' })
+        .expect(400);
+    });
+    
+    it('should reject non-numeric coordinates on nearby search', async () => {
+      await request(app)
+        .get('/api/search/nearby')
+        .query({ lat: '40.7794); DROP TABLE destinations; --', lng: -73.9632 })
+        .expect(400);
+    });
+    
+    it.each(injectionPayloads)('should not inject SQL through the search query: %s', async (payload) => {
+      await request(app)
+        .get('/api/search')
+        .query({ query: payload })
+        .expect(200);
+      
+      expect(await Destination.count()).toBe(1);
+    });
+  });
+  
+  // Full-text search with the typo-tolerant fallback
+  describe('Full-text search', () => {
+    beforeAll(async () => {
+      const category = await Category.create({
+        name: 'Parks',
+        slug: 'parks'
+      });
+      
+      const park = await Destination.create({
+        name: 'Central Park',
+        description: 'Huge urban park with lakes, meadows and walking paths',
+        address: { street: '59th St', city: 'New York', country: 'USA' },
+        location: latLngToPoint(40.7829, -73.9654),
+        costLevel: 1,
+        status: 'active'
+      });
+      
+      await park.setCategories([category.id]);
+      
+      await Destination.create({
+        name: 'Café Sabarsky',
+        description: 'Viennese café known for its Sachertorte, near Central Park',
+        location: latLngToPoint(40.7813, -73.9603),
+        costLevel: 3,
+        status: 'active'
+      });
+    });
+    
+    it('should rank name matches above description matches', async () => {
+      const res = await request(app)
+        .get('/api/search?query=central park')
+        .expect(200);
+      
+      expect(res.body.search.matchType).toBe('fulltext');
+      expect(res.body.data.map(dest => dest.name)).toEqual(['Central Park', 'Café Sabarsky']);
+      expect(res.body.data[0].relevance).toBeGreaterThan(res.body.data[1].relevance);
+      expect(res.body.data[0].highlights.name).toBe('<mark>Central</mark> <mark>Park</mark>');
+    });
+    
+    it('should match stemmed words, categories, addresses and accents', async () => {
+      const walks = await request(app).get('/api/search?query=walk').expect(200);
+      expect(walks.body.data.map(dest => dest.name)).toEqual(['Central Park']);
+      expect(walks.body.data[0].highlights.description).toContain('<mark>walking</mark>');
+      
+      const parks = await request(app).get('/api/search?query=parks&categories=parks').expect(200);
+      expect(parks.body.data.map(dest => dest.name)).toEqual(['Central Park']);
+      
+      const newYork = await request(app).get('/api/search?query=new york').expect(200);
+      expect(newYork.body.data.map(dest => dest.name)).toEqual(['Central Park']);
+      
+      const cafe = await request(app).get('/api/search?query=cafe').expect(200);
+      expect(cafe.body.data.map(dest => dest.name)).toEqual(['Café Sabarsky']);
+    });
+    
+    it('should match partial names', async () => {
+      const res = await request(app)
+        .get('/api/search?query=saba')
+        .expect(200);
+      
+      expect(res.body.data.map(dest => dest.name)).toEqual(['Café Sabarsky']);
+    });
+    
+    it('should fall back to similar names for misspellings', async () => {
+      const res = await request(app)
+        .get('/api/search?query=centrl prak')
+        .expect(200);
+      
+      expect(res.body.search.matchType).toBe('fuzzy');
+      expect(res.body.data[0].name).toBe('Central Park');
+      expect(res.body.data[0].matchType).toBe('fuzzy');
+    });
+    
+    it('should apply filters to text matches', async () => {
+      const res = await request(app)
+        .get('/api/search?query=park&costLevelMin=2')
+        .expect(200);
+      
+      expect(res.body.data.map(dest => dest.name)).toEqual(['Café Sabarsky']);
+    });
+    
+    it('should list by name when there is no query', async () => {
+      const res = await request(app)
+        .get('/api/search?limit=100')
+        .expect(200);
+      
+      const names = res.body.data.map(dest => dest.name);
+      expect(names.indexOf('Café Sabarsky')).toBeGreaterThan(-1);
+      expect(names.indexOf('Café Sabarsky')).toBeLessThan(names.indexOf('Central Park'));
+    });
+    
+    it('should keep the search vector up to date', async () => {
+      const park = await Destination.findOne({ where: { name: 'Central Park' } });
+      await park.update({ description: 'Green space with a zoo' });
+      
+      const res = await request(app)
+        .get('/api/search?query=zoo')
+        .expect(200);
+      
+      expect(res.body.data.map(dest => dest.name)).toEqual(['Central Park']);
+      expect(res.body.data[0]).not.toHaveProperty('searchVector');
+    });
+  });
+  
+  // Facet counts and multi-select filters
+  describe('Search facets', () => {
+    beforeAll(async () => {
+      const outdoors = await Category.create({
+        name: 'Outdoors',
+        slug: 'outdoors'
+      });
+      await Category.update({ parentId: outdoors.id }, { where: { slug: 'parks' } });
+      
+      await Destination.update(
+        { attributes: { kidFriendly: true, accessible: false } },
+        { where: { name: 'Central Park' } }
+      );
+      await Destination.update(
+        { averageRating: 4.5, attributes: { accessible: true } },
+        { where: { name: 'Metropolitan Museum of Art' } }
+      );
+    });
+    
+    const facetValue = (facet, value) => facet.find(entry => entry.value === value);
+    
+    it('should count results per facet value', async () => {
+      const res = await request(app)
+        .get('/api/search?limit=5')
+        .expect(200);
+      
+      const { facets } = res.body;
+      expect(facetValue(facets.costLevels, 1).count).toBe(1);
+      expect(facetValue(facets.costLevels, 3).count).toBe(2);
+      expect(facetValue(facets.costLevels, 5).count).toBe(0);
+      expect(facetValue(facets.ratings, 4).count).toBe(1);
+      expect(facets.attributes).toEqual([
+        { value: 'accessible', count: 1, selected: false },
+        { value: 'kidFriendly', count: 1, selected: false }
+      ]);
+      expect(facets.openNow).toHaveProperty('count');
+      
+      // Parent categories count the destinations of their subcategories
+      const outdoors = facets.categories.find(category => category.slug === 'outdoors');
+      expect(outdoors.count).toBe(1);
+    });
+    
+    it('should filter on subcategories of a selected category', async () => {
+      const res = await request(app)
+        .get('/api/search?categories=outdoors')
+        .expect(200);
+      
+      expect(res.body.data.map(dest => dest.name)).toEqual(['Central Park']);
+      expect(res.body.facets.categories.find(category => category.slug === 'outdoors').selected).toBe(true);
+    });
+    
+    it('should count a facet without its own selection', async () => {
+      const res = await request(app)
+        .get('/api/search?costLevels=1&ratings=4,5')
+        .expect(200);
+      
+      expect(res.body.data).toEqual([]);
+      // Switching the cost level to 3 would find the museum
+      expect(facetValue(res.body.facets.costLevels, 3).count).toBe(1);
+      expect(facetValue(res.body.facets.costLevels, 1).selected).toBe(true);
+      expect(facetValue(res.body.facets.ratings, 4).count).toBe(0);
+    });
+    
+    it('should require every selected attribute', async () => {
+      const res = await request(app)
+        .get('/api/search?attributes=kidFriendly,accessible')
+        .expect(200);
+      
+      expect(res.body.data).toEqual([]);
+      
+      const kidFriendly = await request(app)
+        .get('/api/search?query=park&attributes=kidFriendly')
+        .expect(200);
+      
+      expect(kidFriendly.body.data.map(dest => dest.name)).toEqual(['Central Park']);
+      expect(kidFriendly.body.facets.attributes).toEqual([
+        { value: 'kidFriendly', count: 1, selected: true }
+      ]);
+    });
+    
+    it('should reject malformed facet filters', async () => {
+      await request(app)
+        .get('/api/search')
+        .query({ costLevels: '1,9' })
+        .expect(400);
+      
+      await request(app)
+        .get('/api/search')
+        .query({ attributes: "kidFriendly') OR 1=1 --" })
+        .expect(400);
+    });
+  });
+  
+  // Map viewport and polygon searches
+  describe('Map area search', () => {
+    const manhattan = { minLng: -74.02, minLat: 40.70, maxLng: -73.93, maxLat: 40.88 };
+    
+    it('should return the destinations inside a bounding box', async () => {
+      const res = await request(app)
+        .get('/api/search/bbox')
+        .query({ ...manhattan, zoom: 16 })
+        .expect(200);
+      
+      expect(res.body.clustered).toBe(false);
+      expect(res.body.total).toBe(3);
+      expect(res.body.data.map(dest => dest.name).sort()).toEqual([
+        'Café Sabarsky', 'Central Park', 'Metropolitan Museum of Art'
+      ]);
+      expect(res.body.data[0]).toHaveProperty('latitude');
+    });
+    
+    it('should apply category and cost filters', async () => {
+      const res = await request(app)
+        .get('/api/search/bbox')
+        .query({ ...manhattan, categories: 'outdoors', costLevelMax: 2 })
+        .expect(200);
+      
+      expect(res.body.data.map(dest => dest.name)).toEqual(['Central Park']);
+    });
+    
+    it('should return clusters when zoomed out', async () => {
+      const res = await request(app)
+        .get('/api/search/bbox')
+        .query({ ...manhattan, zoom: 4 })
+        .expect(200);
+      
+      expect(res.body.clustered).toBe(true);
+      expect(res.body.total).toBe(3);
+      expect(res.body.clusters.length).toBe(1);
+      expect(res.body.clusters[0].count).toBe(3);
+      expect(res.body.clusters[0].bounds.minLat).toBeCloseTo(40.7794);
+      expect(res.body).not.toHaveProperty('data');
+    });
+    
+    it('should search boxes crossing the antimeridian', async () => {
+      const res = await request(app)
+        .get('/api/search/bbox')
+        .query({ minLng: 170, minLat: -20, maxLng: -170, maxLat: 20 })
+        .expect(200);
+      
+      expect(res.body.data).toEqual([]);
+    });
+    
+    it('should require a complete bounding box', async () => {
+      await request(app)
+        .get('/api/search/bbox')
+        .query({ minLng: -74.02, minLat: 40.70 })
+        .expect(400);
+    });
+    
+    it('should return the destinations inside a GeoJSON polygon', async () => {
+      const res = await request(app)
+        .post('/api/search/polygon')
+        .send({
+          polygon: {
+            type: 'Polygon',
+            coordinates: [[
+              [-73.968, 40.781], [-73.963, 40.781], [-73.963, 40.785], [-73.968, 40.785], [-73.968, 40.781]
+            ]]
+          }
+        })
+        .expect(200);
+      
+      expect(res.body.data.map(dest => dest.name)).toEqual(['Central Park']);
+    });
+    
+    it('should reject polygons that are not closed', async () => {
+      await request(app)
+        .post('/api/search/polygon')
+        .send({
+          polygon: {
+            type: 'Polygon',
+            coordinates: [[[-73.968, 40.781], [-73.963, 40.781], [-73.963, 40.785], [-73.968, 40.785]]]
+          }
+        })
+        .expect(400);
+    });
+    
+    it.each([
+      ['Polygon', 1000, 200],
+      ['Polygon', 1001, 400],
+      ['MultiPolygon', 1000, 200],
+      ['MultiPolygon', 1001, 400]
+    ])('should limit a %s to 1000 positions (%i positions)', async (type, positions, status) => {
+      // A closed ring of the given length around Central Park
+      const ring = Array.from({ length: positions - 1 }, (value, i) => {
+        const angle = (2 * Math.PI * i) / (positions - 1);
+        return [-73.9654 + 0.01 * Math.cos(angle), 40.7829 + 0.01 * Math.sin(angle)];
+      });
+      ring.push(ring[0]);
+      
+      await request(app)
+        .post('/api/search/polygon')
+        .send({ polygon: { type, coordinates: type === 'Polygon' ? [ring] : [[ring]] } })
+        .expect(status);
+    });
+  });
+});
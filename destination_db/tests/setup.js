@@ -2,6 +2,7 @@ const { MongoMemoryServer } = require('mongodb-memory-server');
 const { execSync } = require('child_process');
 const { Client } = require('pg');
 const sequelize = require('../src/config/database');
+const { setupSearchIndex } = require('../src/config/searchIndex');
 const jwt = require('jsonwebtoken');
 require('dotenv').config();
 
@@ -32,10 +33,15 @@ async function setupTestDatabase() {
     // Initialize database and PostGIS
     await sequelize.authenticate();
     await sequelize.query('CREATE EXTENSION IF NOT EXISTS postgis');
+    await sequelize.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+    await sequelize.query('CREATE EXTENSION IF NOT EXISTS unaccent');
     
     // Sync models
     await sequelize.sync({ force: true });
     
+    // Search vector triggers
+    await setupSearchIndex();
+    
     return testDbName;
   } catch (error) {
     console.error('Error setting up test database:', error);
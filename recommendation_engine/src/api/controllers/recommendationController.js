@@ -1,12 +1,32 @@
-const { v4: uuidv4, v5: uuidv5 } = require('uuid');
+const { v5: uuidv5 } = require('uuid');
 const scoringService = require('../../services/scoringService');
 const constraintSolver = require('../../services/constraintSolver');
 const destinationService = require('../../services/destinationService');
+const eventService = require('../../services/eventService');
+const explanationService = require('../../services/explanationService');
+const itineraryService = require('../../services/itineraryService');
+const jobService = require('../../services/jobService');
+const preferenceUpdateScheduler = require('../../tasks/preferenceUpdateScheduler');
+const profileService = require('../../services/profileService');
+const tripPlanner = require('../../services/tripPlanner');
+const weatherService = require('../../services/weatherService');
+const config = require('../../config/settings');
 const logger = require('../../utils/logger');
+const { determineTimeOfDay, calculateAvailableTime } = require('../../utils/timeUtils');
+const { BadRequestError } = require('../../utils/errors');
 const jwt = require('jsonwebtoken');
+const Itinerary = require('../../models/itinerary');
 const Recommendation = require('../../models/recommendation');
+const Trip = require('../../models/trip');
 const UserToken = require('../../models/userToken');
 
+// Events sent to event streams; anything else on the user's channel stays internal
+const STREAM_EVENT_TYPES = [
+  'itinerary.generated',
+  'itinerary.refined',
+  'itinerary.item_status_changed'
+];
+
 /**
  * Storing user tokens
  * @param {string} userId 
@@ -48,6 +68,23 @@ const storeUserToken = async (userId, authHeader) => {
   }
 };
 
+/**
+ * Destinations visited on the other days of the itinerary's trip, if it belongs to one
+ * @param {Itinerary} itinerary 
+ * @returns {Array} destination IDs
+ */
+const getTripDestinationIds = async (itinerary) => {
+  if (!itinerary.tripId) return [];
+  
+  const siblings = await Itinerary.findAll({
+    where: { tripId: itinerary.tripId, userId: itinerary.userId }
+  });
+  
+  return siblings
+    .filter(sibling => sibling.id !== itinerary.id)
+    .flatMap(sibling => sibling.items.filter(item => item.destinationId).map(item => item.destinationId));
+};
+
 /**
  * Generate recommendations based on user profile
  */
@@ -60,7 +97,14 @@ exports.generateRecommendations = async (req, res, next) => {
       startTime, 
       endTime, 
       preferences = {},
-      transportMode = 'walking'
+      transportMode = 'walking',
+      weather: weatherOverride,
+      solver,
+      diversity,
+      mustInclude = [],
+      pinned = [],
+      exclude = [],
+      callbackUrl
     } = req.body;
 
     const authToken = req.headers.authorization;
@@ -75,82 +119,189 @@ exports.generateRecommendations = async (req, res, next) => {
       });
     }
     
+    // Convert UserID (string) to UUID
+    const NAMESPACE = '6ba7b810-9dad-11d1-80b4-00c04fd430c8'; // This is a standard namespace UUID
+    const convertedUserId = uuidv5(userId.toString(), NAMESPACE);
+    
+    // Queue the generate_recommendations task and let the client poll (or be called back)
+    if (req.query.async === 'true') {
+      const job = await jobService.enqueueJob(
+        convertedUserId,
+        'tasks.generate_recommendations',
+        { ...req.body, userId: convertedUserId, authUserId: userId },
+        callbackUrl
+      );
+      
+      return res.status(202).json({
+        success: true,
+        data: {
+          jobId: job.id,
+          status: job.status,
+          statusUrl: `${req.baseUrl}/jobs/${job.id}`
+        }
+      });
+    }
+    
     // Get nearby destinations within a reasonable radius
     const nearbyDestinations = await destinationService.findNearbyDestinations(
       location.latitude,
       location.longitude,
-      5, // 5km radius
-      preferences.categories // Optional category filter
+      config.NEARBY_SEARCH_RADIUS_KM,
+      preferences.categories, // Optional category filter
+      config.NEARBY_SEARCH_LIMIT
     );
     
-    if (!nearbyDestinations.length) {
+    // Required destinations are planned even when the nearby search didn't return them;
+    // excluded ones are dropped by the solver
+    const constraints = { mustInclude, pinned, exclude };
+    const candidates = await destinationService.withDestinations(
+      nearbyDestinations,
+      [...mustInclude.map(entry => entry.destinationId), ...pinned]
+    );
+    
+    if (!candidates.length) {
       return res.status(404).json({ 
         error: true, 
         message: 'No destinations found in this location' 
       });
     }
     
-    // Collect destination IDs
-    const destinationIds = nearbyDestinations.map(dest => dest.id);
-    
-    // Build context object
+    // Build context object - an explicit weather in the request wins over the forecast
+    const forecast = await weatherService.getForecast(location, date, weatherOverride);
     const context = {
       date,
+      location,
       timeOfDay: determineTimeOfDay(startTime),
-      weather: await getWeatherForLocation(location, date),
+      weather: forecast ? forecast.type : undefined,
+      temperature: forecast ? forecast.temperature : undefined,
       availableTime: calculateAvailableTime(startTime, endTime)
     };
-
-    // Convert UserID (string) to UUID
-    const NAMESPACE = '6ba7b810-9dad-11d1-80b4-00c04fd430c8'; // This is a standard namespace UUID
-    const convertedUserId = uuidv5(userId.toString(), NAMESPACE);
     
     // Score destinations
-    const scoredDestinations = await scoringService.scoreDestinations(convertedUserId, destinationIds, context, authToken);
+    const scoredDestinations = await scoringService.scoreDestinations(convertedUserId, candidates, context, authToken);
+    
+    // Meal times and rest periods come from the user's schedule preferences
+    const schedule = await profileService.getUserSchedule(convertedUserId, authToken);
     
     // Create an optimized itinerary
-    const itinerary = await constraintSolver.createOptimizedItinerary(
+    const { items, dropped } = await constraintSolver.createOptimizedItinerary(
       scoredDestinations,
       {
+        date,
         startTime,
         endTime,
         startLocation: location,
-        transportMode
+        transportMode,
+        schedule,
+        solver,
+        diversity,
+        constraints
       }
     );
     
-    // Generate a unique itineraryId
-    const itineraryId = uuidv4();
+    // Store the itinerary and its recommendations
+    const itinerary = await itineraryService.saveItinerary({
+      userId: convertedUserId,
+      date,
+      startTime,
+      endTime,
+      startLocation: location,
+      transportMode,
+      requestParams: { preferences, weather: weatherOverride, solver, diversity, constraints },
+      context,
+      items,
+      dropped,
+      scoredDestinations
+    });
     
-    // Store recommendations
-    for (const item of itinerary) {
-      if (item.type === 'break') continue; // Skip breaks
-      
-      await Recommendation.create({
-        userId: convertedUserId,
-        itineraryId,
-        destinationId: item.destinationId,
-        score: item.score,
-        position: itinerary.indexOf(item),
-        reasoning: scoredDestinations.find(d => d.destinationId === item.destinationId)?.reasoning || {},
-        contextData: context,
-        status: 'pending'
+    // Return the itinerary to the client
+    res.status(200).json({
+      success: true,
+      data: itineraryService.serializeItinerary(itinerary)
+    });
+  } catch (error) {
+    logger.error('Error generating recommendations:', error);
+    next(error);
+  }
+};
+
+/**
+ * Plan a multi-day trip - one itinerary per day, grouped under a trip
+ */
+exports.generateTrip = async (req, res, next) => {
+  try {
+    const { userId } = req.user; // From auth middleware
+    const authToken = req.headers.authorization;
+
+    await storeUserToken(userId, authToken);
+
+    // Convert UserID (string) to UUID
+    const NAMESPACE = '6ba7b810-9dad-11d1-80b4-00c04fd430c8'; // This is a standard namespace UUID
+    const convertedUserId = uuidv5(userId.toString(), NAMESPACE);
+    
+    const trip = await tripPlanner.planTrip(convertedUserId, req.body, authToken);
+    
+    res.status(201).json({
+      success: true,
+      data: trip
+    });
+  } catch (error) {
+    logger.error('Error planning trip:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a previously planned trip with its daily itineraries
+ */
+exports.getTrip = async (req, res, next) => {
+  try {
+    const { userId } = req.user;
+    const { tripId } = req.params;
+
+    // Convert UserID (string) to UUID
+    const NAMESPACE = '6ba7b810-9dad-11d1-80b4-00c04fd430c8'; // This is a standard namespace UUID
+    const convertedUserId = uuidv5(userId.toString(), NAMESPACE);
+    
+    const trip = await Trip.findOne({
+      where: { id: tripId, userId: convertedUserId }
+    });
+    
+    if (!trip) {
+      return res.status(404).json({
+        error: true,
+        message: 'Trip not found'
       });
     }
     
-    // Return the itinerary to the client
+    // Day schedules live on their itineraries; trips planned before itineraries were stored
+    // kept them on the day itself
+    const itineraries = await Itinerary.findAll({
+      where: { tripId: trip.id, userId: convertedUserId }
+    });
+    const itinerariesById = new Map(itineraries.map(itinerary => [itinerary.id, itinerary]));
+    
+    const days = trip.days.map(day => {
+      const itinerary = itinerariesById.get(day.itineraryId);
+      
+      return itinerary
+        ? { ...day, version: itinerary.version, items: itinerary.items, dropped: itinerary.dropped }
+        : { items: [], dropped: [], ...day };
+    });
+    
     res.status(200).json({
       success: true,
       data: {
-        itineraryId,
-        date,
-        startTime,
-        endTime,
-        items: itinerary
+        tripId: trip.id,
+        startDate: trip.startDate,
+        endDate: trip.endDate,
+        location: trip.location,
+        days,
+        createdAt: trip.createdAt
       }
     });
-} catch (error) {
-    logger.error('Error generating recommendations:', error);
+  } catch (error) {
+    logger.error('Error getting trip:', error);
     next(error);
   }
 };
@@ -165,7 +316,12 @@ exports.refineItinerary = async (req, res, next) => {
     const { 
       removedDestinations = [], 
       addedConstraints = {},
-      transportMode
+      transportMode,
+      solver,
+      diversity,
+      mustInclude = [],
+      pinned = [],
+      exclude = []
     } = req.body;
 
     await storeUserToken(userId, req.headers.authorization);
@@ -175,85 +331,345 @@ exports.refineItinerary = async (req, res, next) => {
     const convertedUserId = uuidv5(userId.toString(), NAMESPACE);
     
     // Get the original itinerary
-    const recommendations = await Recommendation.findAll({
-      where: { userId: convertedUserId, itineraryId },
-      order: [['position', 'ASC']]
-    });
+    const itinerary = await itineraryService.getItinerary(convertedUserId, itineraryId);
     
-    if (!recommendations.length) {
+    if (!itinerary) {
       return res.status(404).json({
         error: true,
         message: 'Itinerary not found'
       });
     }
     
-    // Get destination details
-    const destinationIds = recommendations.map(rec => rec.destinationId)
-      .filter(id => !removedDestinations.includes(id));
+    // New constraints override what the itinerary was generated with
+    const changes = {
+      startTime: addedConstraints.startTime || itinerary.startTime,
+      endTime: addedConstraints.endTime || itinerary.endTime,
+      startLocation: addedConstraints.startLocation || itinerary.startLocation,
+      transportMode: transportMode || itinerary.transportMode
+    };
+    const diversityOptions = diversity || itinerary.requestParams.diversity;
+    
+    // Constraints from earlier requests still apply unless the destination was removed now;
+    // removed destinations stay excluded from later refinements until they are added back
+    const previous = itinerary.requestParams.constraints || {};
+    const removedIds = new Set([...removedDestinations, ...exclude]);
+    const addedIds = new Set([...pinned, ...mustInclude.map(entry => entry.destinationId)]);
+    const constraints = {
+      mustInclude: [
+        ...(previous.mustInclude || []).filter(entry => !removedIds.has(entry.destinationId) &&
+          !mustInclude.some(added => added.destinationId === entry.destinationId)),
+        ...mustInclude
+      ],
+      pinned: [...new Set([...(previous.pinned || []).filter(id => !removedIds.has(id)), ...pinned])],
+      exclude: [...new Set([
+        ...(previous.exclude || []).filter(id => !addedIds.has(id)),
+        ...removedDestinations,
+        ...exclude
+      ])]
+    };
     
-    // If no destinations left after removal, return error
-    if (destinationIds.length === 0) {
-      return res.status(400).json({
-        error: true,
-        message: 'Cannot refine itinerary with all destinations removed'
-      });
-    }
+    // Remaining visits stay in the plan; the freed time is backfilled from a fresh search
+    // around where the itinerary was originally generated
+    const visits = itinerary.items.filter(item => item.type === 'visit');
+    const keptIds = visits
+      .filter(item => !removedIds.has(item.destinationId))
+      .map(item => item.destinationId);
+    
+    // Pinning a destination that's already scheduled locks it to its current time
+    const locked = visits
+      .filter(item => pinned.includes(item.destinationId) &&
+        !constraints.mustInclude.some(entry => entry.destinationId === item.destinationId))
+      .map(item => ({ destinationId: item.destinationId, startTime: item.startTime }));
+    
+    const requiredIds = [
+      ...keptIds,
+      ...constraints.pinned,
+      ...constraints.mustInclude.map(entry => entry.destinationId)
+    ];
+    
+    const location = itinerary.context.location || itinerary.startLocation;
+    const { preferences = {} } = itinerary.requestParams;
+    
+    // Never suggest what the user removed or excluded, rejected before, or what another day of the trip uses
+    const excludedIds = new Set([
+      ...constraints.exclude,
+      ...await itineraryService.getRejectedDestinationIds(convertedUserId),
+      ...await getTripDestinationIds(itinerary)
+    ]);
     
-    // Get destination details
-    const destinations = await destinationService.getDestinationDetails(destinationIds);
+    const nearbyDestinations = await destinationService.findNearbyDestinations(
+      location.latitude,
+      location.longitude,
+      config.NEARBY_SEARCH_RADIUS_KM,
+      preferences.categories, // Optional category filter
+      config.NEARBY_SEARCH_LIMIT
+    );
+    
+    const candidates = await destinationService.withDestinations(
+      nearbyDestinations.filter(dest => !excludedIds.has(dest.id) || requiredIds.includes(dest.id)),
+      requiredIds
+    );
     
-    // Reconstruct context from first recommendation
-    const context = recommendations[0].contextData || {};
+    const context = {
+      ...itinerary.context,
+      timeOfDay: determineTimeOfDay(changes.startTime),
+      availableTime: calculateAvailableTime(changes.startTime, changes.endTime)
+    };
     
-    // Apply new constraints if provided
-    if (addedConstraints.startTime) context.startTime = addedConstraints.startTime;
-    if (addedConstraints.endTime) context.endTime = addedConstraints.endTime;
+    const scoredDestinations = candidates.length
+      ? await scoringService.scoreDestinations(convertedUserId, candidates, context, req.headers.authorization)
+      : [];
     
-    // Create a new optimized itinerary
-    const scoredDestinations = destinations.map(dest => ({
-      destinationId: dest.id,
-      score: recommendations.find(r => r.destinationId === dest.id)?.score || 0.5,
-      location: {
-        latitude: dest.location.coordinates[1],
-        longitude: dest.location.coordinates[0]
-      },
-      visitDuration: dest.visitDuration
-    }));
+    const schedule = await profileService.getUserSchedule(convertedUserId, req.headers.authorization);
     
-    const newItinerary = await constraintSolver.createOptimizedItinerary(
+    // Kept visits must stay, but may move; explicitly pinned ones keep their time
+    const solution = await constraintSolver.createOptimizedItinerary(
       scoredDestinations,
       {
-        startTime: context.startTime || '09:00',
-        endTime: context.endTime || '17:00',
-        startLocation: addedConstraints.startLocation || null,
-        transportMode: transportMode || 'walking'
+        date: itinerary.date,
+        ...changes,
+        schedule,
+        solver,
+        diversity: diversityOptions,
+        constraints: {
+          mustInclude: [...constraints.mustInclude, ...locked],
+          pinned: [...new Set([...keptIds, ...constraints.pinned])],
+          exclude: constraints.exclude
+        }
       }
     );
     
-    // Update recommendation positions
-    for (const item of newItinerary) {
-      if (item.type === 'break') continue;
-      
-      await Recommendation.update(
-        { position: newItinerary.indexOf(item) },
-        { where: { itineraryId, destinationId: item.destinationId } }
-      );
-    }
+    const refined = await itineraryService.reviseItinerary(itinerary, {
+      ...changes,
+      requestParams: { ...itinerary.requestParams, diversity: diversityOptions, constraints },
+      items: solution.items,
+      dropped: solution.dropped,
+      scoredDestinations,
+      change: { type: 'refine', removedDestinations, addedConstraints, transportMode, diversity, mustInclude, pinned, exclude }
+    });
     
     // Return the refined itinerary
+    res.status(200).json({
+      success: true,
+      data: itineraryService.serializeItinerary(refined)
+    });
+  } catch (error) {
+    logger.error('Error refining itinerary:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get the status, and once finished the result or error, of an async generation job
+ */
+exports.getJob = async (req, res, next) => {
+  try {
+    const { userId } = req.user;
+    const { jobId } = req.params;
+
+    // Convert UserID (string) to UUID
+    const NAMESPACE = '6ba7b810-9dad-11d1-80b4-00c04fd430c8'; // This is a standard namespace UUID
+    const convertedUserId = uuidv5(userId.toString(), NAMESPACE);
+    
+    const job = await jobService.getJob(convertedUserId, jobId);
+    
+    if (!job) {
+      return res.status(404).json({
+        error: true,
+        message: 'Job not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: jobService.serializeJob(job)
+    });
+  } catch (error) {
+    logger.error('Error getting job:', error);
+    next(error);
+  }
+};
+
+/**
+ * List the versions of an itinerary, oldest first
+ */
+exports.getItineraryVersions = async (req, res, next) => {
+  try {
+    const { userId } = req.user;
+    const { itineraryId } = req.params;
+
+    // Convert UserID (string) to UUID
+    const NAMESPACE = '6ba7b810-9dad-11d1-80b4-00c04fd430c8'; // This is a standard namespace UUID
+    const convertedUserId = uuidv5(userId.toString(), NAMESPACE);
+    
+    const itinerary = await itineraryService.getItinerary(convertedUserId, itineraryId);
+    
+    if (!itinerary) {
+      return res.status(404).json({
+        error: true,
+        message: 'Itinerary not found'
+      });
+    }
+    
+    const versions = await itineraryService.listVersions(itineraryId);
+    
     res.status(200).json({
       success: true,
       data: {
         itineraryId,
-        items: newItinerary
+        currentVersion: itinerary.version,
+        versions: versions.map(snapshot => ({
+          version: snapshot.version,
+          change: snapshot.change,
+          startTime: snapshot.startTime,
+          endTime: snapshot.endTime,
+          transportMode: snapshot.transportMode,
+          visitCount: snapshot.items.filter(item => item.type === 'visit').length,
+          createdAt: snapshot.createdAt
+        }))
       }
     });
   } catch (error) {
-    logger.error('Error refining itinerary:', error);
+    logger.error('Error listing itinerary versions:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get one earlier version of an itinerary
+ */
+exports.getItineraryVersion = async (req, res, next) => {
+  try {
+    const { userId } = req.user;
+    const { itineraryId } = req.params;
+    const version = parseVersion(req.params.version, 'version');
+
+    // Convert UserID (string) to UUID
+    const NAMESPACE = '6ba7b810-9dad-11d1-80b4-00c04fd430c8'; // This is a standard namespace UUID
+    const convertedUserId = uuidv5(userId.toString(), NAMESPACE);
+    
+    const itinerary = await itineraryService.getItinerary(convertedUserId, itineraryId);
+    const snapshot = itinerary && await itineraryService.getVersion(itineraryId, version);
+    
+    if (!snapshot) {
+      return res.status(404).json({
+        error: true,
+        message: 'Itinerary version not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        itineraryId,
+        ...itineraryService.serializeVersion(snapshot)
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting itinerary version:', error);
     next(error);
   }
 };
 
+/**
+ * Show which destinations were added, removed, moved or retimed between two versions
+ * Defaults to the current version against the one before it.
+ */
+exports.getItineraryDiff = async (req, res, next) => {
+  try {
+    const { userId } = req.user;
+    const { itineraryId } = req.params;
+
+    // Convert UserID (string) to UUID
+    const NAMESPACE = '6ba7b810-9dad-11d1-80b4-00c04fd430c8'; // This is a standard namespace UUID
+    const convertedUserId = uuidv5(userId.toString(), NAMESPACE);
+    
+    const itinerary = await itineraryService.getItinerary(convertedUserId, itineraryId);
+    
+    if (!itinerary) {
+      return res.status(404).json({
+        error: true,
+        message: 'Itinerary not found'
+      });
+    }
+    
+    const to = req.query.to !== undefined ? parseVersion(req.query.to, 'to') : itinerary.version;
+    const from = req.query.from !== undefined ? parseVersion(req.query.from, 'from') : Math.max(to - 1, 1);
+    
+    const [fromVersion, toVersion] = await Promise.all([
+      itineraryService.getVersion(itineraryId, from),
+      itineraryService.getVersion(itineraryId, to)
+    ]);
+    
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({
+        error: true,
+        message: 'Itinerary version not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        itineraryId,
+        from,
+        to,
+        ...itineraryService.diffItems(fromVersion.items, toVersion.items)
+      }
+    });
+  } catch (error) {
+    logger.error('Error diffing itinerary versions:', error);
+    next(error);
+  }
+};
+
+/**
+ * Undo refinements by making an earlier version current again
+ * The restored copy is saved as a new version, so the restore itself can be undone.
+ */
+exports.restoreItineraryVersion = async (req, res, next) => {
+  try {
+    const { userId } = req.user;
+    const { itineraryId } = req.params;
+    const version = parseVersion(req.params.version, 'version');
+
+    // Convert UserID (string) to UUID
+    const NAMESPACE = '6ba7b810-9dad-11d1-80b4-00c04fd430c8'; // This is a standard namespace UUID
+    const convertedUserId = uuidv5(userId.toString(), NAMESPACE);
+    
+    const itinerary = await itineraryService.getItinerary(convertedUserId, itineraryId);
+    const restored = itinerary && await itineraryService.restoreVersion(itinerary, version);
+    
+    if (!restored) {
+      return res.status(404).json({
+        error: true,
+        message: 'Itinerary version not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: itineraryService.serializeItinerary(restored)
+    });
+  } catch (error) {
+    logger.error('Error restoring itinerary version:', error);
+    next(error);
+  }
+};
+
+/**
+ * Version numbers from the path or query string
+ */
+const parseVersion = (value, name) => {
+  const version = Number(value);
+  
+  if (!Number.isInteger(version) || version < 1) {
+    throw new BadRequestError(`${name} must be a positive integer`);
+  }
+  
+  return version;
+};
+
 /**
  * Save feedback on a recommendation
  */
@@ -288,11 +704,37 @@ exports.saveFeedback = async (req, res, next) => {
       updatedAt: new Date().toISOString()
     };
     
+    const previousStatus = recommendation.status;
+    
     await recommendation.update({
       feedback: updatedFeedback,
       status: status || recommendation.status
     });
     
+    // Keep a token so the preference update triggered by this feedback can reach the profile service
+    await storeUserToken(userId, userToken);
+    
+    // Carries the auth user ID for the preference update, so it never goes to streams
+    eventService.publishInternal(convertedUserId, 'feedback.saved', {
+      itineraryId: recommendation.itineraryId,
+      recommendationId: recommendation.id,
+      destinationId: recommendation.destinationId,
+      status: recommendation.status,
+      rating: updatedFeedback.rating,
+      authUserId: userId
+    });
+    
+    if (recommendation.status !== previousStatus && recommendation.itineraryId) {
+      eventService.publish(convertedUserId, 'itinerary.item_status_changed', {
+        itineraryId: recommendation.itineraryId,
+        recommendationId: recommendation.id,
+        destinationId: recommendation.destinationId,
+        position: recommendation.position,
+        status: recommendation.status,
+        previousStatus
+      });
+    }
+    
     res.status(200).json({
       success: true,
       data: {
@@ -319,44 +761,37 @@ exports.getItinerary = async (req, res, next) => {
     const NAMESPACE = '6ba7b810-9dad-11d1-80b4-00c04fd430c8'; // This is a standard namespace UUID
     const convertedUserId = uuidv5(userId.toString(), NAMESPACE);
     
-    // Get recommendations for this itinerary
-    const recommendations = await Recommendation.findAll({
-      where: { userId: convertedUserId, itineraryId },
-      order: [['position', 'ASC']]
-    });
+    const itinerary = await itineraryService.getItinerary(convertedUserId, itineraryId);
     
-    if (!recommendations.length) {
+    if (!itinerary) {
       return res.status(404).json({
         error: true,
         message: 'Itinerary not found'
       });
     }
     
-    // Get full destination details
-    const destinationIds = recommendations.map(rec => rec.destinationId);
-    const destinations = await destinationService.getDestinationDetails(destinationIds);
+    // Full destination details and feedback state, keyed so the items stay exactly as stored
+    const destinationIds = [...new Set(itinerary.items
+      .filter(item => item.destinationId)
+      .map(item => item.destinationId))];
+    const destinations = destinationIds.length
+      ? await destinationService.getDestinationDetails(destinationIds)
+      : [];
     
-    // Build the itinerary with full details
-    const itineraryItems = recommendations.map(rec => {
-      const destination = destinations.find(d => d.id === rec.destinationId);
-      
-      return {
-        recommendationId: rec.id,
-        destinationId: rec.destinationId,
-        position: rec.position,
-        score: rec.score,
-        status: rec.status,
-        feedback: rec.feedback,
-        destination: destination || null
-      };
-    }).sort((a, b) => a.position - b.position);
+    const recommendations = await Recommendation.findAll({
+      where: { userId: convertedUserId, itineraryId }
+    });
     
     res.status(200).json({
       success: true,
       data: {
-        itineraryId,
-        items: itineraryItems,
-        createdAt: recommendations[0].createdAt
+        ...itineraryService.serializeItinerary(itinerary),
+        destinations: Object.fromEntries(destinations.map(dest => [dest.id, dest])),
+        recommendations: Object.fromEntries(recommendations.map(rec => [rec.id, {
+          status: rec.status,
+          feedback: rec.feedback,
+          reasons: explanationService.summarizeReasons(rec)
+        }]))
       }
     });
   } catch (error) {
@@ -365,62 +800,112 @@ exports.getItinerary = async (req, res, next) => {
   }
 };
 
-exports.updateUserPreferences = async (req, res, next) => {
+/**
+ * Explain why a destination was recommended
+ * Ranked reasons, what each scoring stage contributed and how a different context would
+ * have changed the recommendation
+ */
+exports.getExplanation = async (req, res, next) => {
   try {
     const { userId } = req.user;
-    const authToken = req.headers.authorization;
+    const { recommendationId } = req.params;
+
+    // Convert UserID (string) to UUID
+    const NAMESPACE = '6ba7b810-9dad-11d1-80b4-00c04fd430c8'; // This is a standard namespace UUID
+    const convertedUserId = uuidv5(userId.toString(), NAMESPACE);
     
-    logger.info(`Manually triggering preference update for user ${userId}`);
+    const recommendation = await Recommendation.findOne({
+      where: { id: recommendationId, userId: convertedUserId }
+    });
     
-    // Store the current token
-    await storeUserToken(userId, authToken);
+    if (!recommendation) {
+      return res.status(404).json({
+        error: true,
+        message: 'Recommendation not found'
+      });
+    }
     
-    // Queue the update task
-    const result = await rabbitmq.sendTask('tasks.update_user_features', [{ userId }]);
+    const explanation = await explanationService.explainRecommendation(recommendation);
     
     res.status(200).json({
       success: true,
-      message: 'User preference update has been queued',
-      taskId: result?.taskId
+      data: explanation
     });
   } catch (error) {
-    logger.error('Error queueing preference update:', error);
+    logger.error('Error explaining recommendation:', error);
     next(error);
   }
 };
 
 /**
- * Helper to determine time of day from time string
+ * Stream itinerary events to the client as Server-Sent Events
+ * Sends itinerary.generated, itinerary.refined and itinerary.item_status_changed for the
+ * user's itineraries, or for one itinerary with ?itineraryId=. Comment lines keep idle
+ * connections open through proxies.
  */
-const determineTimeOfDay = (timeString) => {
-  if (!timeString) return 'afternoon';
-  
-  const hour = parseInt(timeString.split(':')[0]);
-  
-  if (hour < 12) return 'morning';
-  if (hour < 17) return 'afternoon';
-  return 'evening';
-};
+exports.streamEvents = async (req, res, next) => {
+  try {
+    const { userId } = req.user;
+    const { itineraryId } = req.query;
 
-/**
- * Helper to calculate available time in minutes
- */
-const calculateAvailableTime = (startTime, endTime) => {
-  if (!startTime || !endTime) return 480; // Default to 8 hours
-  
-  const start = startTime.split(':').map(Number);
-  const end = endTime.split(':').map(Number);
-  
-  const startMinutes = start[0] * 60 + start[1];
-  const endMinutes = end[0] * 60 + end[1];
-  
-  return endMinutes - startMinutes;
+    // Convert UserID (string) to UUID
+    const NAMESPACE = '6ba7b810-9dad-11d1-80b4-00c04fd430c8'; // This is a standard namespace UUID
+    const convertedUserId = uuidv5(userId.toString(), NAMESPACE);
+    
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${config.EVENT_STREAM_RETRY_MS}\n\n`);
+    
+    const unsubscribe = eventService.subscribe(convertedUserId, (event) => {
+      if (!STREAM_EVENT_TYPES.includes(event.type)) return;
+      if (itineraryId && event.data.itineraryId !== itineraryId) return;
+      
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, emittedAt: event.emittedAt })}\n\n`);
+    });
+    
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), config.EVENT_STREAM_HEARTBEAT_MS);
+    
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      logger.debug(`Event stream closed for user ${convertedUserId}`);
+    });
+    
+    logger.debug(`Event stream opened for user ${convertedUserId}`);
+  } catch (error) {
+    logger.error('Error opening event stream:', error);
+    next(error);
+  }
 };
 
-/**
- * Mock function to get weather - would be replaced with actual weather API
- */
-const getWeatherForLocation = async (location, date) => {
-  // In a real implementation, this would call a weather API
-  return 'sunny'; // Default to sunny for MVP
-};
\ No newline at end of file
+exports.updateUserPreferences = async (req, res, next) => {
+  try {
+    const { userId } = req.user;
+    const authToken = req.headers.authorization;
+    
+    // Convert UserID (string) to UUID
+    const NAMESPACE = '6ba7b810-9dad-11d1-80b4-00c04fd430c8'; // This is a standard namespace UUID
+    const convertedUserId = uuidv5(userId.toString(), NAMESPACE);
+    
+    logger.info(`Manually triggering preference update for user ${userId}`);
+    
+    // Store the current token
+    await storeUserToken(userId, authToken);
+    
+    // Run the update now, with the same retries as feedback-triggered updates
+    preferenceUpdateScheduler.schedule(convertedUserId, userId, { immediate: true });
+    
+    res.status(200).json({
+      success: true,
+      message: 'User preference update has been queued'
+    });
+  } catch (error) {
+    logger.error('Error queueing preference update:', error);
+    next(error);
+  }
+};
@@ -8,13 +8,38 @@ const recommendationValidator = require('../validators/recommendationValidator')
 // All routes require authentication
 router.use(auth);
 
-// Generate recommendations
+// Generate recommendations (?async=true queues a job instead)
 router.post(
   '/generate', 
   validate(recommendationValidator.generateSchema), 
   recommendationController.generateRecommendations
 );
 
+// Async generation job status and result
+router.get(
+  '/jobs/:jobId',
+  recommendationController.getJob
+);
+
+// Real-time itinerary updates as Server-Sent Events (?itineraryId= for one itinerary)
+router.get(
+  '/events',
+  recommendationController.streamEvents
+);
+
+// Plan a multi-day trip
+router.post(
+  '/trips',
+  validate(recommendationValidator.tripSchema),
+  recommendationController.generateTrip
+);
+
+// Get trip
+router.get(
+  '/trips/:tripId',
+  recommendationController.getTrip
+);
+
 // Get itinerary
 router.get(
   '/itinerary/:itineraryId',
@@ -28,6 +53,29 @@ router.post(
   recommendationController.refineItinerary
 );
 
+// Itinerary version history
+router.get(
+  '/itinerary/:itineraryId/versions',
+  recommendationController.getItineraryVersions
+);
+
+router.get(
+  '/itinerary/:itineraryId/versions/:version',
+  recommendationController.getItineraryVersion
+);
+
+// Undo a refinement by restoring an earlier version
+router.post(
+  '/itinerary/:itineraryId/versions/:version/restore',
+  recommendationController.restoreItineraryVersion
+);
+
+// Compare two versions (?from=&to=, default: current against the previous one)
+router.get(
+  '/itinerary/:itineraryId/diff',
+  recommendationController.getItineraryDiff
+);
+
 // Save feedback
 router.post(
   '/feedback/:recommendationId',
@@ -35,6 +83,12 @@ router.post(
   recommendationController.saveFeedback
 );
 
+// Why a destination was recommended
+router.get(
+  '/:recommendationId/explanation',
+  recommendationController.getExplanation
+);
+
 router.post(
   '/update-preferences',
   recommendationController.updateUserPreferences
@@ -1,20 +1,85 @@
 const Joi = require('joi');
 
+// The destination service filters nearby searches on at most this many categories
+const MAX_PREFERRED_CATEGORIES = 100;
+
+// Optional itinerary solver selection; seed makes optimized runs reproducible
+const solverSchema = Joi.object({
+  strategy: Joi.string().valid('greedy', 'optimized'),
+  seed: Joi.number().integer().min(0)
+});
+
+// Optional diversity re-ranking: lambda 0 turns it off, maxPerCategory 0 removes the cap
+const diversitySchema = Joi.object({
+  lambda: Joi.number().min(0).max(1),
+  maxPerCategory: Joi.number().integer().min(0)
+});
+
+// Shared pieces of the generate and trip schemas
+const timePattern = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const locationSchema = Joi.object({
+  latitude: Joi.number().required().min(-90).max(90),
+  longitude: Joi.number().required().min(-180).max(180)
+});
+
+// Planning constraints: "visit X (at 14:00)", "keep Y in the plan", "never suggest Z"
+const mustIncludeSchema = Joi.array().items(Joi.object({
+  destinationId: Joi.string().uuid().required(),
+  startTime: Joi.string().pattern(timePattern)
+})).unique('destinationId').default([]);
+const destinationIdsSchema = Joi.array().items(Joi.string().uuid()).unique().default([]);
+
 // Schema for generating recommendations
 exports.generateSchema = Joi.object({
-  location: Joi.object({
-    latitude: Joi.number().required().min(-90).max(90),
-    longitude: Joi.number().required().min(-180).max(180)
-  }).required(),
+  location: locationSchema.required(),
   date: Joi.date().iso().default(() => new Date().toISOString().split('T')[0]),
-  startTime: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).default('09:00'),
-  endTime: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).default('17:00'),
+  startTime: Joi.string().pattern(timePattern).default('09:00'),
+  endTime: Joi.string().pattern(timePattern).default('17:00'),
+  preferences: Joi.object({
+    categories: Joi.array().items(Joi.string().uuid()).max(MAX_PREFERRED_CATEGORIES),
+    costLevel: Joi.number().min(1).max(5),
+    activityLevel: Joi.string().valid('relaxed', 'moderate', 'active')
+  }).default({}),
+  transportMode: Joi.string().valid('walking', 'transit', 'driving').default('walking'),
+  // Optional weather override, e.g. "rainy" or { condition: 'rain', temperature: 12 }
+  weather: Joi.alternatives().try(
+    Joi.string().max(50),
+    Joi.object({
+      condition: Joi.string().max(50).required(),
+      temperature: Joi.number().min(-60).max(60)
+    })
+  ),
+  solver: solverSchema,
+  diversity: diversitySchema,
+  mustInclude: mustIncludeSchema,
+  pinned: destinationIdsSchema,
+  exclude: destinationIdsSchema,
+  // Notified with the job when an async (?async=true) generation finishes
+  callbackUrl: Joi.string().uri({ scheme: ['http', 'https'] })
+});
+
+// Schema for planning a multi-day trip
+exports.tripSchema = Joi.object({
+  location: locationSchema.required(),
+  startDate: Joi.date().iso().required(),
+  endDate: Joi.date().iso().min(Joi.ref('startDate')).required(),
+  startTime: Joi.string().pattern(timePattern).default('09:00'),
+  endTime: Joi.string().pattern(timePattern).default('17:00'),
+  // Optional per-day overrides of the daily window and where the day starts from
+  days: Joi.array().items(Joi.object({
+    date: Joi.date().iso().required(),
+    startTime: Joi.string().pattern(timePattern),
+    endTime: Joi.string().pattern(timePattern),
+    lodging: locationSchema
+  })).default([]),
   preferences: Joi.object({
-    categories: Joi.array().items(Joi.string().uuid()),
+    categories: Joi.array().items(Joi.string().uuid()).max(MAX_PREFERRED_CATEGORIES),
     costLevel: Joi.number().min(1).max(5),
     activityLevel: Joi.string().valid('relaxed', 'moderate', 'active')
   }).default({}),
-  transportMode: Joi.string().valid('walking', 'transit', 'driving').default('walking')
+  transportMode: Joi.string().valid('walking', 'transit', 'driving').default('walking'),
+  solver: solverSchema,
+  diversity: diversitySchema
 });
 
 // Schema for refining an itinerary
@@ -28,7 +93,14 @@ exports.refineSchema = Joi.object({
       longitude: Joi.number().min(-180).max(180)
     })
   }).default({}),
-  transportMode: Joi.string().valid('walking', 'transit', 'driving')
+  transportMode: Joi.string().valid('walking', 'transit', 'driving'),
+  solver: solverSchema,
+  // Defaults to the diversity the itinerary was generated with
+  diversity: diversitySchema,
+  // Pinned destinations already in the itinerary are also locked to their current time
+  mustInclude: mustIncludeSchema,
+  pinned: destinationIdsSchema,
+  exclude: destinationIdsSchema
 });
 
 // Schema for saving feedback
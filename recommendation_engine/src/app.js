@@ -7,6 +7,9 @@ const rabbitmq = require('./config/rabbitmq');
 const recommendationRoutes = require('./api/routes/recommendationRoutes');
 const errorHandler = require('./api/middleware/errorHandler');
 const tasks = require('./tasks');
+const preferenceUpdateScheduler = require('./tasks/preferenceUpdateScheduler');
+const localQueue = require('./tasks/localQueue');
+const metrics = require('./utils/metrics');
 const config = require('./config/settings');
 const logger = require('./utils/logger');
 const { Op } = require('sequelize');
@@ -70,6 +73,14 @@ app.get('/health', async (req, res) => {
   }
 });
 
+// Operational metrics
+app.get('/metrics', (req, res) => {
+  res.status(200).json({
+    ...metrics.getAllMetrics(),
+    preference_update_dead_letters: preferenceUpdateScheduler.getDeadLetters().length
+  });
+});
+
 // Error handling
 app.use(errorHandler);
 
@@ -122,6 +133,13 @@ app.listen(PORT, async () => {
   } else {
     logger.info('RabbitMQ is disabled, skipping initialization');
   }
+  
+  // Async jobs run in-process when Celery is unavailable
+  tasks.registerLocalTasks();
+
+  if (config.WEATHER_PROVIDER === 'fixture' && config.NODE_ENV !== 'test') {
+    logger.warn('WEATHER_PROVIDER is "fixture": every forecast comes from the fixture file, not live weather');
+  }
 
   startSchedulers();
   logger.info('Recommendation Engine Service initialization complete');
@@ -146,6 +164,24 @@ const startSchedulers = () => {
   }, 60 * 60 * 1000); // 1 hour
   
   logger.info('Token cleanup scheduler started');
+  
+  // Learn preferences from feedback as it comes in
+  preferenceUpdateScheduler.start();
+  
+  // Retrain the collaborative filter on startup and then periodically
+  if (config.CF_WEIGHT > 0) {
+    const trainCollaborativeFilter = () => {
+      try {
+        localQueue.enqueue('tasks.train_collaborative_filter');
+      } catch (error) {
+        logger.error('Error queueing collaborative filter training:', error);
+      }
+    };
+    
+    trainCollaborativeFilter();
+    setInterval(trainCollaborativeFilter, config.CF_TRAINING_INTERVAL_MS);
+    logger.info('Collaborative filter training scheduler started');
+  }
 };
 
 module.exports = app;
\ No newline at end of file
@@ -108,7 +108,13 @@ const createFakeCeleryClient = () => {
               try {
                 // Execute the task function with the provided arguments
                 const result = registeredTasks[name](...args, kwargs);
-                logger.debug(`[FAKE CELERY] Task ${name} completed successfully`);
+                
+                // Async tasks fail after we return, so their rejections are handled here
+                if (result && typeof result.catch === 'function') {
+                  result.catch(error => logger.error(`[FAKE CELERY] Error executing task ${name}:`, error));
+                }
+                
+                logger.debug(`[FAKE CELERY] Task ${name} started`);
                 return { taskId: `fake-${Date.now()}`, result };
               } catch (error) {
                 logger.error(`[FAKE CELERY] Error executing task ${name}:`, error);
@@ -125,7 +131,8 @@ const createFakeCeleryClient = () => {
         logger.debug(`[FAKE CELERY] Registered task: ${name}`);
         registeredTasks[name] = fn;
         return true;
-      }
+      },
+      isRegistered: (name) => Boolean(registeredTasks[name])
     };
   };
 
@@ -146,6 +153,42 @@ const sendTask = async (taskName, args = [], kwargs = {}, options = {}) => {
   }
 };
 
+/**
+ * Whether a sent task would be run: the fake client needs the task registered, the real
+ * client a worker consuming the Celery task queue. This process never consumes that queue
+ * itself, so without a worker tasks would stay queued forever.
+ */
+const hasTaskConsumer = async (taskName) => {
+  if (!celeryClient) {
+    return false;
+  }
+  
+  if (typeof celeryClient.isRegistered === 'function') {
+    return celeryClient.isRegistered(taskName);
+  }
+  
+  if (!connection) {
+    return false;
+  }
+  
+  // Checking a queue that doesn't exist closes the channel, so use a throwaway one
+  let probe = null;
+  try {
+    probe = await connection.createChannel();
+    probe.on('error', () => {});
+    
+    const { consumerCount } = await probe.checkQueue(config.CELERY_TASK_QUEUE);
+    return consumerCount > 0;
+  } catch (error) {
+    logger.debug(`No Celery workers found on queue ${config.CELERY_TASK_QUEUE} for ${taskName}: ${error.message}`);
+    return false;
+  } finally {
+    if (probe) {
+      probe.close().catch(() => {});
+    }
+  }
+};
+
 // Get a task result
 const getTaskResult = async (taskId) => {
   if (!celeryClient) {
@@ -221,6 +264,7 @@ const subscribeToQueue = async (queue, callback) => {
 module.exports = {
   initRabbitMQ,
   sendTask,
+  hasTaskConsumer,
   getTaskResult,
   publishMessage,
   subscribeToQueue,
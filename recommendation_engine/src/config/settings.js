@@ -1,4 +1,5 @@
 require('dotenv').config();
+const path = require('path');
 
 module.exports = {
   PORT: process.env.PORT || 3002,
@@ -25,10 +26,22 @@ module.exports = {
   RABBITMQ_ENABLED: process.env.RABBITMQ_ENABLED === 'true',
   RABBITMQ_VHOST: process.env.RABBITMQ_VHOST || '/',
   RABBITMQ_SSL: process.env.RABBITMQ_SSL === 'true',
+  CELERY_TASK_QUEUE: process.env.CELERY_TASK_QUEUE || 'celery', // Queue Celery workers consume tasks from
   
   // Service URLs
   USER_PROFILE_SERVICE_URL: process.env.USER_PROFILE_SERVICE_URL || 'http://localhost:3000',
   DESTINATION_SERVICE_URL: process.env.DESTINATION_SERVICE_URL || 'http://localhost:4000',
+  DESTINATION_BATCH_SIZE: parseInt(process.env.DESTINATION_BATCH_SIZE || 100),
+  
+  // Weather
+  // The fixture always reports the same canned weather, so only tests default to it
+  WEATHER_PROVIDER: process.env.WEATHER_PROVIDER || (process.env.NODE_ENV === 'test' ? 'fixture' : 'http'),
+  WEATHER_API_URL: process.env.WEATHER_API_URL || 'https://api.open-meteo.com/v1/forecast',
+  WEATHER_API_TIMEOUT_MS: parseInt(process.env.WEATHER_API_TIMEOUT_MS || 5000),
+  WEATHER_FIXTURE_PATH: process.env.WEATHER_FIXTURE_PATH || path.join(__dirname, 'weatherFixtures.json'),
+  WEATHER_CACHE_TTL: parseInt(process.env.WEATHER_CACHE_TTL || 3600),
+  WEATHER_COLD_THRESHOLD_C: parseFloat(process.env.WEATHER_COLD_THRESHOLD_C || 5),
+  WEATHER_HOT_THRESHOLD_C: parseFloat(process.env.WEATHER_HOT_THRESHOLD_C || 30),
   
   // JWT Secret for auth
   JWT_SECRET: process.env.JWT_SECRET || 'your-secret-key',
@@ -37,6 +50,69 @@ module.exports = {
   DEFAULT_RECOMMENDATION_COUNT: process.env.DEFAULT_RECOMMENDATION_COUNT || 10,
   PREFERENCE_WEIGHT: parseFloat(process.env.PREFERENCE_WEIGHT || 0.6),
   POPULARITY_WEIGHT: parseFloat(process.env.POPULARITY_WEIGHT || 0.4),
+  CONTEXT_WEIGHT: parseFloat(process.env.CONTEXT_WEIGHT || 1.0),
   DISTANCE_PENALTY_FACTOR: parseFloat(process.env.DISTANCE_PENALTY_FACTOR || 0.01),
-  MAX_TRAVEL_TIME_MINUTES: parseInt(process.env.MAX_TRAVEL_TIME_MINUTES || 60)
+  MAX_TRAVEL_TIME_MINUTES: parseInt(process.env.MAX_TRAVEL_TIME_MINUTES || 60),
+  MAX_WAIT_TIME_MINUTES: parseInt(process.env.MAX_WAIT_TIME_MINUTES || 60),
+  DROPPED_REPORT_LIMIT: parseInt(process.env.DROPPED_REPORT_LIMIT || 5),
+  SOLVER_STRATEGY: process.env.SOLVER_STRATEGY || 'greedy',
+  SOLVER_SEED: parseInt(process.env.SOLVER_SEED || 42),
+  SOLVER_MAX_ITERATIONS: parseInt(process.env.SOLVER_MAX_ITERATIONS || 300),
+  SOLVER_TIME_LIMIT_MS: parseInt(process.env.SOLVER_TIME_LIMIT_MS || 500),
+  SOLVER_ACCEPT_WORSE_PROBABILITY: parseFloat(process.env.SOLVER_ACCEPT_WORSE_PROBABILITY || 0.05),
+  
+  // Meal and rest breaks (meal times default to the profile service defaults)
+  DEFAULT_MEAL_TIMES: {
+    breakfast: process.env.DEFAULT_BREAKFAST_TIME || '08:00',
+    lunch: process.env.DEFAULT_LUNCH_TIME || '13:00',
+    dinner: process.env.DEFAULT_DINNER_TIME || '19:00'
+  },
+  MEAL_DURATIONS_MINUTES: {
+    breakfast: parseInt(process.env.BREAKFAST_DURATION_MINUTES || 30),
+    lunch: parseInt(process.env.LUNCH_DURATION_MINUTES || 60),
+    dinner: parseInt(process.env.DINNER_DURATION_MINUTES || 90)
+  },
+  BREAK_TIME_FLEX_MINUTES: parseInt(process.env.BREAK_TIME_FLEX_MINUTES || 60),
+  MEAL_VENUE_CATEGORIES: (process.env.MEAL_VENUE_CATEGORIES || 'food-drink,restaurants,cafes,food-markets,bakeries').split(','),
+  MAX_MEAL_TRAVEL_MINUTES: parseInt(process.env.MAX_MEAL_TRAVEL_MINUTES || 15),
+  REST_PERIOD_TIME: process.env.REST_PERIOD_TIME || '15:00',
+  REST_PERIOD_DURATION_MINUTES: parseInt(process.env.REST_PERIOD_DURATION_MINUTES || 30),
+  
+  // Candidate search
+  NEARBY_SEARCH_RADIUS_KM: parseFloat(process.env.NEARBY_SEARCH_RADIUS_KM || 5),
+  NEARBY_SEARCH_LIMIT: parseInt(process.env.NEARBY_SEARCH_LIMIT || 50),
+  
+  // Multi-day trips
+  MAX_TRIP_DAYS: parseInt(process.env.MAX_TRIP_DAYS || 14),
+  TRIP_NEARBY_SEARCH_LIMIT: parseInt(process.env.TRIP_NEARBY_SEARCH_LIMIT || 100),
+  TRIP_CATEGORY_REPEAT_PENALTY: parseFloat(process.env.TRIP_CATEGORY_REPEAT_PENALTY || 0.85),
+  
+  // Async jobs
+  LOCAL_QUEUE_CONCURRENCY: parseInt(process.env.LOCAL_QUEUE_CONCURRENCY || 1),
+  JOB_CALLBACK_TIMEOUT_MS: parseInt(process.env.JOB_CALLBACK_TIMEOUT_MS || 5000),
+  // Hosts callbacks may go to (empty allows any public host; internal addresses are always refused)
+  JOB_CALLBACK_ALLOWED_HOSTS: (process.env.JOB_CALLBACK_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean),
+  
+  // Real-time itinerary updates (Server-Sent Events)
+  EVENT_STREAM_HEARTBEAT_MS: parseInt(process.env.EVENT_STREAM_HEARTBEAT_MS || 25000),
+  EVENT_STREAM_RETRY_MS: parseInt(process.env.EVENT_STREAM_RETRY_MS || 5000),
+  
+  // Preference learning from feedback
+  PREFERENCE_UPDATE_DEBOUNCE_MS: parseInt(process.env.PREFERENCE_UPDATE_DEBOUNCE_MS || 60000),
+  PREFERENCE_UPDATE_MAX_WAIT_MS: parseInt(process.env.PREFERENCE_UPDATE_MAX_WAIT_MS || 300000),
+  PREFERENCE_UPDATE_MAX_ATTEMPTS: parseInt(process.env.PREFERENCE_UPDATE_MAX_ATTEMPTS || 3),
+  PREFERENCE_UPDATE_RETRY_DELAY_MS: parseInt(process.env.PREFERENCE_UPDATE_RETRY_DELAY_MS || 30000),
+  PREFERENCE_UPDATE_DEAD_LETTER_QUEUE: process.env.PREFERENCE_UPDATE_DEAD_LETTER_QUEUE || 'preference_updates.dead_letter',
+  
+  // Collaborative filtering (item-item, trained from recommendation feedback)
+  CF_WEIGHT: parseFloat(process.env.CF_WEIGHT || 0.3),
+  CF_MIN_SUPPORT: parseInt(process.env.CF_MIN_SUPPORT || 2),
+  CF_MAX_NEIGHBORS: parseInt(process.env.CF_MAX_NEIGHBORS || 20),
+  CF_SHRINKAGE: parseFloat(process.env.CF_SHRINKAGE || 5),
+  CF_FULL_CONFIDENCE_SIMILARITY: parseFloat(process.env.CF_FULL_CONFIDENCE_SIMILARITY || 2),
+  CF_TRAINING_INTERVAL_MS: parseInt(process.env.CF_TRAINING_INTERVAL_MS || 6 * 60 * 60 * 1000),
+  
+  // Diversity re-ranking (lambda 0 disables it, max per category 0 means no cap)
+  DIVERSITY_LAMBDA: parseFloat(process.env.DIVERSITY_LAMBDA || 0),
+  DIVERSITY_MAX_PER_CATEGORY: parseInt(process.env.DIVERSITY_MAX_PER_CATEGORY || 0)
 };
\ No newline at end of file
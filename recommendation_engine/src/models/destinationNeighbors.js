@@ -0,0 +1,44 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../config/database');
+
+class DestinationNeighbors extends Model {}
+
+DestinationNeighbors.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  destinationId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  neighbors: {
+    type: DataTypes.JSONB, // [{ destinationId, similarity, support }], most similar first
+    defaultValue: []
+  },
+  trainedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  sequelize,
+  modelName: 'destinationNeighbors',
+  tableName: 'destination_neighbors',
+  indexes: [
+    {
+      unique: true,
+      fields: ['destinationId']
+    }
+  ]
+});
+
+module.exports = DestinationNeighbors;
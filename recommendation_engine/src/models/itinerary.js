@@ -0,0 +1,82 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../config/database');
+
+class Itinerary extends Model {}
+
+Itinerary.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  tripId: {
+    type: DataTypes.UUID,
+    allowNull: true // Set when the itinerary is one day of a trip
+  },
+  date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  startTime: {
+    type: DataTypes.STRING(5), // HH:MM
+    allowNull: false
+  },
+  endTime: {
+    type: DataTypes.STRING(5), // HH:MM
+    allowNull: false
+  },
+  startLocation: {
+    type: DataTypes.JSONB, // { latitude, longitude } the day starts from
+    allowNull: true
+  },
+  transportMode: {
+    type: DataTypes.STRING(20),
+    defaultValue: 'walking'
+  },
+  requestParams: {
+    type: DataTypes.JSONB, // Original request (preferences, weather, solver)
+    defaultValue: {}
+  },
+  context: {
+    type: DataTypes.JSONB, // Scoring context (weather, time of day, etc.)
+    defaultValue: {}
+  },
+  version: {
+    type: DataTypes.INTEGER, // Bumped every time the itinerary is refined
+    defaultValue: 1
+  },
+  items: {
+    type: DataTypes.JSONB, // Ordered visits, breaks and travel legs exactly as scheduled
+    defaultValue: []
+  },
+  dropped: {
+    type: DataTypes.JSONB, // Candidates left out and why
+    defaultValue: []
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  sequelize,
+  modelName: 'itinerary',
+  tableName: 'itineraries',
+  indexes: [
+    {
+      fields: ['userId']
+    },
+    {
+      fields: ['tripId']
+    }
+  ]
+});
+
+module.exports = Itinerary;
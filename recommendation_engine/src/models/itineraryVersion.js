@@ -0,0 +1,68 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../config/database');
+
+class ItineraryVersion extends Model {}
+
+ItineraryVersion.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  itineraryId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  startTime: {
+    type: DataTypes.STRING(5), // HH:MM
+    allowNull: false
+  },
+  endTime: {
+    type: DataTypes.STRING(5), // HH:MM
+    allowNull: false
+  },
+  startLocation: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  transportMode: {
+    type: DataTypes.STRING(20),
+    defaultValue: 'walking'
+  },
+  items: {
+    type: DataTypes.JSONB, // Items exactly as they were in this version
+    defaultValue: []
+  },
+  dropped: {
+    type: DataTypes.JSONB,
+    defaultValue: []
+  },
+  change: {
+    type: DataTypes.JSONB, // What produced this version, e.g. { type: 'refine', removedDestinations }
+    defaultValue: {}
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  sequelize,
+  modelName: 'itineraryVersion',
+  tableName: 'itinerary_versions',
+  indexes: [
+    {
+      unique: true,
+      fields: ['itineraryId', 'version']
+    }
+  ]
+});
+
+module.exports = ItineraryVersion;
@@ -0,0 +1,82 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../config/database');
+
+class Job extends Model {}
+
+Job.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  taskName: {
+    type: DataTypes.STRING(100), // e.g. tasks.generate_recommendations
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('queued', 'running', 'completed', 'failed'),
+    defaultValue: 'queued'
+  },
+  backend: {
+    type: DataTypes.STRING(20), // celery or local (in-process queue)
+    allowNull: true
+  },
+  taskId: {
+    type: DataTypes.STRING(100), // Task ID on the backend that runs the job
+    allowNull: true
+  },
+  params: {
+    type: DataTypes.JSONB, // Validated request the job was created from
+    defaultValue: {}
+  },
+  result: {
+    type: DataTypes.JSONB, // Same data the synchronous endpoint returns
+    allowNull: true
+  },
+  error: {
+    type: DataTypes.JSONB, // { message, code, details }
+    allowNull: true
+  },
+  callbackUrl: {
+    type: DataTypes.STRING(2048),
+    allowNull: true
+  },
+  callbackStatus: {
+    type: DataTypes.STRING(20), // delivered or failed
+    allowNull: true
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  sequelize,
+  modelName: 'job',
+  tableName: 'jobs',
+  indexes: [
+    {
+      fields: ['userId']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+module.exports = Job;
@@ -0,0 +1,55 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../config/database');
+
+class Trip extends Model {}
+
+Trip.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  startDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  endDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  location: {
+    type: DataTypes.JSONB, // Base location { latitude, longitude } for days without lodging
+    allowNull: false
+  },
+  days: {
+    type: DataTypes.JSONB, // Ordered [{ date, itineraryId, startTime, endTime, lodging }]
+    defaultValue: []
+  },
+  requestParams: {
+    type: DataTypes.JSONB, // Original trip request (preferences, transport mode, solver)
+    defaultValue: {}
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  sequelize,
+  modelName: 'trip',
+  tableName: 'trips',
+  indexes: [
+    {
+      fields: ['userId']
+    }
+  ]
+});
+
+module.exports = Trip;
@@ -0,0 +1,223 @@
+const { Op } = require('sequelize');
+const config = require('../config/settings');
+const logger = require('../utils/logger');
+const sequelize = require('../config/database');
+const DestinationNeighbors = require('../models/destinationNeighbors');
+const Recommendation = require('../models/recommendation');
+
+/**
+ * Item-item collaborative filtering
+ * Feedback across all users is turned into one preference value per user and destination,
+ * destinations are compared by the cosine similarity of those values (shrunk towards 0 when
+ * few users share them), and each destination keeps its most similar neighbours. A user's
+ * score for a destination is the similarity-weighted average of their own feedback on its
+ * neighbours; the confidence grows with how much similarity that average rests on.
+ */
+const FEEDBACK_STATUSES = ['accepted', 'rejected', 'completed'];
+
+/**
+ * Preference value (-1 to 1) of a single feedback
+ */
+const interactionValue = (recommendation) => {
+  if (recommendation.status === 'rejected') return -1;
+  if (recommendation.status === 'accepted') return 0.5;
+
+  // Completed: rated visits range from -0.6 (1 star) to 1 (5 stars)
+  const rating = recommendation.feedback && recommendation.feedback.rating;
+  return rating ? (rating - 2.5) / 2.5 : 1;
+};
+
+/**
+ * Latest preference value per user and destination
+ *
+ * @param {Array} recommendations - Rows with feedback, oldest first
+ * @returns {Map} userId -> Map(destinationId -> value)
+ */
+const buildInteractions = (recommendations) => {
+  const interactions = new Map();
+
+  recommendations
+    .filter(recommendation => FEEDBACK_STATUSES.includes(recommendation.status))
+    .forEach(recommendation => {
+      if (!interactions.has(recommendation.userId)) {
+        interactions.set(recommendation.userId, new Map());
+      }
+      interactions.get(recommendation.userId)
+        .set(recommendation.destinationId, interactionValue(recommendation));
+    });
+
+  return interactions;
+};
+
+/**
+ * Most similar destinations of every destination
+ *
+ * @param {Map} interactions - From buildInteractions
+ * @param {Object} options - minSupport (users both destinations need in common),
+ *   maxNeighbors and shrinkage
+ * @returns {Map} destinationId -> [{ destinationId, similarity, support }]
+ */
+const computeNeighbors = (interactions, {
+  minSupport = config.CF_MIN_SUPPORT,
+  maxNeighbors = config.CF_MAX_NEIGHBORS,
+  shrinkage = config.CF_SHRINKAGE
+} = {}) => {
+  const norms = new Map();
+  const pairs = new Map(); // "a|b" -> { dot, support }
+
+  interactions.forEach(values => {
+    const rated = [...values.entries()];
+
+    rated.forEach(([destinationId, value]) => {
+      norms.set(destinationId, (norms.get(destinationId) || 0) + value * value);
+    });
+
+    for (let i = 0; i < rated.length; i++) {
+      for (let j = i + 1; j < rated.length; j++) {
+        const [a, b] = rated[i][0] < rated[j][0] ? [rated[i], rated[j]] : [rated[j], rated[i]];
+        const key = `${a[0]}|${b[0]}`;
+        const pair = pairs.get(key) || { dot: 0, support: 0 };
+
+        pair.dot += a[1] * b[1];
+        pair.support++;
+        pairs.set(key, pair);
+      }
+    }
+  });
+
+  const neighbors = new Map();
+  const addNeighbor = (destinationId, neighbor) => {
+    if (!neighbors.has(destinationId)) neighbors.set(destinationId, []);
+    neighbors.get(destinationId).push(neighbor);
+  };
+
+  pairs.forEach(({ dot, support }, key) => {
+    if (support < minSupport) return;
+
+    const [a, b] = key.split('|');
+    const norm = Math.sqrt(norms.get(a)) * Math.sqrt(norms.get(b));
+    if (norm === 0) return;
+
+    const similarity = (dot / norm) * (support / (support + shrinkage));
+    if (similarity <= 0) return;
+
+    addNeighbor(a, { destinationId: b, similarity, support });
+    addNeighbor(b, { destinationId: a, similarity, support });
+  });
+
+  neighbors.forEach((list, destinationId) => {
+    neighbors.set(
+      destinationId,
+      list.sort((x, y) => y.similarity - x.similarity).slice(0, maxNeighbors)
+    );
+  });
+
+  return neighbors;
+};
+
+/**
+ * Predict how much a user will like each destination from their feedback on its neighbours
+ *
+ * @param {Map} neighborsByDestination - destinationId -> neighbours
+ * @param {Map} userInteractions - The user's destinationId -> value
+ * @param {Array} destinationIds - Destinations to score
+ * @returns {Map} destinationId -> { score (0-1), confidence (0-1), basedOn }; destinations
+ *   without rated neighbours are left out
+ */
+const predictScores = (neighborsByDestination, userInteractions, destinationIds) => {
+  const predictions = new Map();
+
+  destinationIds.forEach(destinationId => {
+    const rated = (neighborsByDestination.get(destinationId) || [])
+      .filter(neighbor => userInteractions.has(neighbor.destinationId));
+
+    if (!rated.length) return;
+
+    const totalSimilarity = rated.reduce((sum, neighbor) => sum + neighbor.similarity, 0);
+    const predicted = rated.reduce(
+      (sum, neighbor) => sum + neighbor.similarity * userInteractions.get(neighbor.destinationId), 0
+    ) / totalSimilarity;
+
+    predictions.set(destinationId, {
+      score: (predicted + 1) / 2,
+      confidence: Math.min(1, totalSimilarity / config.CF_FULL_CONFIDENCE_SIMILARITY),
+      basedOn: rated.slice(0, 3).map(neighbor => neighbor.destinationId)
+    });
+  });
+
+  return predictions;
+};
+
+/**
+ * Collaborative scores of candidate destinations for a user
+ * Scoring works without them, so lookup problems are logged and give no scores
+ */
+const getCollaborativeScores = async (userId, destinationIds) => {
+  if (!config.CF_WEIGHT || !destinationIds.length) return new Map();
+
+  try {
+    const [rows, history] = await Promise.all([
+      DestinationNeighbors.findAll({
+        where: { destinationId: { [Op.in]: destinationIds } }
+      }),
+      Recommendation.findAll({
+        where: { userId, status: { [Op.in]: FEEDBACK_STATUSES } },
+        attributes: ['userId', 'destinationId', 'status', 'feedback'],
+        order: [['updatedAt', 'ASC']]
+      })
+    ]);
+
+    if (!rows.length || !history.length) return new Map();
+
+    const neighborsByDestination = new Map(rows.map(row => [row.destinationId, row.neighbors]));
+    const userInteractions = buildInteractions(history).get(userId) || new Map();
+
+    return predictScores(neighborsByDestination, userInteractions, destinationIds);
+  } catch (error) {
+    logger.warn(`Collaborative scores unavailable for user ${userId}: ${error.message}`);
+    return new Map();
+  }
+};
+
+/**
+ * Retrain the neighbour lists from all feedback and replace the stored ones
+ * @returns {Object} Training summary
+ */
+const trainModel = async () => {
+  const recommendations = await Recommendation.findAll({
+    where: { status: { [Op.in]: FEEDBACK_STATUSES } },
+    attributes: ['userId', 'destinationId', 'status', 'feedback'],
+    order: [['updatedAt', 'ASC']]
+  });
+
+  const interactions = buildInteractions(recommendations);
+  const neighbors = computeNeighbors(interactions);
+  const trainedAt = new Date();
+
+  await sequelize.transaction(async (transaction) => {
+    await DestinationNeighbors.destroy({ where: {}, transaction });
+    await DestinationNeighbors.bulkCreate(
+      [...neighbors.entries()].map(([destinationId, list]) => ({
+        destinationId,
+        neighbors: list,
+        trainedAt
+      })),
+      { transaction }
+    );
+  });
+
+  return {
+    users: interactions.size,
+    interactions: recommendations.length,
+    destinations: neighbors.size,
+    trainedAt
+  };
+};
+
+module.exports = {
+  buildInteractions,
+  computeNeighbors,
+  predictScores,
+  getCollaborativeScores,
+  trainModel
+};
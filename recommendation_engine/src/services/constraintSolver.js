@@ -1,126 +1,1014 @@
 const logger = require('../utils/logger');
 const config = require('../config/settings');
+const diversityRanker = require('./diversityRanker');
+const { BadRequestError, InfeasibleConstraintsError } = require('../utils/errors');
+const { toDateKey } = require('../utils/timeUtils');
+
+const MINUTES_PER_DAY = 24 * 60;
+const MEALS = ['breakfast', 'lunch', 'dinner'];
+
+// Scores closer than this are treated as equal when comparing routes
+const SCORE_EPSILON = 1e-9;
 
 /**
  * Create a time-optimized itinerary from scored destinations
- * This is a simplified version for MVP - we'll start with a greedy algorithm
- * In v2, we can implement a more sophisticated constraint solver
+ *
+ * Two strategies are available, selected per request with context.solver.strategy
+ * (SOLVER_STRATEGY, greedy unless configured otherwise, when none is given):
+ * - greedy: repeatedly visit the best-scoring reachable destination (the original MVP solver)
+ * - optimized: orienteering local search that maximizes total collected score
+ *   under the time budget (see solveOptimized)
+ *
+ * Opening hours for the requested date are hard constraints: a visit must start
+ * and finish inside one of the destination's opening windows, waiting for the
+ * venue to open if we arrive early.
+ *
+ * Meals and rest periods from the user's schedule preferences (context.schedule) are
+ * hard constraints too. Meals are held at a nearby open food destination when there
+ * is one, otherwise they become a plain break.
+ *
+ * Planning constraints are hard as well (context.constraints, or the pinned flag on a
+ * destination): pinned and mustInclude destinations are always scheduled, a mustInclude
+ * startTime fixes when the visit starts, and excluded destinations are never used. The
+ * other candidates fill the time around them. If the constraints can't all be met an
+ * InfeasibleConstraintsError lists the destinations that don't fit and why.
+ *
+ * Sights are re-ranked for diversity first (context.diversity.lambda, see diversityRanker),
+ * and at most context.diversity.maxPerCategory of them share a category; pinned and
+ * mustInclude destinations are exempt from the cap.
+ *
+ * @returns {Object} { items, dropped, stats } - scheduled items, why top candidates were
+ *   left out, and solver run statistics
  */
 const createOptimizedItinerary = async (scoredDestinations, context) => {
   try {
-    const { startTime, endTime, startLocation, transportMode = 'walking' } = context;
+    const {
+      startTime,
+      endTime,
+      startLocation,
+      date,
+      schedule,
+      transportMode = 'walking',
+      solver = {},
+      constraints = {},
+      diversity = {}
+    } = context;
+    
+    const strategy = solver.strategy || config.SOLVER_STRATEGY;
+    const solve = SOLVER_STRATEGIES[strategy];
+    if (!solve) {
+      throw new BadRequestError(`Unknown solver strategy "${strategy}"`, {
+        allowed: Object.keys(SOLVER_STRATEGIES)
+      });
+    }
     
-    // Convert times to minutes since start of day for easier calculation
+    const dateKey = toDateKey(date);
     const startMinutes = timeToMinutes(startTime || '09:00');
     const endMinutes = timeToMinutes(endTime || '17:00');
-    const totalAvailableTime = endMinutes - startMinutes;
+    const breakSlots = getBreakSlots(schedule, startMinutes, endMinutes);
     
-    const itinerary = [];
-    let currentTime = startMinutes;
-    let currentLocation = startLocation;
+    // Sort destinations by score (already done, but ensuring it's sorted) and
+    // resolve each destination's opening windows for the requested date once up front
+    const candidates = applyConstraints(scoredDestinations, constraints)
+      .sort((a, b) => b.score - a.score)
+      .map(dest => ({
+        ...dest,
+        openingWindows: getOpeningWindows(dest.operatingHours, dateKey)
+      }));
     
-    // Sort destinations by score (already done, but ensuring it's sorted)
-    const sortedDestinations = [...scoredDestinations].sort((a, b) => b.score - a.score);
+    // When there are meals to plan, food places are kept for them rather than visited as sights
+    // (unless the user asked to visit one)
+    const plansMeals = breakSlots.some(slot => slot.type === 'meal');
+    const isVenue = dest => plansMeals && !dest.pinned && isMealVenue(dest);
+    const destinations = diversityRanker.rerank(candidates.filter(dest => !isVenue(dest)), {
+      lambda: diversity.lambda !== undefined ? diversity.lambda : config.DIVERSITY_LAMBDA
+    });
+    const venues = candidates.filter(isVenue);
     
-    // Create a copy of destinations that we can modify
-    const remainingDestinations = [...sortedDestinations];
+    const problem = {
+      destinations,
+      venues,
+      breakSlots,
+      maxPerCategory: diversity.maxPerCategory !== undefined
+        ? diversity.maxPerCategory
+        : config.DIVERSITY_MAX_PER_CATEGORY,
+      startMinutes,
+      endMinutes,
+      transportMode,
+      travelTimes: buildTravelTimeMatrix(startLocation, [...destinations, ...venues], transportMode)
+    };
+    problem.pinned = fitPinned(problem);
     
-    // Keep adding destinations until we run out of time or destinations
-    while (remainingDestinations.length > 0) {
-      // Find the best next destination considering both score and travel time
-      const nextDestIndex = findBestNextDestination(
-        remainingDestinations, 
-        currentLocation, 
-        currentTime, 
-        endMinutes,
-        transportMode
-      );
+    const { route, stats } = solve(problem, solver);
+    const itinerary = scheduleRoute(problem, route);
+    
+    logger.debug(`Solver ${strategy} scheduled ${route.length}/${destinations.length} destinations`, stats);
+    
+    const visited = new Set(route);
+    const unvisited = destinations
+      .map((dest, index) => index)
+      .filter(index => !visited.has(index));
+    
+    return {
+      items: itinerary.items,
+      dropped: explainDropped(problem, route, unvisited),
+      stats: { strategy, totalScore: itinerary.totalScore, ...stats }
+    };
+  } catch (error) {
+    logger.error('Error creating optimized itinerary:', error);
+    throw error;
+  }
+};
+
+/**
+ * Greedy strategy - repeatedly pick the best next destination by score minus idle time
+ * Fast, but tends to zig-zag and leave time unused at the end of the day
+ *
+ * @returns {Object} { route, stats } - route is an ordered list of destination indexes
+ */
+const solveGreedy = (problem) => {
+  const route = [];
+  const remaining = problem.destinations.map((dest, index) => index);
+  const pinnedLeft = new Set(problem.pinned);
+  let state = initialState(problem);
+  
+  // Keep adding destinations until we run out of time or destinations
+  while (remaining.length > 0) {
+    let best = null;
+    let bestCombinedScore = -Infinity;
+    
+    for (let i = 0; i < remaining.length; i++) {
+      const pinnedRest = problem.pinned.filter(index => pinnedLeft.has(index) && index !== remaining[i]);
       
-      // If no suitable destination found, break
-      if (nextDestIndex === -1) break;
+      // Would be one too many of a category, counting the pinned destinations still to come
+      if (exceedsCategoryCap(problem, [...route, remaining[i], ...pinnedRest])) continue;
       
-      const nextDest = remainingDestinations[nextDestIndex];
+      const next = visitNext(problem, state, remaining[i]);
       
-      // Calculate travel time to this destination
-      const travelTime = estimateTravelTime(currentLocation, nextDest.location, transportMode);
+      // Closed, not enough time, or too long a wait
+      if (!next) continue;
       
-      // Update current time and location
-      currentTime += travelTime;
+      // Must leave room for the pinned destinations not visited yet
+      if (pinnedRest.length > 0 && !canFinish(problem, next.state, pinnedRest)) continue;
       
-      // Check if we still have time to visit
-      if (currentTime + nextDest.visitDuration > endMinutes) {
-        // Not enough time to visit this destination
-        remainingDestinations.splice(nextDestIndex, 1);
-        continue;
-      }
+      // Calculate a combined score that considers the destination score and idle time
+      const dest = problem.destinations[remaining[i]];
+      const idlePenalty = next.idleTime * config.DISTANCE_PENALTY_FACTOR;
+      const combinedScore = dest.score - idlePenalty;
       
-      // Add to itinerary
-      itinerary.push({
-        destinationId: nextDest.destinationId,
-        startTime: minutesToTime(currentTime),
-        endTime: minutesToTime(currentTime + nextDest.visitDuration),
-        travelTimeFromPrevious: travelTime,
-        score: nextDest.score
-      });
-      
-      // Update current time and location
-      currentTime += nextDest.visitDuration;
-      currentLocation = nextDest.location;
-      
-      // Remove this destination from remaining
-      remainingDestinations.splice(nextDestIndex, 1);
-      
-      // Add a break if needed and if there's time
-      if (remainingDestinations.length > 0 && shouldAddBreak(currentTime)) {
-        const breakDuration = 60; // 1 hour break
-        if (currentTime + breakDuration <= endMinutes) {
-          itinerary.push({
-            type: 'break',
-            startTime: minutesToTime(currentTime),
-            endTime: minutesToTime(currentTime + breakDuration),
-            duration: breakDuration
-          });
-          currentTime += breakDuration;
+      if (combinedScore > bestCombinedScore) {
+        bestCombinedScore = combinedScore;
+        best = { position: i, state: next.state };
+      }
+    }
+    
+    // If no suitable destination found, break
+    if (!best) break;
+    
+    route.push(remaining[best.position]);
+    pinnedLeft.delete(remaining[best.position]);
+    remaining.splice(best.position, 1);
+    state = best.state;
+  }
+  
+  // Every step kept the remaining pinned destinations feasible in this order, so
+  // whatever the loop didn't reach can still finish the day
+  route.push(...problem.pinned.filter(index => pinnedLeft.has(index)));
+  
+  return { route, stats: {} };
+};
+
+/**
+ * Optimized strategy - orienteering problem with time windows
+ *
+ * Starts from the greedy route, then runs ruin-and-recreate local search: remove a
+ * few stops (randomly or as a contiguous stretch), tighten the order with 2-opt, and
+ * re-insert unvisited destinations at their cheapest feasible position. The best route
+ * by total score (then least idle time) is kept, so the result is never worse than greedy.
+ *
+ * Runs are reproducible for a given seed as long as the iteration limit, not the
+ * time limit, is what ends the search.
+ *
+ * @param {Object} options - { seed } overrides config.SOLVER_SEED
+ * @returns {Object} { route, stats }
+ */
+const solveOptimized = (problem, options = {}) => {
+  const seed = options.seed !== undefined ? options.seed : config.SOLVER_SEED;
+  const random = createRandom(seed);
+  const startedAt = Date.now();
+  const deadline = startedAt + config.SOLVER_TIME_LIMIT_MS;
+  
+  let current = improveRoute(problem, solveGreedy(problem).route, random);
+  let currentEval = evaluateRoute(problem, current);
+  let best = current;
+  let bestEval = currentEval;
+  
+  let iterations = 0;
+  let timedOut = false;
+  
+  while (iterations < config.SOLVER_MAX_ITERATIONS) {
+    if (Date.now() >= deadline) {
+      timedOut = true;
+      break;
+    }
+    iterations++;
+    
+    const candidate = improveRoute(problem, ruinRoute(problem, current, random), random);
+    const candidateEval = evaluateRoute(problem, candidate);
+    
+    // Accept sideways and improving moves, and occasionally a worse one to escape local optima
+    if (!isBetter(currentEval, candidateEval) || random() < config.SOLVER_ACCEPT_WORSE_PROBABILITY) {
+      current = candidate;
+      currentEval = candidateEval;
+    }
+    
+    if (isBetter(candidateEval, bestEval)) {
+      best = candidate;
+      bestEval = candidateEval;
+    }
+  }
+  
+  return {
+    route: best,
+    stats: { seed, iterations, timedOut, elapsedMs: Date.now() - startedAt }
+  };
+};
+
+const SOLVER_STRATEGIES = {
+  greedy: solveGreedy,
+  optimized: solveOptimized
+};
+
+/**
+ * Remove a few stops from a route, either at random or as a contiguous stretch
+ * Pinned stops are never removed.
+ */
+const ruinRoute = (problem, route, random) => {
+  const isPinned = index => problem.destinations[index].pinned;
+  const removable = route.filter(index => !isPinned(index));
+  if (removable.length === 0) return route;
+  
+  const maxRemoved = Math.max(1, Math.ceil(removable.length * 0.3));
+  const removeCount = 1 + Math.floor(random() * maxRemoved);
+  
+  if (random() < 0.5) {
+    const start = Math.floor(random() * route.length);
+    return route.filter((index, position) => isPinned(index) || position < start || position >= start + removeCount);
+  }
+  
+  const ruined = [...removable];
+  for (let i = 0; i < removeCount && ruined.length > 0; i++) {
+    ruined.splice(Math.floor(random() * ruined.length), 1);
+  }
+  
+  const kept = new Set(ruined);
+  return route.filter(index => isPinned(index) || kept.has(index));
+};
+
+/**
+ * Shorten a route with 2-opt, then insert as many unvisited destinations as fit
+ */
+const improveRoute = (problem, route, random) => {
+  let improved = twoOpt(problem, repairRoute(problem, route));
+  improved = insertUnvisited(problem, improved, random);
+  return twoOpt(problem, improved);
+};
+
+/**
+ * Drop stops that became infeasible, e.g. because removing an earlier stop
+ * now means waiting too long for the next one to open
+ * A stop is only kept if the pinned stops after it still fit.
+ */
+const repairRoute = (problem, route) => {
+  if (evaluateRoute(problem, route)) return route;
+  
+  const repaired = [];
+  route.forEach((index, position) => {
+    const pinnedAfter = route.slice(position + 1).filter(later => problem.destinations[later].pinned);
+    
+    if (evaluateRoute(problem, [...repaired, index, ...pinnedAfter])) {
+      repaired.push(index);
+    }
+  });
+  return repaired;
+};
+
+/**
+ * Reverse route segments while that cuts idle time without losing feasibility
+ */
+const twoOpt = (problem, route) => {
+  let best = route;
+  let bestEval = evaluateRoute(problem, best);
+  let improved = true;
+  
+  while (improved) {
+    improved = false;
+    
+    for (let i = 0; i < best.length - 1 && !improved; i++) {
+      for (let j = i + 1; j < best.length && !improved; j++) {
+        const candidate = [
+          ...best.slice(0, i),
+          ...best.slice(i, j + 1).reverse(),
+          ...best.slice(j + 1)
+        ];
+        const candidateEval = evaluateRoute(problem, candidate);
+        
+        if (candidateEval && candidateEval.idleTime < bestEval.idleTime) {
+          best = candidate;
+          bestEval = candidateEval;
+          improved = true;
         }
       }
     }
+  }
+  
+  return best;
+};
+
+/**
+ * Cheapest-insertion of unvisited destinations, pinned first, then highest (noisy) score first
+ */
+const insertUnvisited = (problem, route, random) => {
+  const visited = new Set(route);
+  
+  // A little noise in the order lets repeated runs explore different insertions
+  const unvisited = problem.destinations
+    .map((dest, index) => ({ index, pinned: Boolean(dest.pinned), key: dest.score * (0.9 + random() * 0.2) }))
+    .filter(entry => !visited.has(entry.index))
+    .sort((a, b) => (b.pinned - a.pinned) || (b.key - a.key));
+  
+  let result = route;
+  
+  for (const { index } of unvisited) {
+    let bestRoute = null;
+    let bestIdleTime = Infinity;
     
-    return itinerary;
-  } catch (error) {
-    logger.error('Error creating optimized itinerary:', error);
-    throw error;
+    for (let position = 0; position <= result.length; position++) {
+      const candidate = [...result.slice(0, position), index, ...result.slice(position)];
+      const candidateEval = evaluateRoute(problem, candidate);
+      
+      if (candidateEval && candidateEval.idleTime < bestIdleTime) {
+        bestRoute = candidate;
+        bestIdleTime = candidateEval.idleTime;
+      }
+    }
+    
+    if (bestRoute) {
+      result = bestRoute;
+    }
+  }
+  
+  return result;
+};
+
+/**
+ * Whether route evaluation a beats b: more pinned stops, then higher total score,
+ * then less idle time
+ */
+const isBetter = (a, b) => {
+  if (!a) return false;
+  if (!b) return true;
+  if (a.pinnedCount !== b.pinnedCount) {
+    return a.pinnedCount > b.pinnedCount;
+  }
+  if (Math.abs(a.totalScore - b.totalScore) > SCORE_EPSILON) {
+    return a.totalScore > b.totalScore;
+  }
+  return a.idleTime < b.idleTime;
+};
+
+/**
+ * Pinned stop count, total score and idle time (travel and waiting) of a route, or
+ * null if any stop or break can't be scheduled or the route breaks a category cap
+ */
+const evaluateRoute = (problem, route) => {
+  if (exceedsCategoryCap(problem, route)) return null;
+  
+  let state = initialState(problem);
+  let pinnedCount = 0;
+  let totalScore = 0;
+  let busyTime = 0;
+  
+  for (const index of route) {
+    const next = visitNext(problem, state, index);
+    if (!next) return null;
+    
+    state = next.state;
+    if (problem.destinations[index].pinned) pinnedCount++;
+    totalScore += problem.destinations[index].score;
+    busyTime += problem.destinations[index].visitDuration + sumDurations(next.breaks);
+  }
+  
+  const finish = finishRoute(problem, state);
+  if (!finish) return null;
+  
+  busyTime += sumDurations(finish.breaks);
+  
+  return { pinnedCount, totalScore, idleTime: finish.state.time - problem.startMinutes - busyTime };
+};
+
+/**
+ * Whether a stop that isn't pinned puts one of its categories over maxPerCategory
+ * Pinned stops count towards the cap but never break it themselves.
+ */
+const exceedsCategoryCap = (problem, route) => {
+  if (!problem.maxPerCategory) return false;
+  
+  const counts = countCategories(problem, route);
+  
+  return route.some(index => !problem.destinations[index].pinned &&
+    diversityRanker.getDiversityCategories(problem.destinations[index])
+      .some(category => counts[category] > problem.maxPerCategory));
+};
+
+const countCategories = (problem, route) => {
+  const counts = {};
+  
+  route.forEach(index => {
+    diversityRanker.getDiversityCategories(problem.destinations[index]).forEach(category => {
+      counts[category] = (counts[category] || 0) + 1;
+    });
+  });
+  
+  return counts;
+};
+
+/**
+ * Whether the given stops, then the remaining breaks, can all still be scheduled from a state
+ */
+const canFinish = (problem, state, route) => {
+  let current = state;
+  
+  for (const index of route) {
+    const next = visitNext(problem, current, index);
+    if (!next) return false;
+    current = next.state;
+  }
+  
+  return Boolean(finishRoute(problem, current));
+};
+
+/**
+ * Order pinned destinations so they can all be scheduled together: by how late each
+ * can start, inserting each at the first position (latest first) where everything fits
+ *
+ * @returns {Array} Destination indexes in visiting order
+ * @throws {InfeasibleConstraintsError} If some pinned destinations can't be fitted
+ */
+const fitPinned = (problem) => {
+  const latestStart = (dest) => (dest.fixedStart !== undefined ? dest.fixedStart : Math.max(
+    ...dest.openingWindows.map(window => Math.min(window.close, problem.endMinutes) - dest.visitDuration)
+  ));
+  
+  const pinned = problem.destinations
+    .map((dest, index) => index)
+    .filter(index => problem.destinations[index].pinned)
+    .sort((a, b) => latestStart(problem.destinations[a]) - latestStart(problem.destinations[b]));
+  
+  let fitted = [];
+  const conflicts = [];
+  
+  for (const index of pinned) {
+    let placed = null;
+    
+    for (let position = fitted.length; position >= 0 && !placed; position--) {
+      const candidate = [...fitted.slice(0, position), index, ...fitted.slice(position)];
+      if (canFinish(problem, initialState(problem), candidate)) placed = candidate;
+    }
+    
+    if (placed) {
+      fitted = placed;
+    } else {
+      conflicts.push(explainConflict(problem, index));
+    }
+  }
+  
+  if (conflicts.length > 0) {
+    throw new InfeasibleConstraintsError('The itinerary constraints cannot all be met', { conflicts });
+  }
+  
+  return fitted;
+};
+
+/**
+ * Why a pinned destination couldn't be scheduled
+ */
+const explainConflict = (problem, index) => {
+  const dest = problem.destinations[index];
+  const conflict = { destinationId: dest.destinationId };
+  if (dest.fixedStart !== undefined) conflict.startTime = minutesToTime(dest.fixedStart);
+  
+  if (dest.openingWindows.length === 0) {
+    conflict.reason = 'closed';
+  } else if (dest.fixedStart !== undefined &&
+    (dest.fixedStart < problem.startMinutes || dest.fixedStart + dest.visitDuration > problem.endMinutes)) {
+    conflict.reason = 'outside_day';
+  } else if (findStart(problem, dest, problem.startMinutes) === null) {
+    conflict.reason = 'outside_opening_hours';
+  } else if (!canFinish(problem, initialState(problem), [index])) {
+    conflict.reason = 'insufficient_time';
+  } else {
+    conflict.reason = 'conflicts_with_other_constraints';
   }
+  
+  return conflict;
+};
+
+/**
+ * Apply request constraints to the scored candidates: drop excluded destinations,
+ * pin mustInclude and pinned ones and fix the start time where one was given
+ *
+ * @throws {InfeasibleConstraintsError} If a required destination is not among the candidates
+ */
+const applyConstraints = (scoredDestinations, constraints) => {
+  const { mustInclude = [], pinned = [], exclude = [] } = constraints;
+  
+  const excluded = new Set(exclude);
+  const fixedStarts = new Map(mustInclude.map(entry => [entry.destinationId, entry.startTime]));
+  const required = new Set([...fixedStarts.keys(), ...pinned]);
+  
+  const clashing = [...required].filter(id => excluded.has(id));
+  if (clashing.length > 0) {
+    throw new InfeasibleConstraintsError('The itinerary constraints cannot all be met', {
+      conflicts: clashing.map(destinationId => ({ destinationId, reason: 'excluded' }))
+    });
+  }
+  
+  const available = new Set(scoredDestinations.map(dest => dest.destinationId));
+  const missing = [...required].filter(id => !available.has(id));
+  if (missing.length > 0) {
+    throw new InfeasibleConstraintsError('The itinerary constraints cannot all be met', {
+      conflicts: missing.map(destinationId => ({ destinationId, reason: 'not_available' }))
+    });
+  }
+  
+  return scoredDestinations
+    .filter(dest => !excluded.has(dest.destinationId))
+    .map(dest => {
+      if (!required.has(dest.destinationId)) return dest;
+      
+      const startTime = fixedStarts.get(dest.destinationId);
+      return {
+        ...dest,
+        pinned: true,
+        ...(startTime && { fixedStart: timeToMinutes(startTime) })
+      };
+    });
+};
+
+/**
+ * Visit start for a destination reached at arrival: its fixed start time if it has one
+ * (null if we'd arrive late or it's closed then), otherwise the earliest feasible start
+ */
+const findStart = (problem, dest, arrival) => {
+  if (dest.fixedStart === undefined) {
+    return findVisitStart(dest.openingWindows, arrival, dest.visitDuration, problem.endMinutes);
+  }
+  
+  if (arrival > dest.fixedStart) return null;
+  
+  const visitStart = findVisitStart(dest.openingWindows, dest.fixedStart, dest.visitDuration, problem.endMinutes);
+  return visitStart === dest.fixedStart ? visitStart : null;
 };
 
 /**
- * Find the best next destination considering score and travel time
+ * Turn an ordered route into itinerary items: visits, meals and rest periods, and the
+ * travel legs between them
  */
-const findBestNextDestination = (destinations, currentLocation, currentTime, endTime, transportMode) => {
-  let bestIndex = -1;
-  let bestCombinedScore = -1;
+const scheduleRoute = (problem, route) => {
+  const items = [];
+  let state = initialState(problem);
+  let totalScore = 0;
   
-  for (let i = 0; i < destinations.length; i++) {
-    const dest = destinations[i];
+  // Where and when the next travel leg departs; null destinationId is the start location
+  let cursor = { time: problem.startMinutes, destinationId: null };
+  
+  const addTravel = (travelTime, toDestinationId) => {
+    if (travelTime <= 0) return;
     
-    // Calculate travel time
-    const travelTime = estimateTravelTime(currentLocation, dest.location, transportMode);
+    items.push({
+      type: 'travel',
+      fromDestinationId: cursor.destinationId,
+      toDestinationId,
+      startTime: minutesToTime(cursor.time),
+      endTime: minutesToTime(cursor.time + travelTime),
+      duration: travelTime,
+      transportMode: problem.transportMode
+    });
+  };
+  
+  const addBreaks = (breaks) => {
+    breaks.forEach(taken => {
+      const item = toBreakItem(problem, taken);
+      
+      if (taken.venue) {
+        addTravel(taken.venue.travelTime, item.destinationId);
+      }
+      
+      items.push(item);
+      cursor = {
+        time: taken.start + taken.slot.duration,
+        destinationId: item.destinationId || cursor.destinationId
+      };
+    });
+  };
+  
+  for (const index of route) {
+    const dest = problem.destinations[index];
+    const next = visitNext(problem, state, index);
+    
+    addBreaks(next.breaks);
+    addTravel(next.travelTime, dest.destinationId);
     
-    // Check if we can reach and visit this destination
-    if (currentTime + travelTime + dest.visitDuration > endTime) {
-      continue; // Skip if not enough time
+    // Add to itinerary
+    items.push({
+      type: 'visit',
+      destinationId: dest.destinationId,
+      startTime: minutesToTime(next.visitStart),
+      endTime: minutesToTime(next.visitStart + dest.visitDuration),
+      travelTimeFromPrevious: next.travelTime,
+      waitTime: next.waitTime,
+      score: dest.score,
+      ...(dest.diversity && { diversity: dest.diversity }),
+      ...(dest.pinned && { pinned: true }),
+      ...(dest.fixedStart !== undefined && { fixedTime: true })
+    });
+    
+    cursor = { time: next.visitStart + dest.visitDuration, destinationId: dest.destinationId };
+    state = next.state;
+    totalScore += dest.score;
+  }
+  
+  addBreaks(finishRoute(problem, state).breaks);
+  
+  return { items, totalScore };
+};
+
+/**
+ * Solver state at the start of the day
+ */
+const initialState = (problem) => ({
+  time: problem.startMinutes,
+  position: 0, // Row in the travel time matrix; 0 is the start location
+  breakIndex: 0, // Next break slot still to take
+  usedVenues: []
+});
+
+/**
+ * Visit a destination from the given state
+ * Takes any meal or rest period that is already due, or that the visit would run
+ * past, then travels there and waits for it to open if needed.
+ *
+ * @returns {Object|null} { state, travelTime, waitTime, visitStart, idleTime, breaks } or null
+ *   if the destination is closed, doesn't fit in the day, needs too long a wait, or would
+ *   make a break impossible
+ */
+const visitNext = (problem, state, index) => {
+  const dest = problem.destinations[index];
+  const breaks = [];
+  let current = state;
+  
+  while (current.breakIndex < problem.breakSlots.length) {
+    const slot = problem.breakSlots[current.breakIndex];
+    
+    if (current.time < slot.earliest) {
+      const arrival = current.time + problem.travelTimes[current.position][index + 1];
+      const visitStart = findStart(problem, dest, arrival);
+      
+      // Not due yet if the visit fits before the break has to start
+      if (visitStart !== null && visitStart + dest.visitDuration <= slot.latest) break;
     }
     
-    // Calculate a combined score that considers both the destination score and travel time
-    const travelPenalty = travelTime * config.DISTANCE_PENALTY_FACTOR;
-    const combinedScore = dest.score - travelPenalty;
+    const taken = takeBreak(problem, current, slot);
+    if (!taken) return null;
+    
+    breaks.push(taken);
+    current = taken.state;
+  }
+  
+  const travelTime = problem.travelTimes[current.position][index + 1];
+  const arrival = current.time + travelTime;
+  
+  // Earliest start inside an opening window that still finishes before the day ends
+  const visitStart = findStart(problem, dest, arrival);
+  if (visitStart === null) return null;
+  
+  // Better to come back to it later than stand outside - unless the visit has a fixed time
+  const waitTime = visitStart - arrival;
+  if (waitTime > config.MAX_WAIT_TIME_MINUTES && dest.fixedStart === undefined) return null;
+  
+  const time = visitStart + dest.visitDuration;
+  
+  return {
+    state: { ...current, time, position: index + 1 },
+    travelTime,
+    waitTime,
+    visitStart,
+    idleTime: time - state.time - dest.visitDuration - sumDurations(breaks),
+    breaks
+  };
+};
+
+/**
+ * Take every break left in the day after the last visit
+ *
+ * @returns {Object|null} { state, breaks } or null if a break no longer fits
+ */
+const finishRoute = (problem, state) => {
+  const breaks = [];
+  let current = state;
+  
+  while (current.breakIndex < problem.breakSlots.length) {
+    const taken = takeBreak(problem, current, problem.breakSlots[current.breakIndex]);
+    if (!taken) return null;
+    
+    breaks.push(taken);
+    current = taken.state;
+  }
+  
+  return { state: current, breaks };
+};
+
+/**
+ * Take a meal or rest period, at a meal venue if one is close and open
+ *
+ * @returns {Object|null} { state, slot, start, venue } or null if the slot has already passed
+ */
+const takeBreak = (problem, state, slot) => {
+  const venue = slot.type === 'meal' ? chooseMealVenue(problem, state, slot) : null;
+  
+  if (venue) {
+    return {
+      state: {
+        ...state,
+        time: venue.start + slot.duration,
+        position: venue.position,
+        breakIndex: state.breakIndex + 1,
+        usedVenues: [...state.usedVenues, venue.venueIndex]
+      },
+      slot,
+      start: venue.start,
+      venue
+    };
+  }
+  
+  // No venue - take the break where we are
+  const start = Math.max(state.time, slot.earliest);
+  if (start > slot.latest) return null;
+  
+  return {
+    state: { ...state, time: start + slot.duration, breakIndex: state.breakIndex + 1 },
+    slot,
+    start,
+    venue: null
+  };
+};
+
+/**
+ * Itinerary item for a break taken by takeBreak
+ */
+const toBreakItem = (problem, { slot, start, venue }) => {
+  const item = {
+    type: 'break',
+    breakType: slot.name,
+    startTime: minutesToTime(start),
+    endTime: minutesToTime(start + slot.duration),
+    duration: slot.duration
+  };
+  
+  if (venue) {
+    item.destinationId = problem.venues[venue.venueIndex].destinationId;
+    item.travelTimeFromPrevious = venue.travelTime;
+  }
+  
+  return item;
+};
+
+/**
+ * Pick the best nearby meal venue that is open for the whole meal within the slot
+ */
+const chooseMealVenue = (problem, state, slot) => {
+  let best = null;
+  let bestCombinedScore = -Infinity;
+  
+  problem.venues.forEach((venue, venueIndex) => {
+    if (state.usedVenues.includes(venueIndex)) return;
+    
+    const position = problem.destinations.length + 1 + venueIndex;
+    const travelTime = problem.travelTimes[state.position][position];
+    if (travelTime > config.MAX_MEAL_TRAVEL_MINUTES) return;
     
+    const earliest = Math.max(state.time + travelTime, slot.earliest);
+    const start = findVisitStart(venue.openingWindows, earliest, slot.duration, problem.endMinutes);
+    if (start === null || start > slot.latest) return;
+    
+    // Same trade-off as choosing the next sight: score against time spent getting there and waiting
+    const combinedScore = venue.score - (start - state.time) * config.DISTANCE_PENALTY_FACTOR;
     if (combinedScore > bestCombinedScore) {
       bestCombinedScore = combinedScore;
-      bestIndex = i;
+      best = { venueIndex, position, travelTime, start };
     }
+  });
+  
+  return best;
+};
+
+/**
+ * Meal and rest period slots for the day from the user's schedule preferences
+ * A break is planned when its preferred time falls within the day; it may start up to
+ * BREAK_TIME_FLEX_MINUTES either side of that time.
+ *
+ * @returns {Array} [{ type, name, earliest, latest, duration }] sorted by earliest start
+ */
+const getBreakSlots = (schedule = {}, startMinutes, endMinutes) => {
+  const mealTimes = { ...config.DEFAULT_MEAL_TIMES, ...((schedule && schedule.mealTimes) || {}) };
+  const slots = [];
+  
+  const addSlot = (type, name, preferredTime, duration) => {
+    const preferred = timeToMinutes(preferredTime);
+    if (preferred < startMinutes || preferred >= endMinutes) return;
+    
+    const earliest = Math.max(preferred - config.BREAK_TIME_FLEX_MINUTES, startMinutes);
+    const latest = Math.min(preferred + config.BREAK_TIME_FLEX_MINUTES, endMinutes - duration);
+    if (earliest > latest) return;
+    
+    slots.push({ type, name, earliest, latest, duration });
+  };
+  
+  MEALS.forEach(meal => {
+    if (mealTimes[meal]) {
+      addSlot('meal', meal, mealTimes[meal], config.MEAL_DURATIONS_MINUTES[meal]);
+    }
+  });
+  
+  if (schedule && schedule.restPeriods) {
+    addSlot('rest', 'rest', config.REST_PERIOD_TIME, config.REST_PERIOD_DURATION_MINUTES);
   }
   
-  return bestIndex;
+  return slots.sort((a, b) => a.earliest - b.earliest);
+};
+
+/**
+ * Whether a destination is a food place that can host a meal
+ */
+const isMealVenue = (dest) => {
+  return (dest.categories || []).some(slug => config.MEAL_VENUE_CATEGORIES.includes(slug));
+};
+
+const sumDurations = (breaks) => breaks.reduce((total, taken) => total + taken.slot.duration, 0);
+
+/**
+ * Precompute travel times; row/column 0 is the start location, i + 1 is location i
+ * (destinations first, then meal venues)
+ */
+const buildTravelTimeMatrix = (startLocation, destinations, transportMode) => {
+  const locations = [startLocation, ...destinations.map(dest => dest.location)];
+  
+  return locations.map(from =>
+    locations.map(to => estimateTravelTime(from, to, transportMode))
+  );
+};
+
+/**
+ * Seeded pseudo-random generator (mulberry32) so optimized runs are reproducible
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Earliest visit start at or after arrival that fits inside an opening window and the day
+ */
+const findVisitStart = (windows, arrival, visitDuration, endTime) => {
+  for (const window of windows) {
+    const visitStart = Math.max(arrival, window.open);
+    const latestEnd = Math.min(window.close, endTime);
+    
+    if (visitStart + visitDuration <= latestEnd) {
+      return visitStart;
+    }
+  }
+  
+  return null;
+};
+
+/**
+ * Resolve opening windows (minutes since midnight, sorted) for a date from OperatingHours rows
+ * Seasonal rows covering the date replace the regular hours for that day.
+ * Destinations without any hours on record are treated as always open.
+ */
+const getOpeningWindows = (operatingHours, dateKey) => {
+  if (!operatingHours || operatingHours.length === 0) {
+    return [{ open: 0, close: MINUTES_PER_DAY }];
+  }
+  
+  const dayOfWeek = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+  const dayRows = operatingHours.filter(row => row.dayOfWeek === dayOfWeek);
+  
+  const isSeasonal = row => Boolean(row.seasonStart || row.seasonEnd);
+  const seasonalRows = dayRows.filter(row => isSeasonal(row) && isInSeason(row, dateKey));
+  const rows = seasonalRows.length > 0 ? seasonalRows : dayRows.filter(row => !isSeasonal(row));
+  
+  return rows
+    .map(row => {
+      if (row.is24Hours) {
+        return { open: 0, close: MINUTES_PER_DAY };
+      }
+      
+      // No opening time means closed on this day
+      if (!row.openTime || !row.closeTime) return null;
+      
+      const open = timeToMinutes(row.openTime);
+      let close = timeToMinutes(row.closeTime);
+      
+      // Closing at or after midnight
+      if (close <= open) close += MINUTES_PER_DAY;
+      
+      return { open, close };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.open - b.open);
+};
+
+/**
+ * Check whether a date falls within a row's season (either bound may be open-ended)
+ */
+const isInSeason = (row, dateKey) => {
+  if (row.seasonStart && dateKey < row.seasonStart) return false;
+  if (row.seasonEnd && dateKey > row.seasonEnd) return false;
+  return true;
+};
+
+/**
+ * Explain why the highest-scoring unscheduled destinations were left out
+ *
+ * @param {Array} unvisited - Indexes of the unscheduled destinations, best first
+ */
+const explainDropped = (problem, route, unvisited) => {
+  const { startMinutes, endMinutes } = problem;
+  const counts = countCategories(problem, route);
+  const atCap = dest => Boolean(problem.maxPerCategory) && diversityRanker.getDiversityCategories(dest)
+    .some(category => counts[category] >= problem.maxPerCategory);
+  
+  // Where the day stands before the first stop and after each one
+  const states = route.reduce((visitedStates, index) => {
+    const next = visitNext(problem, visitedStates[visitedStates.length - 1], index);
+    return next ? [...visitedStates, next.state] : visitedStates;
+  }, [initialState(problem)]);
+  
+  // Fits somewhere in the day, but only after waiting longer than MAX_WAIT_TIME_MINUTES to get in
+  const waitsTooLong = index => {
+    const dest = problem.destinations[index];
+    let fits = false;
+    
+    for (const state of states) {
+      const arrival = state.time + problem.travelTimes[state.position][index + 1];
+      const visitStart = findStart(problem, dest, arrival);
+      if (visitStart === null) continue;
+      if (visitStart - arrival <= config.MAX_WAIT_TIME_MINUTES) return false;
+      fits = true;
+    }
+    
+    return fits;
+  };
+  
+  return unvisited
+    .slice(0, config.DROPPED_REPORT_LIMIT)
+    .map(index => {
+      const dest = problem.destinations[index];
+      let reason;
+      
+      if (dest.openingWindows.length === 0) {
+        reason = 'closed';
+      } else if (findVisitStart(dest.openingWindows, startMinutes, dest.visitDuration, endMinutes) === null) {
+        reason = 'outside_opening_hours';
+      } else if (atCap(dest)) {
+        reason = 'category_cap';
+      } else if (waitsTooLong(index)) {
+        reason = 'wait_too_long';
+      } else {
+        reason = 'insufficient_time';
+      }
+      
+      return {
+        destinationId: dest.destinationId,
+        score: dest.score,
+        reason,
+        ...(dest.diversity && { diversity: dest.diversity }),
+        openingHours: dest.openingWindows.map(window => ({
+          open: minutesToTime(window.open),
+          close: minutesToTime(window.close)
+        }))
+      };
+    });
 };
 
 /**
@@ -183,15 +1071,6 @@ const deg2rad = (deg) => {
   return deg * (Math.PI/180);
 };
 
-/**
- * Determine if we should add a break (e.g., for lunch)
- */
-const shouldAddBreak = (currentTimeMinutes) => {
-  // Add a lunch break if it's around lunch time
-  const hour = Math.floor(currentTimeMinutes / 60);
-  return hour >= 11 && hour <= 13;
-};
-
 /**
  * Convert time string (HH:MM) to minutes since start of day
  */
@@ -26,33 +26,7 @@ class ContentFilter {
         return this.scoreWithDefaultPreferences(destinations);
       }
       
-      // Score each destination
-      const scoredDestinations = destinations.map(destination => {
-        const scores = {
-          // Category match score
-          categoryScore: this.calculateCategoryScore(destination, userPreferences),
-          
-          // Cost level match score
-          costScore: this.calculateCostScore(destination, userPreferences),
-          
-          // Activity level match score
-          activityScore: this.calculateActivityScore(destination, userPreferences),
-          
-          // Attributes match score
-          attributesScore: this.calculateAttributesScore(destination, userPreferences)
-        };
-        
-        // Calculate weighted final score
-        const finalScore = this.calculateWeightedScore(scores, userPreferences);
-        
-        return {
-          destinationId: destination.id,
-          contentScore: finalScore,
-          contentFactors: scores
-        };
-      });
-      
-      return scoredDestinations;
+      return this.scoreWithPreferences(destinations, userPreferences);
     } catch (error) {
       logger.error('Error in content filtering:', error);
       // Fallback to default scoring
@@ -60,6 +34,54 @@ class ContentFilter {
     }
   }
   
+  /**
+   * Score destinations against an already-resolved set of preferences
+   *
+   * @param {Array} destinations - Array of destination objects
+   * @param {Object} userPreferences - Preferences (categories, costLevel, activityLevel, ...)
+   * @param {Object} context - Optional scoring context; its weather selects the user's
+   *   weather preferences
+   * @returns {Array} Scored destinations with preference scores
+   */
+  scoreWithPreferences(destinations, userPreferences, context = {}) {
+    return destinations.map(destination => {
+      const scores = {
+        // Category match score
+        categoryScore: this.calculateCategoryScore(destination, userPreferences),
+        
+        // Cost level match score
+        costScore: this.calculateCostScore(destination, userPreferences),
+        
+        // Activity level match score
+        activityScore: this.calculateActivityScore(destination, userPreferences),
+        
+        // Preferred visit duration match score
+        durationScore: this.calculateDurationScore(destination, userPreferences),
+        
+        // Preferred time of day match score
+        timeOfDayScore: this.calculateTimeOfDayScore(destination, userPreferences),
+        
+        // Attributes match score
+        attributesScore: this.calculateAttributesScore(destination, userPreferences, context)
+      };
+      
+      // Calculate weighted final score
+      let finalScore = this.calculateWeightedScore(scores, userPreferences);
+      
+      // Strong penalty for activities the user explicitly excluded
+      const excluded = this.isExcluded(destination, userPreferences);
+      if (excluded) {
+        finalScore = Math.max(0, finalScore - 0.4);
+      }
+      
+      return {
+        destinationId: destination.id,
+        contentScore: finalScore,
+        contentFactors: { ...scores, excluded }
+      };
+    });
+  }
+  
   /**
    * Get user preferences from cache or profile service
    */
@@ -166,50 +188,57 @@ class ContentFilter {
   
   /**
    * Calculate how well destination categories match user preferences
+   * Matches score from a neutral 0.5 up to 1. Learned category weights (1 is neutral)
+   * then scale that score: their average over the destination's categories, with
+   * categories that have no weight counting as 1, is clamped to 0.1-2 and applied as a
+   * multiplier, so strongly liked categories can score above 1.
    */
   calculateCategoryScore(destination, userPreferences) {
-    // Default score if no data
-    if (!destination.categories || !destination.categories.length ||
-        !userPreferences.categories || !userPreferences.categories.length) {
+    if (!destination.categories || !destination.categories.length) {
       return 0.5; // Neutral score
     }
     
-    // Get category IDs from destination
-    const destinationCategoryIds = destination.categories.map(cat => 
-      typeof cat === 'object' ? cat.id : cat
-    );
+    // Preferences may reference categories by ID, slug or name
+    const userCategoryIds = userPreferences.categories || [];
+    const isPreferred = category => this.getCategoryKeys(category)
+      .some(key => userCategoryIds.includes(key));
     
-    // Count matches
-    const userCategoryIds = userPreferences.categories;
-    const matchCount = destinationCategoryIds.filter(id => 
-      userCategoryIds.includes(id)
-    ).length;
+    const matchPercentage = destination.categories.filter(isPreferred).length / destination.categories.length;
+    const matchScore = 0.5 + (matchPercentage * 0.5);
     
-    // Calculate match percentage
-    if (destinationCategoryIds.length === 0) return 0.5;
+    const categoryWeights = userPreferences.categoryWeights || {};
+    if (Object.keys(categoryWeights).length === 0) {
+      return matchScore;
+    }
     
-    const matchPercentage = matchCount / destinationCategoryIds.length;
+    const totalWeight = destination.categories.reduce((sum, category) => {
+      const weightKey = this.getCategoryKeys(category)
+        .find(key => categoryWeights[key] !== undefined);
+      return sum + (weightKey ? categoryWeights[weightKey] : 1);
+    }, 0);
+    const multiplier = Math.min(2, Math.max(0.1, totalWeight / destination.categories.length));
     
-    // Apply category weights if available
-    if (userPreferences.categoryWeights && Object.keys(userPreferences.categoryWeights).length > 0) {
-      let weightedScore = 0;
-      let totalWeight = 0;
-      
-      destinationCategoryIds.forEach(categoryId => {
-        const weight = userPreferences.categoryWeights[categoryId] || 1;
-        totalWeight += weight;
-        
-        if (userCategoryIds.includes(categoryId)) {
-          weightedScore += weight;
-        }
-      });
-      
-      if (totalWeight === 0) return 0.5;
-      return weightedScore / totalWeight;
-    }
+    return matchScore * multiplier;
+  }
+  
+  /**
+   * Identifiers a category can be referenced by in user preferences
+   */
+  getCategoryKeys(category) {
+    if (typeof category !== 'object') return [category];
+    return [category.id, category.slug, category.name].filter(Boolean);
+  }
+  
+  /**
+   * Check whether a destination falls in one of the user's excluded activities
+   */
+  isExcluded(destination, userPreferences) {
+    const excludedActivities = userPreferences.excludedActivities || [];
+    if (!excludedActivities.length || !destination.categories) return false;
     
-    // Simple percentage match if no weights
-    return matchPercentage > 0 ? 0.5 + (matchPercentage * 0.5) : 0.5;
+    return destination.categories.some(category =>
+      this.getCategoryKeys(category).some(key => excludedActivities.includes(key))
+    );
   }
   
   /**
@@ -267,14 +296,43 @@ class ContentFilter {
     return 1.0 - (distanceFromIdeal / rangeSize) * 0.5;
   }
   
+  /**
+   * Calculate how close the visit duration is to the user's preferred duration
+   */
+  calculateDurationScore(destination, userPreferences) {
+    const preferredDuration = userPreferences.visitDurationPreference;
+    if (!preferredDuration) return 0.5; // Neutral score
+    
+    const visitDuration = destination.visitDuration || 60;
+    
+    // 1.0 at the preferred duration, 0.5 at half or double it
+    return 1 - Math.abs(visitDuration - preferredDuration) / Math.max(visitDuration, preferredDuration);
+  }
+  
+  /**
+   * Calculate how much the user likes the destination's best time of day
+   * Neutral (0.5) for users without a time of day preference and destinations without a best time
+   */
+  calculateTimeOfDayScore(destination, userPreferences) {
+    const timeOfDayPreferences = userPreferences.timeOfDay || {};
+    const bestTimeOfDay = (destination.attributes && destination.attributes.bestTimeOfDay) ||
+      destination.bestTimeOfDay;
+    
+    const preference = bestTimeOfDay ? timeOfDayPreferences[bestTimeOfDay.toLowerCase()] : undefined;
+    if (typeof preference !== 'number') return 0.5;
+    
+    // Compare against the user's average so an even split stays neutral
+    const values = Object.values(timeOfDayPreferences).filter(value => typeof value === 'number');
+    const average = values.reduce((sum, value) => sum + value, 0) / values.length;
+    
+    return Math.min(1.0, Math.max(0, 0.5 + preference - average));
+  }
+  
   /**
    * Calculate attributes match score
    */
-  calculateAttributesScore(destination, userPreferences) {
-    // Default if no attributes
-    if (!destination.attributes || Object.keys(destination.attributes).length === 0) {
-      return 0.5;
-    }
+  calculateAttributesScore(destination, userPreferences, context = {}) {
+    const attributes = destination.attributes || {};
     
     // For MVP, we'll use a simple approach
     // This could be expanded to consider specific attributes the user prefers
@@ -282,31 +340,31 @@ class ContentFilter {
     // Check for key attributes that might match preferences
     let score = 0.5; // Start neutral
     
-    // Adjust based on weather preferences if available
-    if (userPreferences.weatherPreferences) {
-      // We'd need the current weather context to use this properly
-      // For now, we'll just check if this destination matches any preferred attribute
-      const allPreferredAttributes = [].concat(
-        ...Object.values(userPreferences.weatherPreferences)
-      );
+    // Boost destinations the user likes in the day's weather, matched by attribute or category
+    const preferredInWeather = context.weather && userPreferences.weatherPreferences
+      ? userPreferences.weatherPreferences[context.weather.toLowerCase()] || []
+      : [];
+    
+    if (preferredInWeather.length) {
+      const categoryKeys = (destination.categories || [])
+        .reduce((keys, category) => keys.concat(this.getCategoryKeys(category)), []);
       
-      // Check if destination has any of these attributes
-      const hasPreferredAttribute = allPreferredAttributes.some(attr => 
-        destination.attributes[attr] === true
+      const hasPreferredAttribute = preferredInWeather.some(attr =>
+        attributes[attr] === true || categoryKeys.includes(attr)
       );
       
       if (hasPreferredAttribute) {
-        score += 0.1;
+        score += 0.2;
       }
     }
     
     // Consider indoor/outdoor preference based on time of day
     // Morning and afternoon might favor outdoor, evening might favor indoor
     const timeOfDayPreferences = userPreferences.timeOfDay || {};
-    if (timeOfDayPreferences.morning > 0.4 && destination.attributes.outdoor) {
+    if (timeOfDayPreferences.morning > 0.4 && attributes.outdoor) {
       score += 0.05;
     }
-    if (timeOfDayPreferences.evening > 0.4 && destination.attributes.indoor) {
+    if (timeOfDayPreferences.evening > 0.4 && attributes.indoor) {
       score += 0.05;
     }
     
@@ -322,6 +380,8 @@ class ContentFilter {
       categoryScore: 0.4,
       costScore: 0.3,
       activityScore: 0.2,
+      durationScore: 0.1,
+      timeOfDayScore: 0.1,
       attributesScore: 0.1
     };
     
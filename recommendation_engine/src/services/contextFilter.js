@@ -2,6 +2,7 @@ const logger = require('../utils/logger');
 const config = require('../config/settings');
 const { getCache, setCache } = require('../config/redis');
 const axios = require('axios');
+const weatherService = require('./weatherService');
 
 /**
  * Context filtering service
@@ -592,48 +593,11 @@ class ContextFilter {
       }
       
       /**
-       * Get current weather for a location
-       * This is a placeholder - in production, you would call a weather API
+       * Get the weather forecast for a location and date
+       * Delegates to the configured weather provider
        */
       async getWeather(location, date) {
-        try {
-          // Check cache first
-          if (config.REDIS_ENABLED) {
-            const cacheKey = `weather:${location.latitude},${location.longitude}:${date}`;
-            const cachedWeather = await getCache(cacheKey);
-            if (cachedWeather) {
-              return JSON.parse(cachedWeather);
-            }
-          }
-          
-          // In a real implementation, you would call a weather API here
-          // For MVP, we'll use a placeholder that returns random weather
-          const weatherTypes = ['sunny', 'rainy', 'cloudy', 'cold', 'hot'];
-          const randomWeather = weatherTypes[Math.floor(Math.random() * weatherTypes.length)];
-          
-          const weatherData = {
-            type: randomWeather,
-            temperature: 20 + Math.floor(Math.random() * 15), // 20-35°C
-            date: date
-          };
-          
-          // Cache the result
-          if (config.REDIS_ENABLED) {
-            const cacheKey = `weather:${location.latitude},${location.longitude}:${date}`;
-            await setCache(cacheKey, JSON.stringify(weatherData), 3600); // 1 hour
-          }
-          
-          return weatherData;
-        } catch (error) {
-          logger.error('Error getting weather:', error);
-          
-          // Return a default if weather API fails
-          return {
-            type: 'sunny',
-            temperature: 25,
-            date: date
-          };
-        }
+        return weatherService.getForecast(location, date);
       }
       
       /**
@@ -5,35 +5,51 @@ const { getCache, setCache } = require('../config/redis');
 
 /**
  * Get destination details from the destination service
+ * IDs are fetched through the batch endpoint in chunks of DESTINATION_BATCH_SIZE;
+ * IDs the service doesn't know about are logged and left out of the result
  */
 const getDestinationDetails = async (destinationIds) => {
   try {
+    const cacheKey = `destinations:${[...destinationIds].sort().join(',')}`;
+    
     // Check cache first if enabled
     if (config.REDIS_ENABLED) {
-      const cacheKey = `destinations:${destinationIds.sort().join(',')}`;
       const cachedData = await getCache(cacheKey);
       if (cachedData) {
         return JSON.parse(cachedData);
       }
     }
     
-    // Since there's no batch endpoint, fetch destinations one by one
+    const uniqueIds = [...new Set(destinationIds)];
     const destinations = [];
-    for (const id of destinationIds) {
+    const missing = [];
+    
+    for (let i = 0; i < uniqueIds.length; i += config.DESTINATION_BATCH_SIZE) {
+      const chunk = uniqueIds.slice(i, i + config.DESTINATION_BATCH_SIZE);
+      
       try {
-        const response = await axios.get(`${config.DESTINATION_SERVICE_URL}/api/destinations/${id}`);
+        const response = await axios.post(
+          `${config.DESTINATION_SERVICE_URL}/api/destinations/batch`,
+          { ids: chunk }
+        );
+        
         if (response.data && response.data.data) {
-          destinations.push(response.data.data);
+          destinations.push(...response.data.data);
+          missing.push(...(response.data.missing || []));
         }
       } catch (error) {
-        logger.warn(`Failed to fetch destination ${id}: ${error.message}`);
-        // Continue with other destinations
+        logger.warn(`Failed to fetch batch of ${chunk.length} destinations: ${error.message}`);
+        // Continue with the remaining batches
+        missing.push(...chunk);
       }
     }
     
-    // Cache the result if redis is enabled
-    if (config.REDIS_ENABLED && destinations.length > 0) {
-      const cacheKey = `destinations:${destinationIds.sort().join(',')}`;
+    if (missing.length > 0) {
+      logger.warn(`Destination service returned no data for ${missing.length} destinations: ${missing.join(',')}`);
+    }
+    
+    // Cache the result if redis is enabled - partial results aren't cached
+    if (config.REDIS_ENABLED && destinations.length > 0 && missing.length === 0) {
       await setCache(cacheKey, JSON.stringify(destinations), 3600); // Cache for 1 hour
     }
     
@@ -131,56 +147,21 @@ const searchDestinations = async (criteria) => {
 
 /**
  * Find nearby destinations based on location
- * Since there's no nearby endpoint, we'll get all destinations and calculate distances
+ * Uses the destination service's PostGIS-backed nearby search, which returns
+ * categories, attributes, popularity, coordinates and operating hours
  */
-const findNearbyDestinations = async (lat, lng, radius, categories) => {
+const findNearbyDestinations = async (lat, lng, radius, categories, limit = config.NEARBY_SEARCH_LIMIT) => {
   try {
-    // Fetch all destinations
-    const response = await axios.get(`${config.DESTINATION_SERVICE_URL}/api/destinations`);
+    const params = { lat, lng, radius, limit };
+    
+    if (categories && categories.length > 0) {
+      params.categories = Array.isArray(categories) ? categories.join(',') : categories;
+    }
+    
+    const response = await axios.get(`${config.DESTINATION_SERVICE_URL}/api/search/nearby`, { params });
     
     if (response.data && response.data.data) {
-      const allDestinations = response.data.data;
-      
-      // Filter and calculate distances
-      const nearbyDestinations = allDestinations
-        .map(dest => {
-          // Extract coordinates from destination
-          let destLat, destLng;
-          
-          if (dest.location && dest.location.type === 'Point' && dest.location.coordinates) {
-            // GeoJSON Point format
-            [destLng, destLat] = dest.location.coordinates;
-          } else if (dest.latitude !== undefined && dest.longitude !== undefined) {
-            // Flat format
-            destLat = dest.latitude;
-            destLng = dest.longitude;
-          } else {
-            // Skip destinations without valid coordinates
-            return null;
-          }
-          
-          // Calculate distance
-          const distance = calculateDistance(lat, lng, destLat, destLng);
-          
-          return {
-            ...dest,
-            distance_km: distance
-          };
-        })
-        .filter(dest => 
-          // Remove null entries and filter by radius
-          dest !== null && 
-          dest.distance_km <= radius &&
-          // Filter by categories if provided
-          (!categories || !dest.categories || 
-            dest.categories.some(cat => 
-              categories.includes(typeof cat === 'object' ? cat.id : cat)
-            )
-          )
-        )
-        .sort((a, b) => a.distance_km - b.distance_km);
-      
-      return nearbyDestinations;
+      return response.data.data;
     }
     
     throw new Error('Invalid response from destination service');
@@ -191,27 +172,69 @@ const findNearbyDestinations = async (lat, lng, radius, categories) => {
 };
 
 /**
- * Helper to calculate distance between two points using Haversine formula
+ * Add details for any of the given destinations missing from a candidate list,
+ * e.g. a must-visit destination outside the nearby search
+ */
+const withDestinations = async (candidates, destinationIds) => {
+  const present = new Set(candidates.map(destination => destination.id));
+  const missing = [...new Set(destinationIds)].filter(id => !present.has(id));
+  
+  if (missing.length === 0) return candidates;
+  
+  return [...candidates, ...await getDestinationDetails(missing)];
+};
+
+/**
+ * Extract { latitude, longitude } from a destination in either flat or GeoJSON format
+ */
+const getCoordinates = (destination) => {
+  if (destination.latitude !== undefined && destination.longitude !== undefined) {
+    return {
+      latitude: destination.latitude,
+      longitude: destination.longitude
+    };
+  }
+  
+  if (destination.location && destination.location.type === 'Point' && destination.location.coordinates) {
+    // GeoJSON uses [lng, lat] order
+    return {
+      latitude: destination.location.coordinates[1],
+      longitude: destination.location.coordinates[0]
+    };
+  }
+  
+  return null;
+};
+
+/**
+ * Get the category slugs of a destination
  */
-const calculateDistance = (lat1, lon1, lat2, lon2) => {
-  const R = 6371; // Earth's radius in km
-  const dLat = deg2rad(lat2 - lat1);
-  const dLon = deg2rad(lon2 - lon1);
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(deg2rad(lat1)) * Math.cos(deg2rad(lat2)) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2); 
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a)); 
-  const distance = R * c;
-  return distance;
+const getCategorySlugs = (destination) => {
+  return (destination.categories || [])
+    .map(category => (typeof category === 'object' ? category.slug : category))
+    .filter(Boolean);
 };
 
-const deg2rad = (deg) => {
-  return deg * (Math.PI/180);
+/**
+ * Get the most specific category slugs of a destination
+ * Top-level categories (e.g. attractions) are left out when the destination also has
+ * subcategories (e.g. museums), since nearly every destination has one of them
+ */
+const getSpecificCategorySlugs = (destination) => {
+  const categories = (destination.categories || []).filter(category => typeof category === 'object');
+  const subcategories = categories.filter(category => category.parentId);
+  
+  return subcategories.length > 0
+    ? subcategories.map(category => category.slug).filter(Boolean)
+    : getCategorySlugs(destination);
 };
 
 module.exports = {
   getDestinationDetails,
   searchDestinations,
-  findNearbyDestinations
+  findNearbyDestinations,
+  withDestinations,
+  getCoordinates,
+  getCategorySlugs,
+  getSpecificCategorySlugs
 };
\ No newline at end of file
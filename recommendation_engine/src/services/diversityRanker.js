@@ -0,0 +1,92 @@
+const config = require('../config/settings');
+
+/**
+ * Diversity re-ranking of scored destinations before they are scheduled
+ *
+ * Maximal marginal relevance over categories: destinations are picked best-first, and each
+ * pick lowers the score of the remaining destinations by how much their categories overlap
+ * with it. A destination's score is multiplied by (1 - lambda * similarity), where the
+ * similarity is the Jaccard overlap of its categories with the most similar destination
+ * picked before it. lambda 0 turns re-ranking off; 1 leaves a destination with exactly the
+ * same categories as a better one nothing.
+ *
+ * Demoted destinations keep their original score and the reason in `diversity`.
+ */
+const rerank = (destinations, { lambda = config.DIVERSITY_LAMBDA } = {}) => {
+  if (!lambda || destinations.length < 2) return destinations;
+
+  const remaining = destinations.map(dest => ({
+    dest,
+    categories: new Set(getDiversityCategories(dest)),
+    similarity: 0,
+    similarTo: null
+  }));
+  const ranked = [];
+
+  while (remaining.length > 0) {
+    let bestPosition = 0;
+    let bestScore = -Infinity;
+
+    remaining.forEach((entry, position) => {
+      const adjusted = entry.dest.score * (1 - lambda * entry.similarity);
+      if (adjusted > bestScore) {
+        bestScore = adjusted;
+        bestPosition = position;
+      }
+    });
+
+    const [selected] = remaining.splice(bestPosition, 1);
+    ranked.push(demote(selected, bestScore));
+
+    remaining.forEach(entry => {
+      const similarity = categorySimilarity(entry.categories, selected.categories);
+      if (similarity > entry.similarity) {
+        entry.similarity = similarity;
+        entry.similarTo = selected;
+      }
+    });
+  }
+
+  return ranked;
+};
+
+const demote = ({ dest, categories, similarity, similarTo }, score) => {
+  if (similarity === 0) return dest;
+
+  return {
+    ...dest,
+    score,
+    diversity: {
+      reason: 'redundant_categories',
+      originalScore: dest.score,
+      similarity,
+      similarTo: similarTo.dest.destinationId,
+      sharedCategories: [...categories].filter(category => similarTo.categories.has(category))
+    }
+  };
+};
+
+/**
+ * Jaccard overlap of two category sets
+ */
+const categorySimilarity = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+
+  let shared = 0;
+  a.forEach(category => {
+    if (b.has(category)) shared++;
+  });
+
+  return shared / (a.size + b.size - shared);
+};
+
+/**
+ * Categories diversity is judged on: the most specific ones when scoring provided them
+ */
+const getDiversityCategories = (dest) => dest.diversityCategories || dest.categories || [];
+
+module.exports = {
+  rerank,
+  categorySimilarity,
+  getDiversityCategories
+};
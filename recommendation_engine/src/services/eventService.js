@@ -0,0 +1,94 @@
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+
+/**
+ * In-process event bus for real-time itinerary updates
+ * Services publish per-user events; open event streams and background schedulers subscribe
+ * to them. Events only reach subscribers in the same process: jobs run by the in-process
+ * queue publish here, but tasks run by an external Celery worker publish in the worker's
+ * process and never reach streams opened on this one.
+ */
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open stream
+
+let lastEventId = 0;
+
+const channel = (userId) => `user:${userId}`;
+const ALL_USERS = 'all';
+
+/**
+ * Send an event to every stream the user has open and to every-user subscribers
+ *
+ * @param {string} userId - Recommendation engine user ID
+ * @param {string} type - Event name, e.g. itinerary.generated
+ * @param {Object} data - Event payload
+ * @returns {Object} Published event
+ */
+const publish = (userId, type, data) => emit([channel(userId), ALL_USERS], userId, type, data);
+
+/**
+ * Send an event to every-user subscribers only, never to the user's streams
+ * For events between services of this process, whose data clients mustn't see
+ *
+ * @param {string} userId - Recommendation engine user ID
+ * @param {string} type - Event name, e.g. feedback.saved
+ * @param {Object} data - Event payload
+ * @returns {Object} Published event
+ */
+const publishInternal = (userId, type, data) => emit([ALL_USERS], userId, type, data);
+
+const emit = (channels, userId, type, data) => {
+  const event = {
+    id: ++lastEventId,
+    type,
+    data,
+    emittedAt: new Date().toISOString()
+  };
+
+  // A broken subscriber must never fail the request that caused the event
+  for (const name of channels) {
+    try {
+      if (name === ALL_USERS) {
+        emitter.emit(ALL_USERS, userId, event);
+      } else {
+        emitter.emit(name, event);
+      }
+    } catch (error) {
+      logger.error(`Error publishing ${type} for user ${userId}:`, error);
+    }
+  }
+
+  return event;
+};
+
+/**
+ * Listen to a user's events
+ * @returns {Function} Unsubscribe
+ */
+const subscribe = (userId, listener) => {
+  emitter.on(channel(userId), listener);
+  return () => emitter.removeListener(channel(userId), listener);
+};
+
+/**
+ * Listen to every user's events, e.g. for background processing
+ * @param {Function} listener - Called with (userId, event)
+ * @returns {Function} Unsubscribe
+ */
+const subscribeAll = (listener) => {
+  emitter.on(ALL_USERS, listener);
+  return () => emitter.removeListener(ALL_USERS, listener);
+};
+
+/**
+ * Open streams for a user
+ */
+const subscriberCount = (userId) => emitter.listenerCount(channel(userId));
+
+module.exports = {
+  publish,
+  publishInternal,
+  subscribe,
+  subscribeAll,
+  subscriberCount
+};
@@ -0,0 +1,282 @@
+const logger = require('../utils/logger');
+const destinationService = require('./destinationService');
+const scoringService = require('./scoringService');
+const Recommendation = require('../models/recommendation');
+
+/**
+ * Explanations of stored recommendations
+ * Reasons and stage contributions come from the reasoning saved with the recommendation, so
+ * they describe the score as it was given. Counterfactuals re-run only the context stage with
+ * one part of the saved context changed, for this recommendation and the others in its
+ * itinerary.
+ */
+
+// Alternative contexts tried for counterfactual hints
+const ALTERNATIVE_CONTEXTS = [
+  { type: 'weather', value: 'sunny', change: { weather: 'sunny' }, label: 'on a sunny day' },
+  { type: 'weather', value: 'cloudy', change: { weather: 'cloudy' }, label: 'on a cloudy day' },
+  { type: 'weather', value: 'rainy', change: { weather: 'rainy' }, label: 'on a rainy day' },
+  { type: 'weather', value: 'hot', change: { weather: 'hot' }, label: 'on a hot day' },
+  { type: 'weather', value: 'cold', change: { weather: 'cold' }, label: 'on a cold day' },
+  { type: 'weather', value: 'snow', change: { weather: 'snow' }, label: 'on a snowy day' },
+  { type: 'timeOfDay', value: 'morning', change: { timeOfDay: 'morning' }, label: 'in the morning' },
+  { type: 'timeOfDay', value: 'afternoon', change: { timeOfDay: 'afternoon' }, label: 'in the afternoon' },
+  { type: 'timeOfDay', value: 'evening', change: { timeOfDay: 'evening' }, label: 'in the evening' },
+  { type: 'dayOfWeek', value: 'weekend', change: { dayOfWeek: 6 }, label: 'on a weekend' },
+  { type: 'dayOfWeek', value: 'weekday', change: { dayOfWeek: 3 }, label: 'on a weekday' },
+  { type: 'season', value: 'spring', change: { season: 'spring' }, label: 'in spring' },
+  { type: 'season', value: 'summer', change: { season: 'summer' }, label: 'in summer' },
+  { type: 'season', value: 'fall', change: { season: 'fall' }, label: 'in fall' },
+  { type: 'season', value: 'winter', change: { season: 'winter' }, label: 'in winter' }
+];
+
+// Counterfactuals that don't change the rank are only kept from this relative score change
+const MIN_RELATIVE_CHANGE = 0.05;
+
+/**
+ * Full explanation of a recommendation
+ *
+ * @param {Object} recommendation - Recommendation row (the caller checks it is the user's)
+ * @returns {Object} Ranked reasons, stage contributions, rank within the itinerary and
+ *   counterfactual hints
+ */
+const explainRecommendation = async (recommendation) => {
+  const siblings = recommendation.itineraryId
+    ? (await Recommendation.findAll({ where: { itineraryId: recommendation.itineraryId } }))
+      .filter(rec => rec.id !== recommendation.id && rec.position !== null)
+    : [];
+
+  const context = scoringService.buildScoringContext(recommendation.contextData || {});
+  const stages = getStageContributions(recommendation.reasoning, recommendation.score);
+
+  let destinations = [];
+  try {
+    destinations = await destinationService.getDestinationDetails(
+      [recommendation.destinationId, ...siblings.map(rec => rec.destinationId)]
+    );
+  } catch (error) {
+    logger.warn(`Counterfactuals unavailable for recommendation ${recommendation.id}: ${error.message}`);
+  }
+
+  return {
+    recommendationId: recommendation.id,
+    destinationId: recommendation.destinationId,
+    itineraryId: recommendation.itineraryId,
+    score: recommendation.score,
+    rank: rankOf(recommendation.score, siblings.map(rec => rec.score)),
+    of: siblings.length + 1,
+    context: {
+      weather: context.weather,
+      temperature: context.temperature,
+      timeOfDay: context.timeOfDay,
+      dayOfWeek: context.dayOfWeek,
+      season: context.season
+    },
+    reasons: getReasons(recommendation.reasoning, stages),
+    stages,
+    counterfactuals: await getCounterfactuals(recommendation, siblings, destinations, context)
+  };
+};
+
+/**
+ * How much each scoring stage added to the final score
+ * The contributions add up to the score: content, popularity and collaborative make up the
+ * base score, context is what its adjustment added to (or took from) that base, and
+ * adjustments is what planning changed afterwards (trip category balance, diversity).
+ * Recommendations stored before scoring recorded its stages are split with today's weights.
+ */
+const getStageContributions = (reasoning = {}, score) => {
+  const defaults = scoringService.getScoringWeights({});
+  const stages = reasoning.stages || {
+    content: { score: reasoning.preferenceScore || 0, weight: defaults.content },
+    popularity: { score: reasoning.popularityScore || 0, weight: defaults.popularity },
+    collaborative: { score: null, confidence: 0, weight: 0 },
+    context: { adjustment: reasoning.contextAdjustment || 1, weight: defaults.context }
+  };
+
+  const collaborativeWeight = stages.collaborative.weight || 0;
+  const content = stages.content.score * stages.content.weight * (1 - collaborativeWeight);
+  const popularity = stages.popularity.score * stages.popularity.weight * (1 - collaborativeWeight);
+  const collaborative = stages.collaborative.score !== null
+    ? stages.collaborative.score * (stages.content.weight + stages.popularity.weight) * collaborativeWeight
+    : 0;
+  const baseScore = content + popularity + collaborative;
+  const adjustment = stages.context.adjustment !== undefined ? stages.context.adjustment : 1;
+  const context = baseScore * (adjustment - 1);
+
+  return {
+    content: {
+      score: stages.content.score,
+      weight: stages.content.weight,
+      contribution: content
+    },
+    popularity: {
+      score: stages.popularity.score,
+      weight: stages.popularity.weight,
+      contribution: popularity
+    },
+    collaborative: {
+      score: stages.collaborative.score,
+      confidence: stages.collaborative.confidence || 0,
+      weight: collaborativeWeight,
+      contribution: collaborative
+    },
+    context: {
+      multiplier: stages.context.multiplier,
+      weight: stages.context.weight,
+      adjustment,
+      contribution: context
+    },
+    adjustments: {
+      contribution: score !== undefined ? score - (baseScore + context) : 0
+    },
+    baseScore,
+    total: score !== undefined ? score : baseScore + context
+  };
+};
+
+/**
+ * Human-readable reasons, those in favour first and each group strongest first
+ * A reason is as strong as the stage it comes from contributed
+ */
+const getReasons = (reasoning = {}, stages = getStageContributions(reasoning)) => {
+  const reasons = [];
+  const add = (factor, stage) => reasons.push({
+    type: factor.type,
+    description: factor.description,
+    impact: factor.impact,
+    stage,
+    strength: Math.abs(stages[stage].contribution)
+  });
+
+  (reasoning.preferenceFactors || []).forEach(factor => {
+    add(factor, factor.type === 'similar_users' ? 'collaborative' : 'content');
+  });
+
+  if (stages.popularity.score >= 0.7) {
+    add({ type: 'popularity', description: 'Popular with visitors', impact: 'positive' }, 'popularity');
+  }
+
+  (reasoning.contextFactors || []).forEach(factor => {
+    add({ ...factor, description: capitalize(factor.description) }, 'context');
+  });
+
+  if (reasoning.tripBalance) {
+    add({
+      type: 'trip_balance',
+      description: 'Your trip already visits similar places',
+      impact: 'negative'
+    }, 'adjustments');
+  }
+
+  return reasons
+    .map((reason, index) => ({ reason, index }))
+    .sort((a, b) =>
+      (a.reason.impact === 'negative') - (b.reason.impact === 'negative') ||
+      b.reason.strength - a.reason.strength ||
+      a.index - b.index
+    )
+    .map(({ reason }) => reason);
+};
+
+/**
+ * What would have changed the recommendation under a different context
+ * Each alternative re-runs the context stage for this recommendation and the rest of the
+ * itinerary, keeping every other stage as stored. Alternatives are kept when they change the
+ * rank or move the score by at least MIN_RELATIVE_CHANGE, biggest gains first.
+ *
+ * @param {Object} recommendation - The recommendation to explain
+ * @param {Array} siblings - Other recommendations in its itinerary
+ * @param {Array} destinations - Destination details for all of them
+ * @param {Object} context - Scoring context the recommendation was given in
+ */
+const getCounterfactuals = async (recommendation, siblings, destinations, context) => {
+  const destinationsById = new Map(destinations.map(destination => [destination.id, destination]));
+  if (!destinationsById.has(recommendation.destinationId)) return [];
+
+  // Only recommendations whose destination we have can be re-scored, the rest keep their score
+  const entries = [recommendation, ...siblings].map(rec => ({
+    rec,
+    destination: destinationsById.get(rec.destinationId),
+    context: getStageContributions(rec.reasoning).context
+  }));
+  const rescored = entries.filter(entry => entry.destination);
+  const rescoredDestinations = rescored.map(entry => entry.destination);
+
+  const current = await scoringService.calculateContextMultipliers(rescoredDestinations, context);
+  const currentRank = rankOf(recommendation.score, siblings.map(rec => rec.score));
+  const counterfactuals = [];
+
+  for (const alternative of ALTERNATIVE_CONTEXTS) {
+    if (isCurrent(alternative, context)) continue;
+
+    const multipliers = await scoringService.calculateContextMultipliers(
+      rescoredDestinations,
+      { ...context, ...alternative.change }
+    );
+
+    const scores = new Map(entries.map(entry => [entry.rec.id, entry.rec.score]));
+    rescored.forEach((entry, index) => {
+      // The context adjustment scales everything before it, so the score scales with it
+      const { adjustment, weight = 0 } = entry.context;
+      const shift = (multipliers[index].multiplier - current[index].multiplier) * weight;
+      if (adjustment > 0) {
+        scores.set(entry.rec.id, entry.rec.score * (adjustment + shift) / adjustment);
+      }
+    });
+
+    const score = scores.get(recommendation.id);
+    const scoreChange = score - recommendation.score;
+    const rank = rankOf(score, siblings.map(rec => scores.get(rec.id)));
+    const relativeChange = recommendation.score ? Math.abs(scoreChange) / recommendation.score : 0;
+
+    if (rank === currentRank && relativeChange < MIN_RELATIVE_CHANGE) continue;
+
+    const direction = scoreChange >= 0 ? 'higher' : 'lower';
+    counterfactuals.push({
+      type: alternative.type,
+      value: alternative.value,
+      description: rank !== currentRank
+        ? `Would rank ${rank < currentRank ? 'higher' : 'lower'} ${alternative.label}`
+        : `Would score ${direction} ${alternative.label}`,
+      impact: scoreChange >= 0 ? 'positive' : 'negative',
+      score,
+      scoreChange,
+      rank
+    });
+  }
+
+  return counterfactuals.sort((a, b) => b.scoreChange - a.scoreChange);
+};
+
+/**
+ * The strongest reasons as plain descriptions, for listing alongside an itinerary
+ */
+const summarizeReasons = (recommendation, limit = 3) => {
+  const reasoning = recommendation.reasoning || {};
+  return getReasons(reasoning, getStageContributions(reasoning, recommendation.score))
+    .slice(0, limit)
+    .map(reason => reason.description);
+};
+
+const isCurrent = (alternative, context) => {
+  if (alternative.type === 'dayOfWeek') {
+    if (context.dayOfWeek === undefined) return false;
+    const isWeekend = context.dayOfWeek === 0 || context.dayOfWeek === 6;
+    return isWeekend === (alternative.value === 'weekend');
+  }
+
+  return context[alternative.type] === alternative.value;
+};
+
+const rankOf = (score, otherScores) => 1 + otherScores.filter(other => other > score).length;
+
+const capitalize = (text = '') => text.charAt(0).toUpperCase() + text.slice(1);
+
+module.exports = {
+  explainRecommendation,
+  getStageContributions,
+  getReasons,
+  getCounterfactuals,
+  summarizeReasons
+};
@@ -0,0 +1,461 @@
+const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const logger = require('../utils/logger');
+const { ConflictError } = require('../utils/errors');
+const { toDateKey } = require('../utils/timeUtils');
+const eventService = require('./eventService');
+const Itinerary = require('../models/itinerary');
+const ItineraryVersion = require('../models/itineraryVersion');
+const Recommendation = require('../models/recommendation');
+
+/**
+ * Store a solved itinerary
+ * Every visit gets a recommendation row (for feedback) and the row ID is written onto
+ * the item, so the stored items are exactly what the caller returns to the client.
+ * All rows are written in one transaction; open event streams receive an
+ * itinerary.generated event once it commits.
+ *
+ * @param {Object} params - userId, date, window, start location, transport mode, context,
+ *   request parameters, solver items and dropped candidates, plus the scored destinations
+ *   the reasoning is taken from, and optionally a transaction to write in
+ * @returns {Itinerary} Created itinerary
+ */
+const saveItinerary = async ({
+  userId,
+  tripId = null,
+  date,
+  startTime,
+  endTime,
+  startLocation = null,
+  transportMode = 'walking',
+  requestParams = {},
+  context = {},
+  items,
+  dropped = [],
+  scoredDestinations = [],
+  transaction = null
+}) => {
+  const itineraryId = uuidv4();
+
+  const itinerary = await inTransaction(transaction, async (t) => {
+    const storedItems = [];
+
+    for (const [position, item] of items.entries()) {
+      if (item.type !== 'visit') {
+        storedItems.push(item);
+        continue;
+      }
+
+      const recommendation = await createRecommendation(
+        { userId, id: itineraryId, context }, item, position, scoredDestinations, t
+      );
+
+      storedItems.push({ ...item, recommendationId: recommendation.id });
+    }
+
+    const created = await Itinerary.create({
+      id: itineraryId,
+      userId,
+      tripId,
+      date: toDateKey(date),
+      startTime,
+      endTime,
+      startLocation,
+      transportMode,
+      requestParams,
+      context,
+      items: storedItems,
+      dropped
+    }, { transaction: t });
+
+    await saveVersion(created, { type: 'generate' }, t);
+
+    t.afterCommit(() => {
+      eventService.publish(userId, 'itinerary.generated', serializeItinerary(created));
+    });
+
+    return created;
+  });
+
+  logger.debug(`Saved itinerary ${itineraryId} with ${items.length} items for user ${userId}`);
+
+  return itinerary;
+};
+
+/**
+ * Replace the items of an existing itinerary with a new schedule as the next version
+ * Visits keep the recommendation row they already had; rows are re-positioned to match,
+ * new destinations get a row of their own, and rows for destinations no longer in the
+ * itinerary lose their position. Open event streams receive an itinerary.refined event.
+ *
+ * Everything is written in one transaction, and only if the itinerary is still at the
+ * version it was read at; otherwise nothing changes and a ConflictError is thrown.
+ *
+ * @param {Itinerary} itinerary - Stored itinerary
+ * @param {Object} changes - New items and dropped list, what caused the change, the scored
+ *   destinations new visits take their reasoning from, plus any window, start location,
+ *   transport mode or request parameters that changed
+ * @returns {Itinerary} Updated itinerary
+ * @throws {ConflictError} If the itinerary was changed in the meantime
+ */
+const reviseItinerary = async (itinerary, { items, dropped = [], change = {}, scoredDestinations = [], ...changes }) => {
+  const recommendationIds = new Map(
+    itinerary.items
+      .filter(item => item.type === 'visit')
+      .map(item => [item.destinationId, item.recommendationId])
+  );
+
+  const updated = await sequelize.transaction(async (transaction) => {
+    const storedItems = [];
+
+    for (const [position, item] of items.entries()) {
+      if (item.type !== 'visit') {
+        storedItems.push(item);
+        continue;
+      }
+
+      const recommendationId = item.recommendationId || recommendationIds.get(item.destinationId);
+
+      if (recommendationId) {
+        await Recommendation.update(
+          { position },
+          { where: { id: recommendationId }, transaction }
+        );
+        storedItems.push({ ...item, recommendationId });
+      } else {
+        const recommendation = await createRecommendation(itinerary, item, position, scoredDestinations, transaction);
+        storedItems.push({ ...item, recommendationId: recommendation.id });
+      }
+    }
+
+    const keptIds = new Set(storedItems.map(item => item.recommendationId).filter(Boolean));
+    const removedIds = [...recommendationIds.values()].filter(id => !keptIds.has(id));
+
+    if (removedIds.length) {
+      await Recommendation.update(
+        { position: null },
+        { where: { id: { [Op.in]: removedIds } }, transaction }
+      );
+    }
+
+    // Only bump the version the changes were based on, so concurrent revisions can't interleave
+    const [count, rows] = await Itinerary.update({
+      ...changes,
+      items: storedItems,
+      dropped,
+      version: itinerary.version + 1
+    }, {
+      where: { id: itinerary.id, version: itinerary.version },
+      returning: true,
+      transaction
+    });
+
+    if (count === 0) {
+      throw new ConflictError('Itinerary was changed by another request, fetch it and try again', {
+        itineraryId: itinerary.id,
+        version: itinerary.version
+      });
+    }
+
+    await saveVersion(rows[0], change, transaction);
+
+    return rows[0];
+  });
+
+  eventService.publish(updated.userId, 'itinerary.refined', {
+    ...serializeItinerary(updated),
+    change
+  });
+
+  return updated;
+};
+
+/**
+ * Run work in the given transaction, or in a new one when there is none
+ */
+const inTransaction = (transaction, work) => {
+  return transaction ? work(transaction) : sequelize.transaction(work);
+};
+
+/**
+ * Recommendation row for a scheduled visit, so it can receive feedback
+ */
+const createRecommendation = async (itinerary, item, position, scoredDestinations, transaction) => {
+  return Recommendation.create({
+    userId: itinerary.userId,
+    itineraryId: itinerary.id,
+    destinationId: item.destinationId,
+    score: item.score,
+    position,
+    reasoning: scoredDestinations.find(d => d.destinationId === item.destinationId)?.reasoning || {},
+    contextData: itinerary.context,
+    status: 'pending'
+  }, { transaction });
+};
+
+/**
+ * Destinations the user has rejected in feedback on any itinerary
+ */
+const getRejectedDestinationIds = async (userId) => {
+  const rejected = await Recommendation.findAll({
+    where: { userId, status: 'rejected' },
+    attributes: ['destinationId']
+  });
+
+  return [...new Set(rejected.map(rec => rec.destinationId))];
+};
+
+/**
+ * Make an earlier version current again by saving a copy of it as the next version
+ */
+const restoreVersion = async (itinerary, version) => {
+  const snapshot = await getVersion(itinerary.id, version);
+  if (!snapshot) return null;
+
+  return reviseItinerary(itinerary, {
+    startTime: snapshot.startTime,
+    endTime: snapshot.endTime,
+    startLocation: snapshot.startLocation,
+    transportMode: snapshot.transportMode,
+    items: snapshot.items,
+    dropped: snapshot.dropped,
+    change: { type: 'restore', restoredVersion: snapshot.version }
+  });
+};
+
+/**
+ * Keep a read-only copy of the itinerary as it is now
+ */
+const saveVersion = async (itinerary, change, transaction) => {
+  return ItineraryVersion.create({
+    itineraryId: itinerary.id,
+    version: itinerary.version,
+    startTime: itinerary.startTime,
+    endTime: itinerary.endTime,
+    startLocation: itinerary.startLocation,
+    transportMode: itinerary.transportMode,
+    items: itinerary.items,
+    dropped: itinerary.dropped,
+    change
+  }, { transaction });
+};
+
+/**
+ * All versions of an itinerary, oldest first
+ */
+const listVersions = async (itineraryId) => {
+  return ItineraryVersion.findAll({
+    where: { itineraryId },
+    order: [['version', 'ASC']]
+  });
+};
+
+/**
+ * One version of an itinerary, or null
+ */
+const getVersion = async (itineraryId, version) => {
+  return ItineraryVersion.findOne({
+    where: { itineraryId, version }
+  });
+};
+
+/**
+ * Compare the visits of two versions
+ * Moved destinations are the ones whose order relative to the other kept destinations
+ * changed, so removing one stop doesn't mark everything after it as moved.
+ *
+ * @param {Array} fromItems - Items of the older version
+ * @param {Array} toItems - Items of the newer version
+ * @returns {Object} { added, removed, moved, retimed }
+ */
+const diffItems = (fromItems, toItems) => {
+  const fromVisits = indexVisits(fromItems);
+  const toVisits = indexVisits(toItems);
+
+  const added = [...toVisits.values()]
+    .filter(visit => !fromVisits.has(visit.destinationId))
+    .map(describeVisit);
+
+  const removed = [...fromVisits.values()]
+    .filter(visit => !toVisits.has(visit.destinationId))
+    .map(describeVisit);
+
+  const keptFrom = [...fromVisits.keys()].filter(id => toVisits.has(id));
+  const keptTo = [...toVisits.keys()].filter(id => fromVisits.has(id));
+  const inOrder = longestCommonSubsequence(keptFrom, keptTo);
+
+  const moved = keptTo
+    .filter(id => !inOrder.has(id))
+    .map(id => ({
+      destinationId: id,
+      fromOrder: fromVisits.get(id).order,
+      toOrder: toVisits.get(id).order
+    }));
+
+  const retimed = keptTo
+    .filter(id => fromVisits.get(id).startTime !== toVisits.get(id).startTime ||
+      fromVisits.get(id).endTime !== toVisits.get(id).endTime)
+    .map(id => ({
+      destinationId: id,
+      from: { startTime: fromVisits.get(id).startTime, endTime: fromVisits.get(id).endTime },
+      to: { startTime: toVisits.get(id).startTime, endTime: toVisits.get(id).endTime }
+    }));
+
+  return { added, removed, moved, retimed };
+};
+
+/**
+ * Visits keyed by destination, with their order among the visits
+ */
+const indexVisits = (items) => {
+  return new Map(
+    items
+      .filter(item => item.type === 'visit')
+      .map((item, order) => [item.destinationId, { ...item, order }])
+  );
+};
+
+const describeVisit = (visit) => ({
+  destinationId: visit.destinationId,
+  order: visit.order,
+  startTime: visit.startTime,
+  endTime: visit.endTime
+});
+
+/**
+ * Set of the IDs in a longest common subsequence of two ID lists
+ */
+const longestCommonSubsequence = (a, b) => {
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const common = new Set();
+  let i = 0;
+  let j = 0;
+
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      common.add(a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return common;
+};
+
+/**
+ * Get a stored itinerary owned by the user, or null
+ * Itineraries generated before itineraries were stored exist only as recommendation rows;
+ * those are imported on first read.
+ */
+const getItinerary = async (userId, itineraryId) => {
+  const itinerary = await Itinerary.findOne({
+    where: { id: itineraryId, userId }
+  });
+
+  return itinerary || importLegacyItinerary(userId, itineraryId);
+};
+
+/**
+ * Store an itinerary rebuilt from its recommendation rows as version 1, or return null if
+ * it has none. The rows only kept the order of the visits, so the items have no times and
+ * the window falls back to the default day.
+ */
+const importLegacyItinerary = async (userId, itineraryId) => {
+  const recommendations = await Recommendation.findAll({
+    where: { userId, itineraryId },
+    order: [['position', 'ASC']]
+  });
+
+  if (!recommendations.length) return null;
+
+  const context = recommendations[0].contextData || {};
+
+  return sequelize.transaction(async (transaction) => {
+    const [itinerary, created] = await Itinerary.findOrCreate({
+      where: { id: itineraryId },
+      defaults: {
+        userId,
+        date: toDateKey(context.date || recommendations[0].createdAt),
+        startTime: context.startTime || '09:00',
+        endTime: context.endTime || '17:00',
+        startLocation: context.location || null,
+        context,
+        items: recommendations.map(rec => ({
+          type: 'visit',
+          destinationId: rec.destinationId,
+          score: rec.score,
+          recommendationId: rec.id
+        })),
+        createdAt: recommendations[0].createdAt
+      },
+      transaction
+    });
+
+    if (created) {
+      await saveVersion(itinerary, { type: 'generate' }, transaction);
+      logger.info(`Imported itinerary ${itineraryId} from ${recommendations.length} recommendations`);
+    }
+
+    return itinerary.userId === userId ? itinerary : null;
+  });
+};
+
+/**
+ * API representation of a stored itinerary
+ */
+const serializeItinerary = (itinerary) => ({
+  itineraryId: itinerary.id,
+  tripId: itinerary.tripId,
+  version: itinerary.version,
+  date: itinerary.date,
+  startTime: itinerary.startTime,
+  endTime: itinerary.endTime,
+  startLocation: itinerary.startLocation,
+  transportMode: itinerary.transportMode,
+  items: itinerary.items,
+  dropped: itinerary.dropped,
+  createdAt: itinerary.createdAt,
+  updatedAt: itinerary.updatedAt
+});
+
+/**
+ * API representation of a stored version
+ */
+const serializeVersion = (snapshot) => ({
+  version: snapshot.version,
+  startTime: snapshot.startTime,
+  endTime: snapshot.endTime,
+  startLocation: snapshot.startLocation,
+  transportMode: snapshot.transportMode,
+  items: snapshot.items,
+  dropped: snapshot.dropped,
+  change: snapshot.change,
+  createdAt: snapshot.createdAt
+});
+
+module.exports = {
+  saveItinerary,
+  reviseItinerary,
+  restoreVersion,
+  getItinerary,
+  getRejectedDestinationIds,
+  listVersions,
+  getVersion,
+  diffItems,
+  serializeItinerary,
+  serializeVersion
+};
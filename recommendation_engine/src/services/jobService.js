@@ -0,0 +1,204 @@
+const axios = require('axios');
+const dns = require('dns').promises;
+const net = require('net');
+const config = require('../config/settings');
+const logger = require('../utils/logger');
+const rabbitmq = require('../config/rabbitmq');
+const localQueue = require('../tasks/localQueue');
+const Job = require('../models/job');
+const { BadRequestError } = require('../utils/errors');
+
+// Loopback, private, link-local (cloud metadata), shared, multicast and reserved ranges
+const internalAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => internalAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => internalAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Create a job and hand it to a task backend
+ * Jobs go to Celery when RabbitMQ is enabled and something consumes the task (a worker on
+ * the Celery queue, or the task registered with the development client), otherwise (or if
+ * sending fails) to the in-process queue. The task receives the params plus jobId and
+ * reports progress through markRunning / completeJob / failJob.
+ *
+ * @param {string} userId - Recommendation engine user ID
+ * @param {string} taskName - Registered task name
+ * @param {Object} params - Task payload
+ * @param {string} callbackUrl - Optional URL notified when the job finishes
+ * @returns {Job} Queued job
+ * @throws {BadRequestError} If the callback URL isn't allowed
+ */
+const enqueueJob = async (userId, taskName, params, callbackUrl = null) => {
+  if (callbackUrl) {
+    await checkCallbackUrl(callbackUrl);
+  }
+
+  const job = await Job.create({
+    userId,
+    taskName,
+    params,
+    callbackUrl
+  });
+
+  const payload = { ...params, jobId: job.id };
+  let dispatched = null;
+
+  if (config.RABBITMQ_ENABLED && await rabbitmq.hasTaskConsumer(taskName)) {
+    const sent = await rabbitmq.sendTask(taskName, [payload]);
+
+    if (sent) {
+      dispatched = { backend: 'celery', taskId: sent.taskId || null };
+    } else {
+      logger.warn(`Could not send job ${job.id} to Celery, running it in-process`);
+    }
+  }
+
+  if (!dispatched) {
+    dispatched = { backend: 'local', taskId: localQueue.enqueue(taskName, [payload]) };
+  }
+
+  logger.info(`Queued job ${job.id} (${taskName}) on ${dispatched.backend} for user ${userId}`);
+
+  return job.update(dispatched);
+};
+
+/**
+ * Get a job owned by the user, or null
+ */
+const getJob = async (userId, jobId) => {
+  return Job.findOne({
+    where: { id: jobId, userId }
+  });
+};
+
+const markRunning = async (jobId) => {
+  await Job.update(
+    { status: 'running', startedAt: new Date() },
+    { where: { id: jobId } }
+  );
+};
+
+/**
+ * Store the result of a finished job and notify its callback
+ */
+const completeJob = async (jobId, result) => {
+  await finishJob(jobId, { status: 'completed', result });
+};
+
+/**
+ * Store why a job failed and notify its callback
+ */
+const failJob = async (jobId, error) => {
+  await finishJob(jobId, {
+    status: 'failed',
+    error: {
+      message: error.message,
+      code: error.errorCode || 'INTERNAL_ERROR',
+      details: error.details || null
+    }
+  });
+};
+
+const finishJob = async (jobId, changes) => {
+  const job = await Job.findByPk(jobId);
+
+  if (!job) {
+    logger.warn(`Job ${jobId} not found, cannot record its outcome`);
+    return;
+  }
+
+  await job.update({ ...changes, completedAt: new Date() });
+
+  if (job.callbackUrl) {
+    await notifyCallback(job);
+  }
+};
+
+/**
+ * Resolve a callback host to its addresses, refusing internal ones
+ */
+const resolveCallbackHost = async (hostname) => {
+  // IPv6 hosts keep their brackets in URL.hostname
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await dns.lookup(host, { all: true });
+
+  if (addresses.some(({ address, family }) => internalAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+    throw new BadRequestError('Callback URL must not point to a loopback, private or link-local address', { host });
+  }
+
+  return addresses;
+};
+
+/**
+ * Make sure the server may POST to a callback URL: its host has to be in
+ * JOB_CALLBACK_ALLOWED_HOSTS (when set) and resolve to public addresses only
+ *
+ * @throws {BadRequestError} If the callback URL isn't allowed
+ */
+const checkCallbackUrl = async (callbackUrl) => {
+  const { hostname } = new URL(callbackUrl);
+  const allowedHosts = config.JOB_CALLBACK_ALLOWED_HOSTS;
+
+  if (allowedHosts.length > 0 && !allowedHosts.includes(hostname.toLowerCase())) {
+    throw new BadRequestError('Callback host is not allowed', { host: hostname });
+  }
+
+  try {
+    await resolveCallbackHost(hostname);
+  } catch (error) {
+    if (error instanceof BadRequestError) throw error;
+    throw new BadRequestError('Callback host could not be resolved', { host: hostname });
+  }
+};
+
+/**
+ * POST the finished job to its callback URL; delivery problems never fail the job
+ * The host is checked again and resolved through the same check when connecting, so
+ * it can't be pointed at an internal address after the job was queued.
+ */
+const notifyCallback = async (job) => {
+  try {
+    await checkCallbackUrl(job.callbackUrl);
+
+    await axios.post(job.callbackUrl, serializeJob(job), {
+      timeout: config.JOB_CALLBACK_TIMEOUT_MS,
+      maxRedirects: 0,
+      lookup: resolveCallbackHost
+    });
+
+    await job.update({ callbackStatus: 'delivered' });
+  } catch (error) {
+    logger.warn(`Callback for job ${job.id} to ${job.callbackUrl} failed: ${error.message}`);
+    await job.update({ callbackStatus: 'failed' });
+  }
+};
+
+/**
+ * API representation of a job
+ */
+const serializeJob = (job) => ({
+  jobId: job.id,
+  status: job.status,
+  result: job.result,
+  error: job.error,
+  callbackStatus: job.callbackStatus,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  completedAt: job.completedAt
+});
+
+module.exports = {
+  enqueueJob,
+  getJob,
+  checkCallbackUrl,
+  markRunning,
+  completeJob,
+  failJob,
+  serializeJob
+};
@@ -141,6 +141,44 @@ const getUserPreferences = async (userId) => {
   }
 };
 
+/**
+ * Get the user's schedule preferences (meal times, rest periods)
+ * Returns null when unavailable so callers can fall back to defaults
+ */
+const getUserSchedule = async (userId, authToken = null) => {
+  try {
+    const cacheKey = `user_schedule:${userId}`;
+    
+    // Check cache first if enabled
+    if (config.REDIS_ENABLED) {
+      const cachedSchedule = await getCache(cacheKey);
+      if (cachedSchedule) {
+        return JSON.parse(cachedSchedule);
+      }
+    }
+    
+    const headers = {};
+    if (authToken) {
+      headers.Authorization = authToken;
+    }
+    
+    const response = await axios.get(`${config.USER_PROFILE_SERVICE_URL}/api/preferences`, {
+      headers
+    });
+    
+    const schedule = response.data && response.data.data ? response.data.data.schedule || null : null;
+    
+    if (schedule && config.REDIS_ENABLED) {
+      await setCache(cacheKey, JSON.stringify(schedule), 3600); // Cache for 1 hour
+    }
+    
+    return schedule;
+  } catch (error) {
+    logger.warn(`Could not fetch schedule preferences for user ${userId}, using defaults: ${error.message}`);
+    return null;
+  }
+};
+
 /**
  * Get user feedback history
  */
@@ -162,5 +200,6 @@ const getUserFeedback = async (userId) => {
 module.exports = {
   getUserProfile,
   getUserPreferences,
+  getUserSchedule,
   getUserFeedback
 };
\ No newline at end of file
@@ -3,13 +3,23 @@ const config = require('../config/settings');
 const logger = require('../utils/logger');
 const destinationService = require('./destinationService');
 const profileService = require('./profileService');
+const contentFilter = require('./contentFilter');
+const contextFilter = require('./contextFilter');
+const collaborativeFilter = require('./collaborativeFilter');
 const UserPreference = require('../models/userPreference');
+const { toDateKey } = require('../utils/timeUtils');
+
+// Preferences learned from feedback that scoring uses on top of the profile
+const LEARNED_FIELDS = ['categoryWeights', 'timeOfDay', 'popularityPreference', 'visitDurationPreference', 'weatherPreferences'];
 
 /**
  * Calculate scores for destinations based on user preferences
- * This is the core recommendation algorithm for MVP
+ * Pipeline: content match and popularity are blended with weights adjusted to the user's
+ * popularity preference, the collaborative score is mixed in by its confidence, and the
+ * result is scaled by the context filter's multiplier
+ * Accepts destination objects (e.g. from nearby search) or destination IDs to look up
  */
-const scoreDestinations = async (userId, destinationIds, context = {}, authToken=null) => {
+const scoreDestinations = async (userId, candidates, context = {}, authToken=null) => {
   try {
     const learnedPreferences = await UserPreference.findOne({
       where: { userId }
@@ -38,35 +48,73 @@ const scoreDestinations = async (userId, destinationIds, context = {}, authToken
       throw new Error('User profile not found');
     }
     
-    // Get destination data
-    const destinations = await destinationService.getDestinationDetails(destinationIds);
+    const preferences = withLearnedPreferences(userProfile.preferences, learnedPreferences);
+    
+    // Get destination data, skipping the lookup when we already have it
+    const destinations = candidates.length > 0 && typeof candidates[0] === 'object'
+      ? candidates
+      : await destinationService.getDestinationDetails(candidates);
+    
+    // Stage 1: content match against the user's preferences
+    const contentScores = contentFilter.scoreWithPreferences(destinations, preferences, context);
+    
+    // Stage 2: what users with similar feedback thought of these destinations
+    const collaborativeScores = await collaborativeFilter.getCollaborativeScores(
+      userId, destinations.map(destination => destination.id)
+    );
+    
+    // Stage 3: context multipliers (weather, time of day, day of week, season, events, time budget)
+    const contextMultipliers = await calculateContextMultipliers(destinations, buildScoringContext(context));
+    
+    const weights = getScoringWeights(preferences);
     
     // Score each destination
-    const scoredDestinations = destinations.map(destination => {
-      // Calculate preference score (how well the destination matches user preferences)
-      const preferenceScore = calculatePreferenceScore(destination, userProfile);
+    const scoredDestinations = destinations.map((destination, index) => {
+      const { contentScore, contentFactors } = contentScores[index];
       
       // Calculate popularity score
-      const popularityScore = destination.popularity / 5; // Normalize to 0-1
+      const popularityScore = (destination.popularity || 0) / 5; // Normalize to 0-1
       
-      // Apply contextual adjustments
-      const contextAdjustment = calculateContextAdjustment(destination, context);
+      // Context weight scales how far the multiplier moves the score away from neutral
+      const { multiplier, factors: contextFactors } = contextMultipliers[index];
+      const contextAdjustment = 1 + (multiplier - 1) * weights.context;
       
-      // Calculate final weighted score
-      const finalScore = (
-        preferenceScore * config.PREFERENCE_WEIGHT +
-        popularityScore * config.POPULARITY_WEIGHT
-      ) * contextAdjustment;
+      // The collaborative score replaces part of the content/popularity blend, more of it the
+      // more feedback it rests on
+      const collaborative = collaborativeScores.get(destination.id);
+      const collaborativeWeight = collaborative ? weights.collaborative * collaborative.confidence : 0;
       
-      // Return scored destination with reasoning
+      const blendedScore = contentScore * weights.content + popularityScore * weights.popularity;
+      const baseScore = collaborative
+        ? blendedScore * (1 - collaborativeWeight) +
+          collaborative.score * (weights.content + weights.popularity) * collaborativeWeight
+        : blendedScore;
+      const finalScore = baseScore * contextAdjustment;
+      
+      // Return scored destination with per-stage reasoning
       return {
         destinationId: destination.id,
         score: finalScore,
+        location: destinationService.getCoordinates(destination),
+        visitDuration: destination.visitDuration || 60,
+        operatingHours: destination.operatingHours || [],
+        categories: destinationService.getCategorySlugs(destination),
+        diversityCategories: destinationService.getSpecificCategorySlugs(destination),
         reasoning: {
-          preferenceScore,
+          preferenceScore: contentScore,
           popularityScore,
+          collaborativeScore: collaborative ? collaborative.score : null,
           contextAdjustment,
-          preferenceFactors: getPreferenceFactors(destination, userProfile)
+          preferenceFactors: getPreferenceFactors(destination, { ...userProfile, preferences }, collaborative),
+          contextFactors,
+          stages: {
+            content: { score: contentScore, weight: weights.content, factors: contentFactors },
+            popularity: { score: popularityScore, weight: weights.popularity },
+            collaborative: collaborative
+              ? { ...collaborative, weight: collaborativeWeight }
+              : { score: null, confidence: 0, weight: 0 },
+            context: { multiplier, weight: weights.context, adjustment: contextAdjustment }
+          }
         }
       };
     });
@@ -80,97 +128,106 @@ const scoreDestinations = async (userId, destinationIds, context = {}, authToken
 };
 
 /**
- * Calculate how well a destination matches user preferences
+ * Add the learned fields to the preferences scoring works with
+ * Users without learned preferences (or with fields never learned) get the UserPreference
+ * defaults, which score neutrally
  */
- const calculatePreferenceScore = (destination, userProfile) => {
-  let score = 0.5; // Start with neutral score
-  
-  // Category match
-  const userCategories = userProfile.preferences.categories || [];
-  
-  // Get destination categories - handle different formats
-  let destinationCategories = [];
-  if (destination.categories) {
-    destinationCategories = destination.categories.map(cat => 
-      typeof cat === 'object' ? cat.id || cat.name : cat
-    );
-  }
+const withLearnedPreferences = (preferences, learnedPreferences) => {
+  const merged = { ...preferences };
   
-  // Find overlap between user categories and destination categories
-  const categoryOverlap = destinationCategories.filter(category => 
-    userCategories.includes(category)
-  ).length;
+  LEARNED_FIELDS.forEach(field => {
+    const learned = learnedPreferences ? learnedPreferences[field] : undefined;
+    merged[field] = learned !== undefined && learned !== null
+      ? learned
+      : UserPreference.rawAttributes[field].defaultValue;
+  });
   
-  if (destinationCategories.length > 0) {
-    score += 0.3 * (categoryOverlap / destinationCategories.length);
-  }
-  
-  // Check if this is an excluded activity
-  if (userProfile.preferences.excludedActivities && 
-      userProfile.preferences.excludedActivities.some(act => 
-        destinationCategories.includes(act)
-      )) {
-    score -= 0.4; // Strong penalty for excluded activities
-  }
-  
-  // Cost level match (penalize if too far from preferred cost level)
-  const costDifference = Math.abs((destination.costLevel || 3) - (userProfile.preferences.costLevel || 3));
-  score -= 0.1 * costDifference;
-  
-  // Activity level match
-  if (destination.visitDuration && userProfile.preferences.activityLevel) {
-    // Higher visit duration might appeal to users who prefer more immersive experiences
-    if (userProfile.preferences.activityLevel === 'relaxed' && destination.visitDuration > 120) {
-      score += 0.1;
-    } else if (userProfile.preferences.activityLevel === 'moderate' && 
-              destination.visitDuration >= 60 && destination.visitDuration <= 180) {
-      score += 0.1;
-    } else if (userProfile.preferences.activityLevel === 'active' && destination.visitDuration < 120) {
-      score += 0.1;
-    }
-  }
+  return merged;
+};
+
+/**
+ * Blend weights for the user
+ * Content and popularity share PREFERENCE_WEIGHT + POPULARITY_WEIGHT; a popularity preference
+ * of 0.5 keeps the configured split, 1 doubles the popularity weight and 0 ignores popularity
+ */
+const getScoringWeights = (preferences) => {
+  const total = config.PREFERENCE_WEIGHT + config.POPULARITY_WEIGHT;
+  const popularityPreference = typeof preferences.popularityPreference === 'number'
+    ? Math.min(1, Math.max(0, preferences.popularityPreference))
+    : 0.5;
+  const popularity = Math.min(total, config.POPULARITY_WEIGHT * popularityPreference * 2);
   
-  // Ensure score is in 0-1 range
-  return Math.max(0, Math.min(1, score));
+  return {
+    content: total - popularity,
+    popularity,
+    collaborative: config.CF_WEIGHT,
+    context: config.CONTEXT_WEIGHT
+  };
 };
 
 /**
- * Apply contextual adjustments (weather, time, etc.)
+ * Fill in context the context filter needs but callers don't always provide
  */
-const calculateContextAdjustment = (destination, context) => {
-  let adjustment = 1.0;
+const buildScoringContext = (context) => {
+  const scoringContext = { ...context };
   
-  // Time of day adjustment
-  if (context.timeOfDay && destination.attributes && destination.attributes.bestTimeOfDay) {
-    if (destination.attributes.bestTimeOfDay === context.timeOfDay) {
-      adjustment *= 1.2;
+  if (context.date) {
+    const dateKey = toDateKey(context.date);
+    
+    if (scoringContext.dayOfWeek === undefined) {
+      scoringContext.dayOfWeek = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
     }
-  }
-  
-  // Weather adjustment
-  if (context.weather && destination.attributes && destination.attributes.indoor) {
-    if (context.weather === 'rain' && destination.attributes.indoor === true) {
-      adjustment *= 1.3; // Boost indoor activities in rainy weather
-    } else if (context.weather === 'sunny' && destination.attributes.indoor === false) {
-      adjustment *= 1.2; // Boost outdoor activities in sunny weather
+    
+    if (!scoringContext.season) {
+      const latitude = context.location ? context.location.latitude : undefined;
+      scoringContext.season = contextFilter.getSeason(dateKey, latitude);
     }
   }
   
-  // Time constraints
-  if (context.availableTime && destination.visitDuration) {
-    if (destination.visitDuration > context.availableTime) {
-      // Penalize destinations that take too long
-      adjustment *= 0.7;
-    }
-  }
+  return scoringContext;
+};
+
+/**
+ * Run the context filter on a neutral score of 1.0 so its output is a pure multiplier
+ */
+const calculateContextMultipliers = async (destinations, context) => {
+  const neutralDestinations = destinations.map(destination => {
+    const attributes = destination.attributes || {};
+    
+    // Category slugs act as attribute flags so e.g. a "park" category matches park factors
+    const categoryFlags = {};
+    (destination.categories || []).forEach(category => {
+      if (typeof category === 'object' && category.slug) {
+        categoryFlags[category.slug] = true;
+      }
+    });
+    
+    return {
+      destinationId: destination.id,
+      score: 1.0,
+      attributes: { ...categoryFlags, ...attributes },
+      categories: destination.categories,
+      type: attributes.type,
+      bestTimeOfDay: attributes.bestTimeOfDay,
+      seasonality: destination.seasonality,
+      visitDuration: destination.visitDuration,
+      location: destinationService.getCoordinates(destination),
+      reasoning: {}
+    };
+  });
+  
+  const adjusted = await contextFilter.applyContextualAdjustments(neutralDestinations, context);
   
-  return adjustment;
+  return adjusted.map(destination => ({
+    multiplier: destination.score,
+    factors: (destination.reasoning && destination.reasoning.contextFactors) || []
+  }));
 };
 
 /**
  * Get detailed factors that influenced the preference score for explanation
  */
-const getPreferenceFactors = (destination, userProfile) => {
+const getPreferenceFactors = (destination, userProfile, collaborative = null) => {
   const factors = [];
   
   // Category matches
@@ -205,11 +262,57 @@ const getPreferenceFactors = (destination, userProfile) => {
     });
   }
   
+  // Categories the user's feedback made more or less important
+  const categoryWeights = userProfile.preferences.categoryWeights || {};
+  const learnedWeights = destinationCategories
+    .map(category => {
+      const key = contentFilter.getCategoryKeys(category)
+        .find(candidate => categoryWeights[candidate] !== undefined);
+      return key !== undefined ? categoryWeights[key] : undefined;
+    })
+    .filter(weight => weight !== undefined);
+  
+  if (learnedWeights.some(weight => weight > 1)) {
+    factors.push({
+      type: 'learned_category',
+      description: 'You have enjoyed similar places before',
+      impact: 'positive'
+    });
+  } else if (learnedWeights.length && learnedWeights.every(weight => weight < 1)) {
+    factors.push({
+      type: 'learned_category',
+      description: 'You have passed on similar places before',
+      impact: 'negative'
+    });
+  }
+  
+  // Feedback of users with similar taste, once it rests on enough of it
+  if (collaborative && collaborative.confidence >= 0.5) {
+    if (collaborative.score >= 0.6) {
+      factors.push({
+        type: 'similar_users',
+        description: 'People like you also enjoyed this',
+        impact: 'positive',
+        basedOn: collaborative.basedOn
+      });
+    } else if (collaborative.score <= 0.4) {
+      factors.push({
+        type: 'similar_users',
+        description: 'People with similar taste often passed on this',
+        impact: 'negative',
+        basedOn: collaborative.basedOn
+      });
+    }
+  }
+  
   // Add more factors as needed
   
   return factors;
 };
 
 module.exports = {
-  scoreDestinations
+  scoreDestinations,
+  getScoringWeights,
+  buildScoringContext,
+  calculateContextMultipliers
 };
\ No newline at end of file
@@ -0,0 +1,252 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/settings');
+const sequelize = require('../config/database');
+const logger = require('../utils/logger');
+const scoringService = require('./scoringService');
+const constraintSolver = require('./constraintSolver');
+const destinationService = require('./destinationService');
+const weatherService = require('./weatherService');
+const profileService = require('./profileService');
+const itineraryService = require('./itineraryService');
+const Trip = require('../models/trip');
+const { BadRequestError } = require('../utils/errors');
+const { determineTimeOfDay, calculateAvailableTime, toDateKey } = require('../utils/timeUtils');
+
+/**
+ * Plan a multi-day trip
+ * Days are planned in order, each as its own itinerary. A destination (or meal venue)
+ * used on one day is never offered again, and categories already visited earlier in
+ * the trip are scored down so days don't all look alike. Once every day is solved, the
+ * itineraries and the trip are saved in one transaction.
+ *
+ * @param {string} userId - Recommendation engine user ID
+ * @param {Object} request - Validated trip request (location, startDate, endDate, days, ...)
+ * @param {string} authToken - Authorization header for the profile service
+ * @returns {Object} { tripId, startDate, endDate, days }
+ */
+const planTrip = async (userId, request, authToken = null) => {
+  const {
+    location,
+    startDate,
+    endDate,
+    startTime,
+    endTime,
+    days: dayOverrides = [],
+    preferences = {},
+    transportMode = 'walking',
+    solver,
+    diversity
+  } = request;
+  
+  const tripDays = expandTripDays(startDate, endDate, startTime, endTime, dayOverrides);
+  const tripId = uuidv4();
+  
+  // Meal times and rest periods come from the user's schedule preferences
+  const schedule = await profileService.getUserSchedule(userId, authToken);
+  
+  const candidatesByLocation = new Map();
+  const usedDestinationIds = new Set();
+  const categoryCounts = {};
+  const solvedDays = [];
+  
+  for (const day of tripDays) {
+    const dayLocation = day.lodging || location;
+    
+    // Candidates are shared by days staying at the same place
+    const locationKey = `${dayLocation.latitude},${dayLocation.longitude}`;
+    if (!candidatesByLocation.has(locationKey)) {
+      candidatesByLocation.set(locationKey, await destinationService.findNearbyDestinations(
+        dayLocation.latitude,
+        dayLocation.longitude,
+        config.NEARBY_SEARCH_RADIUS_KM,
+        preferences.categories, // Optional category filter
+        config.TRIP_NEARBY_SEARCH_LIMIT
+      ));
+    }
+    
+    const candidates = candidatesByLocation.get(locationKey)
+      .filter(destination => !usedDestinationIds.has(destination.id));
+    
+    if (!candidates.length) {
+      logger.warn(`No unused destinations left for trip ${tripId} on ${day.date}`);
+      solvedDays.push({ day });
+      continue;
+    }
+    
+    const forecast = await weatherService.getForecast(dayLocation, day.date);
+    const context = {
+      date: day.date,
+      location: dayLocation,
+      timeOfDay: determineTimeOfDay(day.startTime),
+      weather: forecast ? forecast.type : undefined,
+      temperature: forecast ? forecast.temperature : undefined,
+      availableTime: calculateAvailableTime(day.startTime, day.endTime),
+      tripId
+    };
+    
+    const scoredDestinations = balanceCategories(
+      await scoringService.scoreDestinations(userId, candidates, context, authToken),
+      categoryCounts
+    );
+    
+    const { items, dropped } = await constraintSolver.createOptimizedItinerary(
+      scoredDestinations,
+      {
+        date: day.date,
+        startTime: day.startTime,
+        endTime: day.endTime,
+        startLocation: dayLocation,
+        transportMode,
+        schedule,
+        solver,
+        diversity
+      }
+    );
+    
+    // Nothing scheduled today - sights or meal venues - is offered again later in the trip
+    items.forEach(item => {
+      if (!item.destinationId) return;
+      usedDestinationIds.add(item.destinationId);
+      
+      if (item.type === 'visit') {
+        const scored = scoredDestinations.find(d => d.destinationId === item.destinationId);
+        (scored?.categories || []).forEach(slug => {
+          categoryCounts[slug] = (categoryCounts[slug] || 0) + 1;
+        });
+      }
+    });
+    
+    solvedDays.push({ day, dayLocation, context, items, dropped, scoredDestinations });
+  }
+  
+  // The days' itineraries and the trip are stored together, so a failure leaves none of them
+  const plannedDays = await sequelize.transaction(async (transaction) => {
+    const savedDays = [];
+    
+    for (const { day, dayLocation, context, items, dropped, scoredDestinations } of solvedDays) {
+      if (!items) {
+        savedDays.push({ ...day, itineraryId: null, items: [], dropped: [] });
+        continue;
+      }
+      
+      const itinerary = await itineraryService.saveItinerary({
+        userId,
+        tripId,
+        date: day.date,
+        startTime: day.startTime,
+        endTime: day.endTime,
+        startLocation: dayLocation,
+        transportMode,
+        requestParams: { preferences, solver, diversity },
+        context,
+        items,
+        dropped,
+        scoredDestinations,
+        transaction
+      });
+      
+      savedDays.push({
+        ...day,
+        itineraryId: itinerary.id,
+        version: itinerary.version,
+        items: itinerary.items,
+        dropped: itinerary.dropped
+      });
+    }
+    
+    // The trip keeps only the day summaries; schedules are read from each day's itinerary
+    await Trip.create({
+      id: tripId,
+      userId,
+      startDate: tripDays[0].date,
+      endDate: tripDays[tripDays.length - 1].date,
+      location,
+      days: savedDays.map(({ date, startTime, endTime, lodging, itineraryId }) => ({
+        date,
+        startTime,
+        endTime,
+        lodging,
+        itineraryId
+      })),
+      requestParams: { preferences, transportMode, solver, diversity }
+    }, { transaction });
+    
+    return savedDays;
+  });
+  
+  logger.info(`Planned trip ${tripId} with ${plannedDays.length} days for user ${userId}`);
+  
+  return {
+    tripId,
+    startDate: tripDays[0].date,
+    endDate: tripDays[tripDays.length - 1].date,
+    days: plannedDays
+  };
+};
+
+/**
+ * One entry per date in the range, with per-day window and lodging overrides applied
+ */
+const expandTripDays = (startDate, endDate, startTime, endTime, dayOverrides) => {
+  const firstDay = new Date(`${toDateKey(startDate)}T00:00:00Z`);
+  const lastDay = new Date(`${toDateKey(endDate)}T00:00:00Z`);
+  const dayCount = Math.round((lastDay - firstDay) / (24 * 60 * 60 * 1000)) + 1;
+  
+  if (dayCount < 1) {
+    throw new BadRequestError('endDate must not be before startDate');
+  }
+  
+  if (dayCount > config.MAX_TRIP_DAYS) {
+    throw new BadRequestError(`Trips can be at most ${config.MAX_TRIP_DAYS} days long`);
+  }
+  
+  const overridesByDate = new Map(
+    dayOverrides.map(override => [toDateKey(override.date), override])
+  );
+  
+  const tripDays = Array.from({ length: dayCount }, (value, index) => {
+    const date = new Date(firstDay.getTime() + index * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const override = overridesByDate.get(date) || {};
+    overridesByDate.delete(date);
+    
+    return {
+      date,
+      startTime: override.startTime || startTime,
+      endTime: override.endTime || endTime,
+      lodging: override.lodging || null
+    };
+  });
+  
+  if (overridesByDate.size > 0) {
+    throw new BadRequestError('Day overrides must fall within the trip dates', {
+      dates: [...overridesByDate.keys()]
+    });
+  }
+  
+  return tripDays;
+};
+
+/**
+ * Score down destinations in categories already visited earlier in the trip
+ */
+const balanceCategories = (scoredDestinations, categoryCounts) => {
+  return scoredDestinations.map(destination => {
+    const repeats = Math.max(0, ...(destination.categories || []).map(slug => categoryCounts[slug] || 0));
+    if (repeats === 0) return destination;
+    
+    const factor = Math.pow(config.TRIP_CATEGORY_REPEAT_PENALTY, repeats);
+    
+    return {
+      ...destination,
+      score: destination.score * factor,
+      reasoning: {
+        ...destination.reasoning,
+        tripBalance: { categoryRepeats: repeats, factor }
+      }
+    };
+  });
+};
+
+module.exports = {
+  planTrip
+};
@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const config = require('../config/settings');
+const logger = require('../utils/logger');
+const { toDateKey } = require('../utils/timeUtils');
+const { getCache, setCache } = require('../config/redis');
+
+/**
+ * Weather categories understood by the context filter
+ */
+const WEATHER_TYPES = ['sunny', 'cloudy', 'rainy', 'snow', 'cold', 'hot'];
+
+// In-process cache used when Redis is disabled
+const memoryCache = new Map();
+
+// Registered providers by name
+const providers = {};
+
+/**
+ * Register a weather provider
+ * A provider is an object with an async getForecast(location, date) method that
+ * resolves to { condition, temperature } (temperature in °C) or null if unknown
+ */
+const registerProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+/**
+ * Fixture provider - reads forecasts from a JSON file for offline and test use
+ * File format: { "default": { condition, temperature }, "forecasts": [{ date, condition, temperature }] }
+ */
+const fixtureProvider = {
+  fixtures: null,
+
+  loadFixtures() {
+    if (!this.fixtures) {
+      const fixturePath = path.resolve(config.WEATHER_FIXTURE_PATH);
+      this.fixtures = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    }
+    return this.fixtures;
+  },
+
+  async getForecast(location, date) {
+    const fixtures = this.loadFixtures();
+    const forecast = (fixtures.forecasts || []).find(entry => entry.date === date);
+    return forecast || fixtures.default || null;
+  }
+};
+
+/**
+ * HTTP provider - daily forecast from an Open-Meteo compatible API
+ */
+const httpProvider = {
+  async getForecast(location, date) {
+    const response = await axios.get(config.WEATHER_API_URL, {
+      params: {
+        latitude: location.latitude,
+        longitude: location.longitude,
+        daily: 'weathercode,temperature_2m_max,temperature_2m_min',
+        timezone: 'auto',
+        start_date: date,
+        end_date: date
+      },
+      timeout: config.WEATHER_API_TIMEOUT_MS
+    });
+
+    const daily = response.data && response.data.daily;
+    if (!daily || !daily.time || daily.time.length === 0) {
+      return null;
+    }
+
+    const maxTemp = daily.temperature_2m_max[0];
+    const minTemp = daily.temperature_2m_min[0];
+
+    return {
+      condition: mapWeatherCode(daily.weathercode[0]),
+      temperature: maxTemp !== null && minTemp !== null ? (maxTemp + minTemp) / 2 : null
+    };
+  }
+};
+
+registerProvider('fixture', fixtureProvider);
+registerProvider('http', httpProvider);
+
+/**
+ * Get the forecast for a location and date, normalized for the context filter
+ * An override (string condition or { condition, temperature }) skips the provider entirely
+ *
+ * @returns {Object|null} { type, condition, temperature, date, source } or null if unavailable
+ */
+const getForecast = async (location, date, override = null) => {
+  const dateKey = toDateKey(date);
+
+  if (override) {
+    const { condition, temperature } = typeof override === 'string'
+      ? { condition: override, temperature: null }
+      : override;
+    return buildForecast(condition, temperature, dateKey, 'override');
+  }
+
+  const provider = providers[config.WEATHER_PROVIDER];
+  if (!provider) {
+    logger.warn(`Unknown weather provider "${config.WEATHER_PROVIDER}", skipping weather lookup`);
+    return null;
+  }
+
+  const cacheKey = `weather:${config.WEATHER_PROVIDER}:${location.latitude.toFixed(2)},${location.longitude.toFixed(2)}:${dateKey}`;
+
+  try {
+    const cachedForecast = await getCachedForecast(cacheKey);
+    if (cachedForecast) {
+      return cachedForecast;
+    }
+
+    const raw = await provider.getForecast(location, dateKey);
+    if (!raw) {
+      logger.debug(`No forecast available for ${dateKey} at (${location.latitude}, ${location.longitude})`);
+      return null;
+    }
+
+    const forecast = buildForecast(raw.condition, raw.temperature, dateKey, config.WEATHER_PROVIDER);
+    await cacheForecast(cacheKey, forecast);
+
+    return forecast;
+  } catch (error) {
+    logger.warn(`Weather lookup failed, continuing without weather context: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Normalize a raw condition and temperature into one of WEATHER_TYPES
+ * Precipitation wins over temperature, which wins over cloud cover
+ */
+const normalizeWeather = (condition, temperature = null) => {
+  const value = (condition || '').toLowerCase();
+
+  // Already-normalized precipitation and temperature types pass straight through
+  if (['rainy', 'snow', 'cold', 'hot'].includes(value)) return value;
+
+  if (/snow|sleet|blizzard|flurr/.test(value)) return 'snow';
+  if (/rain|drizzle|shower|thunder|storm/.test(value)) return 'rainy';
+
+  if (temperature !== null && temperature !== undefined) {
+    if (temperature <= config.WEATHER_COLD_THRESHOLD_C) return 'cold';
+    if (temperature >= config.WEATHER_HOT_THRESHOLD_C) return 'hot';
+  }
+
+  if (/cloud|overcast|fog|mist|haze/.test(value)) return 'cloudy';
+
+  return 'sunny';
+};
+
+/**
+ * Build the normalized forecast object
+ */
+const buildForecast = (condition, temperature, date, source) => ({
+  type: normalizeWeather(condition, temperature),
+  condition: condition || null,
+  temperature: temperature !== undefined ? temperature : null,
+  date,
+  source
+});
+
+/**
+ * Map WMO weather interpretation codes to a condition description
+ */
+const mapWeatherCode = (code) => {
+  if (code === 0 || code === 1) return 'clear';
+  if (code === 2 || code === 3) return 'cloudy';
+  if (code === 45 || code === 48) return 'fog';
+  if ((code >= 51 && code <= 67) || (code >= 80 && code <= 82)) return 'rain';
+  if ((code >= 71 && code <= 77) || code === 85 || code === 86) return 'snow';
+  if (code >= 95) return 'thunderstorm';
+  return 'clear';
+};
+
+/**
+ * Read a forecast from Redis, or the in-process cache when Redis is disabled
+ */
+const getCachedForecast = async (cacheKey) => {
+  if (config.REDIS_ENABLED) {
+    const cached = await getCache(cacheKey);
+    return cached ? JSON.parse(cached) : null;
+  }
+
+  const entry = memoryCache.get(cacheKey);
+  if (entry && entry.expiresAt > Date.now()) {
+    return entry.forecast;
+  }
+
+  memoryCache.delete(cacheKey);
+  return null;
+};
+
+/**
+ * Store a forecast in Redis, or the in-process cache when Redis is disabled
+ */
+const cacheForecast = async (cacheKey, forecast) => {
+  if (config.REDIS_ENABLED) {
+    await setCache(cacheKey, JSON.stringify(forecast), config.WEATHER_CACHE_TTL);
+    return;
+  }
+
+  memoryCache.set(cacheKey, {
+    forecast,
+    expiresAt: Date.now() + config.WEATHER_CACHE_TTL * 1000
+  });
+};
+
+module.exports = {
+  WEATHER_TYPES,
+  getForecast,
+  normalizeWeather,
+  registerProvider
+};
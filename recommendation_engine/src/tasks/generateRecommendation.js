@@ -1,40 +1,69 @@
+const config = require('../config/settings');
 const logger = require('../utils/logger');
+const { determineTimeOfDay, calculateAvailableTime } = require('../utils/timeUtils');
 const scoringService = require('../services/scoringService');
 const constraintSolver = require('../services/constraintSolver');
 const destinationService = require('../services/destinationService');
-const Recommendation = require('../models/recommendation');
+const weatherService = require('../services/weatherService');
+const profileService = require('../services/profileService');
+const itineraryService = require('../services/itineraryService');
+const UserToken = require('../models/userToken');
+const jobService = require('../services/jobService');
 const metrics = require('../utils/metrics');
-const { v4: uuidv4 } = require('uuid');
+const { NotFoundError } = require('../utils/errors');
+const { Op } = require('sequelize');
 
 /**
  * Background task to generate recommendations
- * This allows us to handle complex recommendation generation asynchronously
+ * This allows us to handle complex recommendation generation asynchronously.
+ * When data.jobId is set (POST /generate?async=true) the job record is kept up to date
+ * and ends up with the same data the synchronous endpoint returns.
  */
 const generateRecommendationsTask = async (data) => {
+  const { jobId } = data;
+  
   try {
     const startTime = Date.now();
     logger.info(`Starting recommendation generation task for user ${data.userId}`);
     
+    if (jobId) await jobService.markRunning(jobId);
+    
     const { 
       userId, 
+      authUserId = userId, 
       location, 
       date, 
       startTime: tripStartTime, 
       endTime: tripEndTime, 
       preferences = {},
-      transportMode = 'walking'
+      transportMode = 'walking',
+      weather: weatherOverride,
+      solver,
+      diversity,
+      mustInclude = [],
+      pinned = [],
+      exclude = []
     } = data;
     
     // Get nearby destinations
     const nearbyDestinations = await destinationService.findNearbyDestinations(
       location.latitude,
       location.longitude,
-      5, // 5km radius
-      preferences.categories
+      config.NEARBY_SEARCH_RADIUS_KM,
+      preferences.categories, // Optional category filter
+      config.NEARBY_SEARCH_LIMIT
+    );
+    
+    // Required destinations are planned even when the nearby search didn't return them
+    const constraints = { mustInclude, pinned, exclude };
+    const candidates = await destinationService.withDestinations(
+      nearbyDestinations,
+      [...mustInclude.map(entry => entry.destinationId), ...pinned]
     );
     
-    if (!nearbyDestinations.length) {
+    if (!candidates.length) {
       logger.warn(`No destinations found for location (${location.latitude}, ${location.longitude})`);
+      if (jobId) await jobService.failJob(jobId, new NotFoundError('No destinations found in this location'));
       return {
         success: false,
         message: 'No destinations found in this location',
@@ -42,103 +71,103 @@ const generateRecommendationsTask = async (data) => {
       };
     }
     
-    // Collect destination IDs
-    const destinationIds = nearbyDestinations.map(dest => dest.id);
-    
     // Build context object
+    const forecast = await weatherService.getForecast(location, date, weatherOverride);
     const context = {
       date,
+      location,
       timeOfDay: determineTimeOfDay(tripStartTime),
-      weather: await getWeatherForLocation(location, date),
+      weather: forecast ? forecast.type : undefined,
+      temperature: forecast ? forecast.temperature : undefined,
       availableTime: calculateAvailableTime(tripStartTime, tripEndTime)
     };
     
+    // The profile service is called with the user's stored token, if they have a valid one
+    const authToken = await getUserToken(authUserId);
+    
     // Score destinations
-    const scoredDestinations = await scoringService.scoreDestinations(userId, destinationIds, context);
+    const scoredDestinations = await scoringService.scoreDestinations(userId, candidates, context, authToken);
+    
+    // Meal times and rest periods come from the user's schedule preferences
+    const schedule = authToken ? await profileService.getUserSchedule(userId, authToken) : null;
     
     // Create an optimized itinerary
-    const itinerary = await constraintSolver.createOptimizedItinerary(
+    const { items, dropped } = await constraintSolver.createOptimizedItinerary(
       scoredDestinations,
       {
+        date,
         startTime: tripStartTime,
         endTime: tripEndTime,
         startLocation: location,
-        transportMode
+        transportMode,
+        schedule,
+        solver,
+        diversity,
+        constraints
       }
     );
     
-    // Generate a unique itineraryId
-    const itineraryId = uuidv4();
-    
-    // Store recommendations
-    for (const item of itinerary) {
-      if (item.type === 'break') continue; // Skip breaks
-      
-      await Recommendation.create({
-        userId,
-        itineraryId,
-        destinationId: item.destinationId,
-        score: item.score,
-        position: itinerary.indexOf(item),
-        reasoning: scoredDestinations.find(d => d.destinationId === item.destinationId)?.reasoning || {},
-        contextData: context,
-        status: 'pending'
-      });
-    }
+    // Store the itinerary and its recommendations
+    const itinerary = await itineraryService.saveItinerary({
+      userId,
+      date,
+      startTime: tripStartTime,
+      endTime: tripEndTime,
+      startLocation: location,
+      transportMode,
+      requestParams: { preferences, weather: weatherOverride, solver, diversity, constraints },
+      context,
+      items,
+      dropped,
+      scoredDestinations
+    });
+    
+    const visitCount = items.filter(i => i.type === 'visit').length;
     
     // Record metrics
-    metrics.incrementCounter('recommendations', 'generated', itinerary.filter(i => i.type !== 'break').length);
+    metrics.incrementCounter('recommendations', 'generated', visitCount);
     metrics.recordResponseTime(Date.now() - startTime);
     
-    logger.info(`Generated itinerary ${itineraryId} with ${itinerary.filter(i => i.type !== 'break').length} destinations for user ${userId}`);
+    logger.info(`Generated itinerary ${itinerary.id} with ${visitCount} destinations for user ${userId}`);
+    
+    if (jobId) await jobService.completeJob(jobId, itineraryService.serializeItinerary(itinerary));
     
     return {
       success: true,
-      itineraryId,
-      itemCount: itinerary.filter(i => i.type !== 'break').length
+      itineraryId: itinerary.id,
+      itemCount: visitCount
     };
   } catch (error) {
     logger.error('Error in recommendation generation task:', error);
     metrics.recordError('generation_task_error');
     
+    // A job's failure is recorded on the job; nobody awaits the task to handle a rejection
+    if (jobId) {
+      await jobService.failJob(jobId, error);
+      return { success: false, error: error.message };
+    }
+    
     throw error;
   }
 };
 
 /**
- * Helper to determine time of day from time string
+ * The user's stored authorization header, if they have a valid one
  */
-const determineTimeOfDay = (timeString) => {
-  if (!timeString) return 'afternoon';
-  
-  const hour = parseInt(timeString.split(':')[0]);
-  
-  if (hour < 12) return 'morning';
-  if (hour < 17) return 'afternoon';
-  return 'evening';
-};
-
-/**
- * Helper to calculate available time in minutes
- */
-const calculateAvailableTime = (startTime, endTime) => {
-  if (!startTime || !endTime) return 480; // Default to 8 hours
-  
-  const start = startTime.split(':').map(Number);
-  const end = endTime.split(':').map(Number);
+const getUserToken = async (userId) => {
+  const tokenRecord = await UserToken.findOne({
+    where: {
+      userId,
+      expiresAt: { [Op.gt]: new Date() } // Only valid tokens
+    }
+  });
   
-  const startMinutes = start[0] * 60 + start[1];
-  const endMinutes = end[0] * 60 + end[1];
+  if (!tokenRecord) {
+    logger.debug(`No valid token for user ${userId}, using learned preferences and default meal times`);
+    return null;
+  }
   
-  return endMinutes - startMinutes;
-};
-
-/**
- * Mock function to get weather - would be replaced with actual weather API
- */
-const getWeatherForLocation = async (location, date) => {
-  // In a real implementation, this would call a weather API
-  return 'sunny'; // Default to sunny for MVP
+  return tokenRecord.token;
 };
 
 // Register the task with Celery
@@ -1,6 +1,9 @@
 const { registerTasks: registerGenerateRecommendationTask } = require('./generateRecommendation');
 const { registerTasks: registerUpdateFeaturesTask } = require('./updateFeatures');
+const { registerTasks: registerTrainCollaborativeFilterTask } = require('./trainCollaborativeFilter');
+const localQueue = require('./localQueue');
 const rabbitmq = require('../config/rabbitmq');
+const config = require('../config/settings');
 const logger = require('../utils/logger');
 
 /**
@@ -37,6 +40,7 @@ const registerAllTasks = () => {
     // Register each task type
     registerGenerateRecommendationTask(celeryClient);
     registerUpdateFeaturesTask(celeryClient);
+    registerTrainCollaborativeFilterTask(celeryClient);
     
     logger.info('All Celery tasks registered successfully');
     return true;
@@ -53,6 +57,13 @@ const registerAllTasks = () => {
   }
 };
 
+/**
+ * Register all tasks with the in-process queue, which async jobs fall back to
+ * whenever Celery isn't available
+ */
+const registerLocalTasks = () => doRegisterTasks(localQueue);
+
 module.exports = {
-  registerAllTasks
+  registerAllTasks,
+  registerLocalTasks
 };
\ No newline at end of file
@@ -0,0 +1,60 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/settings');
+const logger = require('../utils/logger');
+
+/**
+ * In-process task queue, used when RabbitMQ/Celery isn't available
+ * Tasks register the same way they do with the Celery client, run in this process
+ * in FIFO order with at most LOCAL_QUEUE_CONCURRENCY at a time, and are lost on restart.
+ */
+const registeredTasks = {};
+const pending = [];
+let running = 0;
+
+const register = (name, fn) => {
+  registeredTasks[name] = fn;
+  logger.debug(`Registered in-process task: ${name}`);
+  return true;
+};
+
+/**
+ * Queue a registered task
+ * @returns {string} Task ID
+ */
+const enqueue = (name, args = []) => {
+  if (!registeredTasks[name]) {
+    throw new Error(`Task ${name} is not registered with the in-process queue`);
+  }
+
+  const taskId = `local-${uuidv4()}`;
+  pending.push({ taskId, name, args });
+  setImmediate(drain);
+
+  return taskId;
+};
+
+const drain = () => {
+  while (running < config.LOCAL_QUEUE_CONCURRENCY && pending.length > 0) {
+    const { taskId, name, args } = pending.shift();
+    running++;
+
+    Promise.resolve()
+      .then(() => registeredTasks[name](...args))
+      .catch(error => logger.error(`In-process task ${name} (${taskId}) failed:`, error))
+      .finally(() => {
+        running--;
+        drain();
+      });
+  }
+};
+
+/**
+ * Tasks waiting or running
+ */
+const size = () => pending.length + running;
+
+module.exports = {
+  register,
+  enqueue,
+  size
+};
@@ -0,0 +1,171 @@
+const config = require('../config/settings');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const rabbitmq = require('../config/rabbitmq');
+const eventService = require('../services/eventService');
+const { updateUserFeaturesTask } = require('./updateFeatures');
+
+/**
+ * Runs updateUserFeaturesTask automatically as users give feedback
+ * feedback.saved events are batched per user: the update runs once feedback has been quiet
+ * for PREFERENCE_UPDATE_DEBOUNCE_MS, or PREFERENCE_UPDATE_MAX_WAIT_MS after the first event
+ * of the batch at the latest. Failed runs are retried with exponential backoff and, once
+ * PREFERENCE_UPDATE_MAX_ATTEMPTS is reached, dead-lettered to RabbitMQ (or kept in memory
+ * when it is disabled).
+ */
+const DEAD_LETTER_LIMIT = 100;
+
+const pending = new Map(); // userId -> { authUserId, events, firstEventAt, timer }
+const running = new Set();
+const deadLetters = [];
+let unsubscribe = null;
+
+const start = () => {
+  if (unsubscribe) return;
+
+  unsubscribe = eventService.subscribeAll((userId, event) => {
+    if (event.type === 'feedback.saved') {
+      schedule(userId, event.data.authUserId);
+    }
+  });
+
+  logger.info('Preference update scheduler started');
+};
+
+const stop = () => {
+  if (unsubscribe) {
+    unsubscribe();
+    unsubscribe = null;
+  }
+
+  pending.forEach(entry => clearTimeout(entry.timer));
+  pending.clear();
+};
+
+/**
+ * Add an event to the user's batch and (re)start its debounce timer
+ *
+ * @param {string} userId - Recommendation engine user ID
+ * @param {string} authUserId - Authenticated user ID the stored token is keyed by
+ * @param {Object} options - immediate: run as soon as possible
+ */
+const schedule = (userId, authUserId, { immediate = false } = {}) => {
+  const now = Date.now();
+  let entry = pending.get(userId);
+
+  if (entry) {
+    clearTimeout(entry.timer);
+    entry.events++;
+    entry.authUserId = authUserId || entry.authUserId;
+    metrics.incrementCounter('preference_updates', 'batched');
+  } else {
+    entry = { authUserId, events: 1, firstEventAt: now };
+    pending.set(userId, entry);
+    metrics.incrementCounter('preference_updates', 'scheduled');
+  }
+
+  const delay = immediate ? 0 : Math.min(
+    config.PREFERENCE_UPDATE_DEBOUNCE_MS,
+    Math.max(0, entry.firstEventAt + config.PREFERENCE_UPDATE_MAX_WAIT_MS - now)
+  );
+
+  entry.timer = setTimeout(() => flush(userId), delay);
+  if (entry.timer.unref) entry.timer.unref();
+};
+
+/**
+ * Run the update for a user's batch; a batch that arrives while an update for the same
+ * user is still running (or retrying) waits for it
+ */
+const flush = async (userId) => {
+  const entry = pending.get(userId);
+  if (!entry) return;
+
+  if (running.has(userId)) {
+    entry.timer = setTimeout(() => flush(userId), config.PREFERENCE_UPDATE_DEBOUNCE_MS);
+    if (entry.timer.unref) entry.timer.unref();
+    return;
+  }
+
+  pending.delete(userId);
+  running.add(userId);
+
+  try {
+    await runWithRetry({ userId, authUserId: entry.authUserId }, entry.events);
+  } finally {
+    running.delete(userId);
+  }
+};
+
+const runWithRetry = async (payload, events) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await updateUserFeaturesTask(payload);
+
+      if (result && result.success === false) {
+        logger.info(`Skipped preference update for user ${payload.userId}: ${result.reason}`);
+        metrics.incrementCounter('preference_updates', 'skipped');
+      } else {
+        metrics.incrementCounter('preference_updates', 'succeeded');
+      }
+
+      return result;
+    } catch (error) {
+      if (attempt >= config.PREFERENCE_UPDATE_MAX_ATTEMPTS) {
+        await deadLetter(payload, events, attempt, error);
+        return null;
+      }
+
+      const delay = config.PREFERENCE_UPDATE_RETRY_DELAY_MS * 2 ** (attempt - 1);
+      logger.warn(`Preference update for user ${payload.userId} failed (attempt ${attempt}), retrying in ${delay}ms: ${error.message}`);
+      metrics.incrementCounter('preference_updates', 'retried');
+
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+};
+
+/**
+ * Park an update that keeps failing so it can be inspected and replayed
+ */
+const deadLetter = async (payload, events, attempts, error) => {
+  const message = {
+    task: 'tasks.update_user_features',
+    payload,
+    events,
+    attempts,
+    error: error.message,
+    failedAt: new Date().toISOString()
+  };
+
+  logger.error(`Preference update for user ${payload.userId} failed after ${attempts} attempts, dead-lettering it`);
+  metrics.incrementCounter('preference_updates', 'dead_lettered');
+  metrics.recordError('preference_update_failed');
+
+  const published = config.RABBITMQ_ENABLED && rabbitmq.getChannel()
+    ? await rabbitmq.publishMessage(config.PREFERENCE_UPDATE_DEAD_LETTER_QUEUE, message)
+    : false;
+
+  if (!published) {
+    deadLetters.push(message);
+    if (deadLetters.length > DEAD_LETTER_LIMIT) deadLetters.shift();
+  }
+};
+
+/**
+ * Dead-lettered updates kept in memory (newest last)
+ */
+const getDeadLetters = () => [...deadLetters];
+
+/**
+ * Users with a batch waiting or an update running
+ */
+const size = () => new Set([...pending.keys(), ...running]).size;
+
+module.exports = {
+  start,
+  stop,
+  schedule,
+  getDeadLetters,
+  size
+};
@@ -0,0 +1,42 @@
+const logger = require('../utils/logger');
+const collaborativeFilter = require('../services/collaborativeFilter');
+
+/**
+ * Background task to retrain the collaborative filter from all recommendation feedback
+ */
+const trainCollaborativeFilterTask = async () => {
+  try {
+    logger.info('Starting collaborative filter training');
+
+    const summary = await collaborativeFilter.trainModel();
+
+    logger.info(`Trained collaborative filter: ${summary.destinations} destinations from ${summary.interactions} feedback items by ${summary.users} users`);
+
+    return {
+      success: true,
+      ...summary
+    };
+  } catch (error) {
+    logger.error('Error in collaborative filter training task:', error);
+    throw error;
+  }
+};
+
+// Register the task with Celery
+const registerTasks = (celeryApp) => {
+  // Only register if we have the register method (our fake client)
+  if (celeryApp && typeof celeryApp.register === 'function') {
+    celeryApp.register('tasks.train_collaborative_filter', trainCollaborativeFilterTask);
+    logger.info('Registered train_collaborative_filter task with Celery');
+    return true;
+  }
+
+  // For real celery, we'd need a worker process
+  logger.info('Task registration skipped - requires external Celery worker in production');
+  return false;
+};
+
+module.exports = {
+  trainCollaborativeFilterTask,
+  registerTasks
+};
@@ -1,3 +1,5 @@
+const axios = require('axios');
+const config = require('../config/settings');
 const logger = require('../utils/logger');
 const profileService = require('../services/profileService');
 const destinationService = require('../services/destinationService');
@@ -9,17 +11,19 @@ const jwt = require('jsonwebtoken');
 
 /**
  * Background task to update user feature vectors for recommendations
+ * userId is the recommendation engine user ID; stored tokens are keyed by the
+ * authenticated user ID (authUserId), which defaults to userId.
  */
 const updateUserFeaturesTask = async (data) => {
   try {
-    const { userId } = data;
+    const { userId, authUserId = userId } = data;
     
     logger.info(`Starting feature update task for user ${userId}`);
     
     // Get user token for service-to-service communication
     const tokenRecord = await UserToken.findOne({
       where: { 
-        userId,
+        userId: authUserId,
         expiresAt: { [Op.gt]: new Date() } // Only valid tokens
       }
     });
@@ -127,7 +131,8 @@ const calculatePreferenceAdjustments = (feedbackHistory, destinationMap, current
     if (feedback.status === 'rejected') {
       multiplier = -1; // Negative for rejected
     } else if (feedback.status === 'completed') {
-      multiplier = feedback.rating ? (feedback.rating / 3) : 1; // Weight by rating if available
+      const rating = feedback.feedback && feedback.feedback.rating;
+      multiplier = rating ? (rating / 3) : 1; // Weight by rating if available
     } else {
       multiplier = 0.5; // Mild positive for just accepted
     }
@@ -193,8 +198,17 @@ const calculatePreferenceAdjustments = (feedbackHistory, destinationMap, current
     ? updatedCategories 
     : (preferences.categories || []);
   
+  // Learned weight per category: 1 is neutral, liked categories count for more when
+  // scoring and rejected ones for less
+  const categoryWeights = Object.keys(categoryScores).reduce((weights, categoryId) => {
+    const averageScore = categoryScores[categoryId] / categoryCount[categoryId];
+    weights[categoryId] = Math.round(clamp(1 + averageScore, 0.1, 2) * 100) / 100;
+    return weights;
+  }, {});
+  
   return {
     categories: finalCategories,
+    categoryWeights,
     costLevel: Math.round(preferences.costLevel || 3),
     activityLevel: preferences.activityLevel || 'moderate',
     lastUpdateReason: 'feedback_analysis',
@@ -202,6 +216,8 @@ const calculatePreferenceAdjustments = (feedbackHistory, destinationMap, current
   };
 };
 
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
 /**
  * Calculate weighted average for numeric preferences
  */
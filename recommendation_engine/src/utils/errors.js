@@ -44,6 +44,18 @@ class ForbiddenError extends AppError {
   }
 }
 
+class ConflictError extends AppError {
+  constructor(message, details = null) {
+    super(message, 409, 'CONFLICT', details);
+  }
+}
+
+class InfeasibleConstraintsError extends AppError {
+  constructor(message, details = null) {
+    super(message, 422, 'INFEASIBLE_CONSTRAINTS', details);
+  }
+}
+
 class ServiceUnavailableError extends AppError {
   constructor(message, details = null) {
     super(message, 503, 'SERVICE_UNAVAILABLE', details);
@@ -113,6 +125,8 @@ module.exports = {
   NotFoundError,
   UnauthorizedError,
   ForbiddenError,
+  ConflictError,
+  InfeasibleConstraintsError,
   ServiceUnavailableError,
   convertSequelizeError
 };
\ No newline at end of file
@@ -8,6 +8,14 @@ const metrics = {
     rejected: 0,
     completed: 0
   },
+  preference_updates: {
+    scheduled: 0,
+    batched: 0,
+    succeeded: 0,
+    skipped: 0,
+    retried: 0,
+    dead_lettered: 0
+  },
   response_times: [],
   errors: {
     count: 0,
@@ -71,6 +79,9 @@ const resetMetrics = () => {
   metrics.recommendations.accepted = 0;
   metrics.recommendations.rejected = 0;
   metrics.recommendations.completed = 0;
+  Object.keys(metrics.preference_updates).forEach(metric => {
+    metrics.preference_updates[metric] = 0;
+  });
   metrics.response_times = [];
   metrics.errors.count = 0;
   metrics.errors.types = {};
@@ -0,0 +1,42 @@
+/**
+ * Helper to determine time of day from time string
+ */
+const determineTimeOfDay = (timeString) => {
+  if (!timeString) return 'afternoon';
+  
+  const hour = parseInt(timeString.split(':')[0]);
+  
+  if (hour < 12) return 'morning';
+  if (hour < 17) return 'afternoon';
+  return 'evening';
+};
+
+/**
+ * Helper to calculate available time in minutes
+ */
+const calculateAvailableTime = (startTime, endTime) => {
+  if (!startTime || !endTime) return 480; // Default to 8 hours
+  
+  const start = startTime.split(':').map(Number);
+  const end = endTime.split(':').map(Number);
+  
+  const startMinutes = start[0] * 60 + start[1];
+  const endMinutes = end[0] * 60 + end[1];
+  
+  return endMinutes - startMinutes;
+};
+
+/**
+ * Convert a Date or date string to YYYY-MM-DD, defaulting to today
+ */
+const toDateKey = (date) => {
+  if (!date) return new Date().toISOString().split('T')[0];
+  if (date instanceof Date) return date.toISOString().split('T')[0];
+  return String(date).substring(0, 10);
+};
+
+module.exports = {
+  determineTimeOfDay,
+  calculateAvailableTime,
+  toDateKey
+};
@@ -0,0 +1,67 @@
+const collaborativeFilter = require('../src/services/collaborativeFilter');
+
+const feedback = (userId, destinationId, status, rating) => ({
+  userId,
+  destinationId,
+  status,
+  feedback: rating ? { rating } : {}
+});
+
+// Three users who like the museum also like the gallery and skip the bar
+const history = [
+  feedback('u1', 'museum', 'completed', 5),
+  feedback('u1', 'gallery', 'completed', 5),
+  feedback('u1', 'bar', 'rejected'),
+  feedback('u2', 'museum', 'accepted'),
+  feedback('u2', 'gallery', 'completed', 4),
+  feedback('u2', 'bar', 'rejected'),
+  feedback('u3', 'museum', 'completed', 4),
+  feedback('u3', 'gallery', 'accepted'),
+  feedback('u4', 'bar', 'completed', 5),
+  feedback('u4', 'club', 'completed', 5)
+];
+
+describe('Collaborative filter', () => {
+  it('should keep the latest feedback per user and destination', () => {
+    const interactions = collaborativeFilter.buildInteractions([
+      feedback('u1', 'museum', 'rejected'),
+      feedback('u1', 'museum', 'completed', 5),
+      feedback('u1', 'park', 'pending')
+    ]);
+
+    expect(interactions.get('u1').get('museum')).toBe(1);
+    expect(interactions.get('u1').has('park')).toBe(false);
+  });
+
+  it('should find destinations liked by the same users', () => {
+    const neighbors = collaborativeFilter.computeNeighbors(
+      collaborativeFilter.buildInteractions(history),
+      { minSupport: 2, maxNeighbors: 5, shrinkage: 1 }
+    );
+
+    const museumNeighbors = neighbors.get('museum').map(neighbor => neighbor.destinationId);
+    expect(museumNeighbors[0]).toBe('gallery');
+    expect(museumNeighbors).not.toContain('bar'); // Negatively correlated
+    expect(neighbors.has('club')).toBe(false); // Only one user in common with anything
+    expect(neighbors.get('gallery').find(n => n.destinationId === 'museum').support).toBe(3);
+  });
+
+  it('should predict scores from the user\'s feedback on neighbours', () => {
+    const neighbors = collaborativeFilter.computeNeighbors(
+      collaborativeFilter.buildInteractions(history),
+      { minSupport: 2, maxNeighbors: 5, shrinkage: 1 }
+    );
+
+    const fan = new Map([['museum', 1]]);
+    const critic = new Map([['museum', -1]]);
+
+    const forFan = collaborativeFilter.predictScores(neighbors, fan, ['gallery', 'club']);
+    const forCritic = collaborativeFilter.predictScores(neighbors, critic, ['gallery']);
+
+    expect(forFan.get('gallery').score).toBeGreaterThan(0.9);
+    expect(forFan.get('gallery').basedOn).toEqual(['museum']);
+    expect(forFan.get('gallery').confidence).toBeGreaterThan(0);
+    expect(forFan.has('club')).toBe(false);
+    expect(forCritic.get('gallery').score).toBeLessThan(0.1);
+  });
+});
@@ -0,0 +1,525 @@
+const constraintSolver = require('../src/services/constraintSolver');
+const config = require('../src/config/settings');
+const { BadRequestError, InfeasibleConstraintsError } = require('../src/utils/errors');
+
+// Saturday, so dayOfWeek 6 rows apply
+const DATE = '2025-03-15';
+const START_LOCATION = { latitude: 40.7128, longitude: -74.0060 };
+
+/**
+ * Seeded generator so benchmark instances are the same on every run
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Random city-sized instance: candidates within a few km of the start, a third with limited hours
+ */
+const buildInstance = (seed, size = 40) => {
+  const random = createRandom(seed);
+
+  return Array.from({ length: size }, (value, i) => {
+    const hasHours = random() < 0.3;
+    const openHour = 10 + Math.floor(random() * 4);
+    const closeHour = openHour + 3 + Math.floor(random() * 3);
+
+    return {
+      destinationId: `dest-${seed}-${i}`,
+      score: Math.round(random() * 100) / 100,
+      visitDuration: 30 + Math.floor(random() * 4) * 30,
+      location: {
+        latitude: START_LOCATION.latitude + (random() - 0.5) * 0.04,
+        longitude: START_LOCATION.longitude + (random() - 0.5) * 0.05
+      },
+      operatingHours: hasHours
+        ? [{ dayOfWeek: 6, openTime: `${openHour}:00:00`, closeTime: `${closeHour}:00:00` }]
+        : []
+    };
+  });
+};
+
+const solve = (destinations, solver, overrides = {}) => constraintSolver.createOptimizedItinerary(destinations, {
+  date: DATE,
+  startTime: '09:00',
+  endTime: '18:00',
+  startLocation: START_LOCATION,
+  transportMode: 'walking',
+  solver,
+  ...overrides
+});
+
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+describe('Constraint Solver', () => {
+  describe('optimized strategy benchmark against greedy baseline', () => {
+    const seeds = [1, 2, 3, 4, 5, 6, 7, 8];
+
+    it('should never collect less score than greedy', async () => {
+      for (const seed of seeds) {
+        const destinations = buildInstance(seed);
+        const greedy = await solve(destinations, { strategy: 'greedy' });
+        const optimized = await solve(destinations, { strategy: 'optimized', seed: 42 });
+
+        expect(optimized.stats.totalScore).toBeGreaterThanOrEqual(greedy.stats.totalScore - 1e-9);
+      }
+    });
+
+    it('should collect at least 10% more score than greedy across the benchmark set', async () => {
+      let greedyTotal = 0;
+      let optimizedTotal = 0;
+
+      for (const seed of seeds) {
+        const destinations = buildInstance(seed);
+        greedyTotal += (await solve(destinations, { strategy: 'greedy' })).stats.totalScore;
+        optimizedTotal += (await solve(destinations, { strategy: 'optimized', seed: 42 })).stats.totalScore;
+      }
+
+      expect(optimizedTotal).toBeGreaterThan(greedyTotal * 1.1);
+    });
+  });
+
+  describe('optimized strategy', () => {
+    it('should produce the same itinerary for the same seed', async () => {
+      // Only iteration-bounded runs are reproducible, so keep the time cap out of the way
+      const originalLimit = config.SOLVER_TIME_LIMIT_MS;
+      config.SOLVER_TIME_LIMIT_MS = 10000;
+
+      try {
+        const destinations = buildInstance(11);
+
+        const first = await solve(destinations, { strategy: 'optimized', seed: 7 });
+        const second = await solve(destinations, { strategy: 'optimized', seed: 7 });
+
+        expect(first.stats.timedOut).toBe(false);
+        expect(second.items).toEqual(first.items);
+      } finally {
+        config.SOLVER_TIME_LIMIT_MS = originalLimit;
+      }
+    });
+
+    it('should stop at the compute time cap and still return a feasible itinerary', async () => {
+      const originalLimit = config.SOLVER_TIME_LIMIT_MS;
+      config.SOLVER_TIME_LIMIT_MS = 0;
+
+      try {
+        const destinations = buildInstance(12);
+        const greedy = await solve(destinations, { strategy: 'greedy' });
+        const result = await solve(destinations, { strategy: 'optimized', seed: 1 });
+
+        expect(result.stats.timedOut).toBe(true);
+        expect(result.stats.iterations).toBe(0);
+        expect(result.stats.totalScore).toBeGreaterThanOrEqual(greedy.stats.totalScore - 1e-9);
+      } finally {
+        config.SOLVER_TIME_LIMIT_MS = originalLimit;
+      }
+    });
+
+    it('should keep every visit inside opening hours and the day', async () => {
+      const destinations = buildInstance(13);
+      const byId = new Map(destinations.map(dest => [dest.destinationId, dest]));
+
+      const result = await solve(destinations, { strategy: 'optimized', seed: 3 });
+      const visits = result.items.filter(item => item.type === 'visit');
+
+      expect(visits.length).toBeGreaterThan(0);
+
+      visits.forEach(item => {
+        const start = timeToMinutes(item.startTime);
+        const end = timeToMinutes(item.endTime);
+        const [hours] = byId.get(item.destinationId).operatingHours;
+
+        expect(start).toBeGreaterThanOrEqual(timeToMinutes('09:00'));
+        expect(end).toBeLessThanOrEqual(timeToMinutes('18:00'));
+
+        if (hours) {
+          expect(start).toBeGreaterThanOrEqual(timeToMinutes(hours.openTime));
+          expect(end).toBeLessThanOrEqual(timeToMinutes(hours.closeTime));
+        }
+      });
+    });
+  });
+
+  describe('opening hours', () => {
+    const NO_MEALS = { mealTimes: { breakfast: null, lunch: null, dinner: null } };
+    const venue = (destinationId, operatingHours, overrides = {}) => ({
+      destinationId,
+      score: 0.9,
+      visitDuration: 60,
+      location: START_LOCATION,
+      operatingHours,
+      ...overrides
+    });
+    const plan = (destinations, overrides = {}) => solve(destinations, { strategy: 'greedy' }, {
+      schedule: NO_MEALS,
+      ...overrides
+    });
+    const visitOf = (result, destinationId) => result.items
+      .find(item => item.type === 'visit' && item.destinationId === destinationId);
+    const droppedReason = (result, destinationId) => result.dropped
+      .find(entry => entry.destinationId === destinationId).reason;
+
+    it('should use a later opening window when the first one is too short', async () => {
+      const result = await plan([venue('gallery', [
+        { dayOfWeek: 6, openTime: '09:00:00', closeTime: '09:45:00' },
+        { dayOfWeek: 6, openTime: '14:00:00', closeTime: '18:00:00' }
+      ])], { startTime: '13:30' });
+
+      expect(visitOf(result, 'gallery')).toMatchObject({ startTime: '14:00', endTime: '15:00' });
+    });
+
+    it('should schedule venues open past midnight', async () => {
+      const result = await plan([venue('club', [
+        { dayOfWeek: 6, openTime: '20:00:00', closeTime: '02:00:00' }
+      ])], { startTime: '19:30', endTime: '23:30' });
+
+      expect(visitOf(result, 'club')).toMatchObject({ startTime: '20:00', endTime: '21:00' });
+    });
+
+    it('should replace the regular hours with seasonal hours covering the date', async () => {
+      const result = await plan([venue('garden', [
+        { dayOfWeek: 6, openTime: '09:00:00', closeTime: '17:00:00' },
+        { dayOfWeek: 6, openTime: '12:00:00', closeTime: '13:00:00', seasonStart: '2025-03-01', seasonEnd: '2025-03-31' },
+        { dayOfWeek: 6, openTime: '10:00:00', closeTime: '11:00:00', seasonStart: '2025-06-01', seasonEnd: '2025-08-31' }
+      ])], { startTime: '11:30' });
+
+      expect(visitOf(result, 'garden')).toMatchObject({ startTime: '12:00', endTime: '13:00' });
+      expect(result.dropped).toEqual([]);
+    });
+
+    it('should explain why destinations were dropped', async () => {
+      const result = await plan([
+        venue('open-all-day', [], { visitDuration: 90 }),
+        venue('closed', [{ dayOfWeek: 6, openTime: null, closeTime: null }], { score: 0.8 }),
+        venue('early-bird', [{ dayOfWeek: 6, openTime: '06:00:00', closeTime: '08:00:00' }], { score: 0.7 }),
+        venue('no-room', [], { score: 0.6, visitDuration: 90 })
+      ], { endTime: '11:00' });
+
+      expect(droppedReason(result, 'closed')).toBe('closed');
+      expect(droppedReason(result, 'early-bird')).toBe('outside_opening_hours');
+      expect(droppedReason(result, 'no-room')).toBe('insufficient_time');
+    });
+
+    it('should report a destination that only fits after a long wait', async () => {
+      const result = await plan([venue('late-opener', [
+        { dayOfWeek: 6, openTime: '14:00:00', closeTime: '18:00:00' }
+      ])]);
+
+      expect(result.items).toEqual([]);
+      expect(droppedReason(result, 'late-opener')).toBe('wait_too_long');
+    });
+  });
+
+  describe('meal and rest breaks', () => {
+    // Compact neighbourhood so the restaurant is within meal travel range of every sight
+    const sights = buildInstance(21, 15).map(dest => ({
+      ...dest,
+      operatingHours: [],
+      location: {
+        latitude: START_LOCATION.latitude + (dest.location.latitude - START_LOCATION.latitude) * 0.2,
+        longitude: START_LOCATION.longitude + (dest.location.longitude - START_LOCATION.longitude) * 0.2
+      }
+    }));
+    const restaurant = {
+      destinationId: 'restaurant-1',
+      score: 0.6,
+      visitDuration: 60,
+      categories: ['restaurants'],
+      location: { latitude: START_LOCATION.latitude + 0.002, longitude: START_LOCATION.longitude },
+      operatingHours: [{ dayOfWeek: 6, openTime: '11:00:00', closeTime: '15:00:00' }]
+    };
+
+    const breaksOf = (result) => result.items.filter(item => item.type === 'break');
+
+    it.each(['greedy', 'optimized'])('should hold lunch at a nearby food destination (%s)', async (strategy) => {
+      const result = await solve([...sights, restaurant], { strategy, seed: 1 }, { endTime: '17:00' });
+      const [lunch] = breaksOf(result);
+
+      expect(breaksOf(result)).toHaveLength(1);
+      expect(lunch.breakType).toBe('lunch');
+      expect(lunch.destinationId).toBe('restaurant-1');
+      expect(lunch.duration).toBe(config.MEAL_DURATIONS_MINUTES.lunch);
+      expect(timeToMinutes(lunch.startTime)).toBeGreaterThanOrEqual(timeToMinutes('12:00'));
+      expect(timeToMinutes(lunch.startTime)).toBeLessThanOrEqual(timeToMinutes('14:00'));
+
+      // The restaurant is used for the meal, not visited as a sight
+      const visits = result.items.filter(item => item.type === 'visit');
+      expect(visits.map(item => item.destinationId)).not.toContain('restaurant-1');
+    });
+
+    it('should fall back to a plain break when no food destination is open nearby', async () => {
+      const result = await solve(sights, { strategy: 'greedy' }, { endTime: '17:00' });
+      const [lunch] = breaksOf(result);
+
+      expect(lunch.breakType).toBe('lunch');
+      expect(lunch).not.toHaveProperty('destinationId');
+    });
+
+    it('should place meals and rest periods from the schedule preferences in order', async () => {
+      const schedule = {
+        mealTimes: { breakfast: '08:00', lunch: '11:30', dinner: '18:30' },
+        restPeriods: true
+      };
+
+      const result = await solve(sights, { strategy: 'optimized', seed: 2 }, {
+        startTime: '09:00',
+        endTime: '21:00',
+        schedule
+      });
+      const breaks = breaksOf(result);
+
+      // Breakfast is before the day starts, so it is skipped
+      expect(breaks.map(item => item.breakType)).toEqual(['lunch', 'rest', 'dinner']);
+
+      const lunchStart = timeToMinutes(breaks[0].startTime);
+      expect(lunchStart).toBeGreaterThanOrEqual(timeToMinutes('10:30'));
+      expect(lunchStart).toBeLessThanOrEqual(timeToMinutes('12:30'));
+
+      const dinnerStart = timeToMinutes(breaks[2].startTime);
+      expect(dinnerStart).toBeGreaterThanOrEqual(timeToMinutes('17:30'));
+      expect(dinnerStart).toBeLessThanOrEqual(timeToMinutes('19:30'));
+
+      // Nothing overlaps
+      for (let i = 1; i < result.items.length; i++) {
+        expect(timeToMinutes(result.items[i].startTime))
+          .toBeGreaterThanOrEqual(timeToMinutes(result.items[i - 1].endTime));
+      }
+    });
+  });
+
+  describe('travel legs', () => {
+    it('should connect every stop to the previous one with a travel leg', async () => {
+      const result = await solve(buildInstance(16, 15), { strategy: 'optimized', seed: 4 }, { endTime: '17:00' });
+      let previous = { destinationId: null, endTime: '09:00' };
+
+      result.items.forEach((item, index) => {
+        if (item.type === 'travel') {
+          const next = result.items[index + 1];
+
+          expect(item.fromDestinationId).toBe(previous.destinationId);
+          expect(item.toDestinationId).toBe(next.destinationId);
+          expect(item.startTime).toBe(previous.endTime);
+          expect(item.transportMode).toBe('walking');
+          expect(timeToMinutes(item.endTime) - timeToMinutes(item.startTime)).toBe(item.duration);
+          return;
+        }
+
+        if (item.type === 'visit' && item.travelTimeFromPrevious > 0) {
+          expect(result.items[index - 1]).toMatchObject({ type: 'travel', duration: item.travelTimeFromPrevious });
+        }
+
+        previous = { destinationId: item.destinationId || previous.destinationId, endTime: item.endTime };
+      });
+
+      expect(result.items.filter(item => item.type === 'travel').length).toBeGreaterThan(0);
+    });
+  });
+
+  describe('pinned destinations', () => {
+    it.each(['greedy', 'optimized'])('should keep low-scoring pinned destinations in the plan (%s)', async (strategy) => {
+      const destinations = buildInstance(17, 30);
+      const unpinned = await solve(destinations, { strategy, seed: 5 });
+      const scheduled = new Set(unpinned.items.filter(item => item.type === 'visit').map(item => item.destinationId));
+
+      // The lowest-scoring destinations the plain run left out
+      const pinnedIds = [...destinations]
+        .filter(dest => !scheduled.has(dest.destinationId) && dest.operatingHours.length === 0)
+        .sort((a, b) => a.score - b.score)
+        .slice(0, 2)
+        .map(dest => dest.destinationId);
+
+      const result = await solve(
+        destinations.map(dest => (pinnedIds.includes(dest.destinationId) ? { ...dest, pinned: true } : dest)),
+        { strategy, seed: 5 }
+      );
+      const visits = result.items.filter(item => item.type === 'visit');
+
+      expect(pinnedIds).toHaveLength(2);
+      pinnedIds.forEach(id => {
+        expect(visits.find(item => item.destinationId === id)).toMatchObject({ pinned: true });
+      });
+      expect(visits.length).toBeGreaterThan(pinnedIds.length);
+    });
+  });
+
+  describe('planning constraints', () => {
+    const destinations = buildInstance(18, 20).map(dest => ({ ...dest, operatingHours: [] }));
+    const [first, second, third] = destinations;
+
+    it.each(['greedy', 'optimized'])('should visit mustInclude destinations at their fixed time (%s)', async (strategy) => {
+      const result = await solve(destinations, { strategy, seed: 6 }, {
+        constraints: {
+          mustInclude: [{ destinationId: first.destinationId, startTime: '14:00' }]
+        }
+      });
+      const visit = result.items.find(item => item.destinationId === first.destinationId);
+
+      expect(visit).toMatchObject({ type: 'visit', startTime: '14:00', pinned: true, fixedTime: true });
+    });
+
+    it('should never use excluded destinations', async () => {
+      const excluded = destinations.slice(0, 10).map(dest => dest.destinationId);
+      const result = await solve(destinations, { strategy: 'optimized', seed: 6 }, {
+        constraints: { exclude: excluded }
+      });
+
+      expect(result.items.filter(item => excluded.includes(item.destinationId))).toEqual([]);
+      expect(result.dropped.filter(item => excluded.includes(item.destinationId))).toEqual([]);
+    });
+
+    it('should reject visits fixed at the same time', async () => {
+      const attempt = solve(destinations, { strategy: 'greedy' }, {
+        constraints: {
+          mustInclude: [
+            { destinationId: first.destinationId, startTime: '11:00' },
+            { destinationId: second.destinationId, startTime: '11:00' }
+          ],
+          pinned: [third.destinationId]
+        }
+      });
+
+      await expect(attempt).rejects.toBeInstanceOf(InfeasibleConstraintsError);
+      await expect(attempt).rejects.toMatchObject({
+        statusCode: 422,
+        details: {
+          conflicts: [expect.objectContaining({ reason: 'conflicts_with_other_constraints', startTime: '11:00' })]
+        }
+      });
+    });
+
+    it('should reject destinations that are both required and excluded', async () => {
+      await expect(solve(destinations, { strategy: 'greedy' }, {
+        constraints: { pinned: [first.destinationId], exclude: [first.destinationId] }
+      })).rejects.toMatchObject({
+        details: { conflicts: [{ destinationId: first.destinationId, reason: 'excluded' }] }
+      });
+    });
+
+    it('should reject a fixed time outside the day', async () => {
+      await expect(solve(destinations, { strategy: 'greedy' }, {
+        constraints: { mustInclude: [{ destinationId: first.destinationId, startTime: '20:00' }] }
+      })).rejects.toMatchObject({
+        details: { conflicts: [{ destinationId: first.destinationId, startTime: '20:00', reason: 'outside_day' }] }
+      });
+    });
+  });
+
+  describe('diversity', () => {
+    // Four museums outscore everything else; all are open all day and close to the start
+    const sights = buildInstance(22, 10).map((dest, i) => ({
+      ...dest,
+      score: i < 4 ? 0.9 - i * 0.01 : 0.5 - i * 0.01,
+      visitDuration: 45,
+      categories: i < 4 ? ['attractions', 'museums'] : ['nature-outdoors', 'parks'],
+      diversityCategories: i < 4 ? ['museums'] : [`park-${i}`],
+      operatingHours: []
+    }));
+    const museumIds = sights.slice(0, 4).map(dest => dest.destinationId);
+    const visitsOf = (result) => result.items.filter(item => item.type === 'visit');
+
+    it.each(['greedy', 'optimized'])('should cap and demote repeated categories (%s)', async (strategy) => {
+      const result = await solve(sights, { strategy, seed: 1 }, { diversity: { lambda: 0.3, maxPerCategory: 2 } });
+      const museums = visitsOf(result).filter(item => museumIds.includes(item.destinationId));
+
+      expect(museums).toHaveLength(2);
+
+      const demoted = museums.find(item => item.diversity);
+      expect(demoted.diversity).toMatchObject({
+        reason: 'redundant_categories',
+        similarity: 1,
+        sharedCategories: ['museums']
+      });
+      expect(demoted.score).toBeCloseTo(demoted.diversity.originalScore * 0.7);
+
+      const capped = result.dropped.filter(entry => museumIds.includes(entry.destinationId));
+      capped.forEach(entry => expect(entry.reason).toBe('category_cap'));
+    });
+
+    it('should schedule repeated categories when diversity is turned off', async () => {
+      const result = await solve(sights, { strategy: 'greedy' }, { diversity: { lambda: 0, maxPerCategory: 0 } });
+      const visits = visitsOf(result);
+
+      expect(visits.filter(item => museumIds.includes(item.destinationId))).toHaveLength(4);
+      visits.forEach(item => expect(item).not.toHaveProperty('diversity'));
+    });
+
+    it('should leave diversity off unless it is requested or configured', async () => {
+      const configured = [process.env.DIVERSITY_LAMBDA, process.env.DIVERSITY_MAX_PER_CATEGORY];
+      delete process.env.DIVERSITY_LAMBDA;
+      delete process.env.DIVERSITY_MAX_PER_CATEGORY;
+
+      jest.isolateModules(() => {
+        expect(require('../src/config/settings')).toMatchObject({ DIVERSITY_LAMBDA: 0, DIVERSITY_MAX_PER_CATEGORY: 0 });
+      });
+
+      if (configured[0] !== undefined) process.env.DIVERSITY_LAMBDA = configured[0];
+      if (configured[1] !== undefined) process.env.DIVERSITY_MAX_PER_CATEGORY = configured[1];
+
+      const result = await solve(sights, { strategy: 'greedy' });
+      const visits = visitsOf(result);
+
+      expect(visits.filter(item => museumIds.includes(item.destinationId))).toHaveLength(4);
+      visits.forEach(item => expect(item).not.toHaveProperty('diversity'));
+    });
+
+    it('should not let the cap drop pinned destinations', async () => {
+      const result = await solve(sights, { strategy: 'greedy' }, {
+        diversity: { maxPerCategory: 1 },
+        constraints: { pinned: museumIds.slice(0, 3) }
+      });
+      const scheduled = visitsOf(result).map(item => item.destinationId);
+
+      museumIds.slice(0, 3).forEach(id => expect(scheduled).toContain(id));
+      expect(scheduled).not.toContain(museumIds[3]);
+    });
+
+    it.each(['greedy', 'optimized'])('should save cap room for a pinned destination that scores lower (%s)', async (strategy) => {
+      const result = await solve(sights, { strategy, seed: 1 }, {
+        diversity: { maxPerCategory: 1 },
+        constraints: { pinned: [museumIds[3]] }
+      });
+      const visits = visitsOf(result);
+
+      expect(visits.filter(item => museumIds.includes(item.destinationId)).map(item => item.destinationId))
+        .toEqual([museumIds[3]]);
+      visits.forEach((item, i) => {
+        expect(timeToMinutes(item.endTime)).toBeLessThanOrEqual(timeToMinutes('18:00'));
+        if (i > 0) expect(timeToMinutes(item.startTime)).toBeGreaterThanOrEqual(timeToMinutes(visits[i - 1].endTime));
+      });
+    });
+  });
+
+  describe('strategy selection', () => {
+    it('should use the configured strategy when none is requested', async () => {
+      const result = await solve(buildInstance(14, 10), undefined);
+
+      expect(result.stats.strategy).toBe(config.SOLVER_STRATEGY);
+    });
+
+    it('should default to the greedy strategy', () => {
+      const configured = process.env.SOLVER_STRATEGY;
+      delete process.env.SOLVER_STRATEGY;
+
+      jest.isolateModules(() => {
+        expect(require('../src/config/settings').SOLVER_STRATEGY).toBe('greedy');
+      });
+
+      if (configured !== undefined) process.env.SOLVER_STRATEGY = configured;
+    });
+
+    it('should reject an unknown strategy', async () => {
+      await expect(solve(buildInstance(15, 5), { strategy: 'quantum' }))
+        .rejects.toBeInstanceOf(BadRequestError);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+const diversityRanker = require('../src/services/diversityRanker');
+
+const dest = (destinationId, score, categories) => ({ destinationId, score, categories });
+
+describe('Diversity re-ranking', () => {
+  it('should demote destinations that repeat the categories of better ones', () => {
+    const ranked = diversityRanker.rerank([
+      dest('museum-1', 0.9, ['museums']),
+      dest('museum-2', 0.85, ['museums']),
+      dest('park', 0.7, ['parks'])
+    ], { lambda: 0.5 });
+
+    expect(ranked.map(entry => entry.destinationId)).toEqual(['museum-1', 'park', 'museum-2']);
+    expect(ranked[0]).not.toHaveProperty('diversity');
+    expect(ranked[1]).not.toHaveProperty('diversity');
+    expect(ranked[2].score).toBeCloseTo(0.425);
+    expect(ranked[2].diversity).toEqual({
+      reason: 'redundant_categories',
+      originalScore: 0.85,
+      similarity: 1,
+      similarTo: 'museum-1',
+      sharedCategories: ['museums']
+    });
+  });
+
+  it('should scale the penalty with category overlap', () => {
+    const ranked = diversityRanker.rerank([
+      dest('history-museum', 0.9, ['museums', 'historical-sites']),
+      dest('art-museum', 0.8, ['museums', 'galleries'])
+    ], { lambda: 0.3 });
+
+    expect(ranked[1].diversity.similarity).toBeCloseTo(1 / 3);
+    expect(ranked[1].score).toBeCloseTo(0.8 * (1 - 0.3 / 3));
+  });
+
+  it('should prefer the most specific categories when they are given', () => {
+    const ranked = diversityRanker.rerank([
+      { ...dest('museum', 0.9, ['attractions', 'museums']), diversityCategories: ['museums'] },
+      { ...dest('tower', 0.8, ['attractions', 'observation-decks']), diversityCategories: ['observation-decks'] }
+    ], { lambda: 1 });
+
+    expect(ranked[1]).not.toHaveProperty('diversity');
+    expect(ranked[1].score).toBe(0.8);
+  });
+
+  it('should leave the ranking alone when lambda is 0', () => {
+    const destinations = [dest('a', 0.9, ['museums']), dest('b', 0.8, ['museums'])];
+
+    expect(diversityRanker.rerank(destinations, { lambda: 0 })).toBe(destinations);
+  });
+});
@@ -0,0 +1,60 @@
+const eventService = require('../src/services/eventService');
+
+describe('Itinerary event bus', () => {
+  it('should only deliver events to streams of the same user', () => {
+    const received = [];
+    const others = [];
+
+    const unsubscribe = eventService.subscribe('user-a', event => received.push(event));
+    const unsubscribeOther = eventService.subscribe('user-b', event => others.push(event));
+
+    const first = eventService.publish('user-a', 'itinerary.generated', { itineraryId: 'it-1' });
+    const second = eventService.publish('user-a', 'itinerary.refined', { itineraryId: 'it-1' });
+
+    expect(received.map(event => event.type)).toEqual(['itinerary.generated', 'itinerary.refined']);
+    expect(received[0].data).toEqual({ itineraryId: 'it-1' });
+    expect(second.id).toBeGreaterThan(first.id);
+    expect(others).toEqual([]);
+
+    unsubscribe();
+    unsubscribeOther();
+  });
+
+  it('should stop delivering after unsubscribing', () => {
+    const received = [];
+    const unsubscribe = eventService.subscribe('user-c', event => received.push(event));
+
+    expect(eventService.subscriberCount('user-c')).toBe(1);
+    unsubscribe();
+    eventService.publish('user-c', 'itinerary.generated', { itineraryId: 'it-2' });
+
+    expect(received).toEqual([]);
+    expect(eventService.subscriberCount('user-c')).toBe(0);
+  });
+
+  it('should keep internal events off user streams', () => {
+    const streamed = [];
+    const internal = [];
+
+    const unsubscribe = eventService.subscribe('user-e', event => streamed.push(event));
+    const unsubscribeAll = eventService.subscribeAll((userId, event) => internal.push({ userId, event }));
+
+    eventService.publishInternal('user-e', 'feedback.saved', { authUserId: 'auth-e' });
+
+    expect(streamed).toEqual([]);
+    expect(internal.map(({ userId, event }) => [userId, event.type])).toEqual([['user-e', 'feedback.saved']]);
+
+    unsubscribe();
+    unsubscribeAll();
+  });
+
+  it('should not let a failing stream break the publisher', () => {
+    const unsubscribe = eventService.subscribe('user-d', () => {
+      throw new Error('stream closed');
+    });
+
+    expect(() => eventService.publish('user-d', 'itinerary.generated', {})).not.toThrow();
+
+    unsubscribe();
+  });
+});
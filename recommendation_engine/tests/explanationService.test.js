@@ -0,0 +1,86 @@
+const explanationService = require('../src/services/explanationService');
+
+const stages = ({ content = 0.8, popularity = 0.6, collaborative = null, adjustment = 1 } = {}) => ({
+  content: { score: content, weight: 0.7, factors: {} },
+  popularity: { score: popularity, weight: 0.3 },
+  collaborative: collaborative
+    ? { score: collaborative, confidence: 1, weight: 0.3, basedOn: [] }
+    : { score: null, confidence: 0, weight: 0 },
+  context: { multiplier: 1 + (adjustment - 1) / 0.5, weight: 0.5, adjustment }
+});
+
+const recommendation = (id, destinationId, score, reasoning) => ({
+  id,
+  destinationId,
+  itineraryId: 'itinerary-1',
+  position: 0,
+  score,
+  reasoning
+});
+
+describe('Recommendation explanations', () => {
+  it('should split the score into stage contributions that add up to it', () => {
+    const reasoning = { stages: stages({ collaborative: 0.9, adjustment: 1.2 }) };
+    const contributions = explanationService.getStageContributions(reasoning);
+
+    const base = (0.8 * 0.7 + 0.6 * 0.3) * 0.7 + 0.9 * 1.0 * 0.3;
+    expect(contributions.baseScore).toBeCloseTo(base);
+    expect(contributions.collaborative.contribution).toBeCloseTo(0.27);
+    expect(contributions.context.contribution).toBeCloseTo(base * 0.2);
+    expect(
+      contributions.content.contribution +
+      contributions.popularity.contribution +
+      contributions.collaborative.contribution +
+      contributions.context.contribution
+    ).toBeCloseTo(base * 1.2);
+
+    // Anything planning changed afterwards shows up as adjustments
+    const balanced = explanationService.getStageContributions(reasoning, base * 1.2 * 0.8);
+    expect(balanced.adjustments.contribution).toBeCloseTo(-base * 1.2 * 0.2);
+    expect(balanced.total).toBeCloseTo(base * 1.2 * 0.8);
+  });
+
+  it('should rank reasons in favour first, strongest stage first', () => {
+    const reasons = explanationService.getReasons({
+      stages: stages({ popularity: 0.9, adjustment: 0.8 }),
+      preferenceFactors: [
+        { type: 'cost_mismatch', description: 'Significantly different from your budget preference', impact: 'negative' },
+        { type: 'category_match', description: 'Matches 1 of your preferred categories', impact: 'positive' }
+      ],
+      contextFactors: [
+        { type: 'weather', weather: 'rainy', impact: 'negative', description: 'strong negative adjustment due to rainy weather' }
+      ]
+    });
+
+    expect(reasons.map(reason => reason.type)).toEqual([
+      'category_match', 'popularity', 'cost_mismatch', 'weather'
+    ]);
+    expect(reasons[3].description).toBe('Strong negative adjustment due to rainy weather');
+  });
+
+  it('should describe how a different context would change the ranking', async () => {
+    const park = recommendation('rec-park', 'park', 0.5, { stages: stages({ adjustment: 0.85 }) });
+    const museum = recommendation('rec-museum', 'museum', 0.55, { stages: stages() });
+    const destinations = [
+      { id: 'park', categories: [{ slug: 'park' }], attributes: { outdoor: true } },
+      { id: 'museum', categories: [{ slug: 'museum' }], attributes: { indoor: true } }
+    ];
+
+    const counterfactuals = await explanationService.getCounterfactuals(
+      park, [museum], destinations, { weather: 'rainy' }
+    );
+
+    const sunny = counterfactuals.find(counterfactual => counterfactual.value === 'sunny');
+    expect(sunny.description).toBe('Would rank higher on a sunny day');
+    expect(sunny.rank).toBe(1);
+    expect(sunny.scoreChange).toBeGreaterThan(0);
+    expect(counterfactuals[0].scoreChange).toBeGreaterThanOrEqual(sunny.scoreChange);
+    expect(counterfactuals.find(counterfactual => counterfactual.value === 'rainy')).toBeUndefined();
+  });
+
+  it('should skip counterfactuals when the destination details are unavailable', async () => {
+    const park = recommendation('rec-park', 'park', 0.5, { stages: stages() });
+
+    expect(await explanationService.getCounterfactuals(park, [], [], { weather: 'rainy' })).toEqual([]);
+  });
+});
@@ -0,0 +1,235 @@
+jest.mock('../src/config/database', () => ({
+  // Commit hooks only run when the work succeeds, like a managed transaction
+  transaction: jest.fn(async (work) => {
+    const hooks = [];
+    const result = await work({ afterCommit: hook => hooks.push(hook) });
+    hooks.forEach(hook => hook());
+    return result;
+  })
+}));
+
+jest.mock('../src/models/itinerary', () => ({
+  create: jest.fn(),
+  update: jest.fn(),
+  findOne: jest.fn(),
+  findOrCreate: jest.fn()
+}));
+
+jest.mock('../src/models/itineraryVersion', () => ({
+  create: jest.fn()
+}));
+
+jest.mock('../src/models/recommendation', () => ({
+  create: jest.fn(),
+  update: jest.fn(),
+  findAll: jest.fn()
+}));
+
+const Itinerary = require('../src/models/itinerary');
+const ItineraryVersion = require('../src/models/itineraryVersion');
+const Recommendation = require('../src/models/recommendation');
+const eventService = require('../src/services/eventService');
+const { ConflictError } = require('../src/utils/errors');
+const itineraryService = require('../src/services/itineraryService');
+
+const visit = (destinationId, startTime, endTime) => ({ type: 'visit', destinationId, startTime, endTime });
+const travel = (from, to) => ({ type: 'travel', fromDestinationId: from, toDestinationId: to });
+
+describe('Itinerary Service', () => {
+  describe('diffItems', () => {
+    const original = [
+      travel(null, 'a'),
+      visit('a', '09:10', '10:10'),
+      travel('a', 'b'),
+      visit('b', '10:20', '11:20'),
+      { type: 'break', breakType: 'lunch', startTime: '12:00', endTime: '13:00' },
+      visit('c', '13:10', '14:10'),
+      visit('d', '14:20', '15:20')
+    ];
+
+    it('should report nothing for identical versions', () => {
+      expect(itineraryService.diffItems(original, original)).toEqual({
+        added: [],
+        removed: [],
+        moved: [],
+        retimed: []
+      });
+    });
+
+    it('should not mark later stops as moved when an earlier one is removed', () => {
+      const refined = [
+        visit('a', '09:10', '10:10'),
+        visit('c', '10:20', '11:20'),
+        visit('d', '14:20', '15:20')
+      ];
+
+      const diff = itineraryService.diffItems(original, refined);
+
+      expect(diff.removed).toEqual([{ destinationId: 'b', order: 1, startTime: '10:20', endTime: '11:20' }]);
+      expect(diff.added).toEqual([]);
+      expect(diff.moved).toEqual([]);
+      expect(diff.retimed).toEqual([{
+        destinationId: 'c',
+        from: { startTime: '13:10', endTime: '14:10' },
+        to: { startTime: '10:20', endTime: '11:20' }
+      }]);
+    });
+
+    it('should report added and reordered destinations', () => {
+      const refined = [
+        visit('d', '09:10', '10:10'),
+        visit('a', '10:20', '11:20'),
+        visit('b', '11:30', '12:30'),
+        visit('e', '13:30', '14:30'),
+        visit('c', '14:40', '15:40')
+      ];
+
+      const diff = itineraryService.diffItems(original, refined);
+
+      expect(diff.added).toEqual([{ destinationId: 'e', order: 3, startTime: '13:30', endTime: '14:30' }]);
+      expect(diff.removed).toEqual([]);
+      expect(diff.moved).toEqual([{ destinationId: 'd', fromOrder: 3, toOrder: 0 }]);
+      expect(diff.retimed.map(change => change.destinationId)).toEqual(['d', 'a', 'b', 'c']);
+    });
+  });
+
+  describe('transactions', () => {
+    const stored = {
+      id: 'itinerary-1',
+      userId: 'user-1',
+      version: 2,
+      items: [{ ...visit('a', '09:10', '10:10'), recommendationId: 'rec-a' }]
+    };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      jest.spyOn(eventService, 'publish').mockImplementation(() => {});
+      Recommendation.create.mockImplementation(async (fields) => ({ id: `rec-${fields.destinationId}` }));
+      Itinerary.create.mockImplementation(async (fields) => ({ ...fields, version: 1 }));
+    });
+
+    it('should write every row of a new itinerary in one transaction', async () => {
+      await itineraryService.saveItinerary({
+        userId: 'user-1',
+        date: '2025-03-15',
+        startTime: '09:00',
+        endTime: '17:00',
+        items: [visit('a', '09:10', '10:10'), visit('b', '10:20', '11:20')]
+      });
+
+      const { transaction } = Itinerary.create.mock.calls[0][1];
+      expect(transaction).toBeDefined();
+      Recommendation.create.mock.calls.forEach(([, options]) => expect(options.transaction).toBe(transaction));
+      expect(ItineraryVersion.create.mock.calls[0][1].transaction).toBe(transaction);
+      expect(eventService.publish).toHaveBeenCalledWith('user-1', 'itinerary.generated', expect.any(Object));
+    });
+
+    it('should not publish an itinerary whose transaction fails', async () => {
+      Itinerary.create.mockRejectedValue(new Error('insert failed'));
+
+      await expect(itineraryService.saveItinerary({
+        userId: 'user-1',
+        date: '2025-03-15',
+        startTime: '09:00',
+        endTime: '17:00',
+        items: [visit('a', '09:10', '10:10')]
+      })).rejects.toThrow('insert failed');
+
+      expect(eventService.publish).not.toHaveBeenCalled();
+    });
+
+    it('should only bump the version the revision was based on', async () => {
+      Itinerary.update.mockResolvedValue([1, [{ ...stored, version: 3 }]]);
+
+      const revised = await itineraryService.reviseItinerary(stored, {
+        items: [visit('b', '09:10', '10:10')],
+        change: { type: 'refine' }
+      });
+
+      expect(revised.version).toBe(3);
+      expect(Itinerary.update).toHaveBeenCalledWith(
+        expect.objectContaining({ version: 3 }),
+        expect.objectContaining({ where: { id: 'itinerary-1', version: 2 } })
+      );
+      expect(ItineraryVersion.create).toHaveBeenCalledWith(expect.objectContaining({ version: 3 }), expect.any(Object));
+    });
+
+    it('should reject a revision based on an outdated version', async () => {
+      Itinerary.update.mockResolvedValue([0, []]);
+
+      await expect(itineraryService.reviseItinerary(stored, {
+        items: [visit('b', '09:10', '10:10')],
+        change: { type: 'refine' }
+      })).rejects.toBeInstanceOf(ConflictError);
+
+      expect(ItineraryVersion.create).not.toHaveBeenCalled();
+      expect(eventService.publish).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('legacy itineraries', () => {
+    const context = { date: '2025-03-15', location: { latitude: 40.71, longitude: -74.0 }, weather: 'sunny' };
+    const createdAt = new Date('2025-03-14T18:00:00Z');
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      Itinerary.findOne.mockResolvedValue(null);
+      Itinerary.findOrCreate.mockImplementation(async ({ where, defaults }) => [{ id: where.id, version: 1, ...defaults }, true]);
+      Recommendation.findAll.mockResolvedValue([
+        { id: 'rec-a', destinationId: 'a', score: 0.9, position: 0, contextData: context, createdAt },
+        { id: 'rec-b', destinationId: 'b', score: 0.7, position: 2, contextData: context, createdAt }
+      ]);
+    });
+
+    it('should import an itinerary that only has recommendation rows', async () => {
+      const itinerary = await itineraryService.getItinerary('user-1', 'itinerary-1');
+
+      expect(Recommendation.findAll).toHaveBeenCalledWith({
+        where: { userId: 'user-1', itineraryId: 'itinerary-1' },
+        order: [['position', 'ASC']]
+      });
+      expect(itinerary).toMatchObject({
+        id: 'itinerary-1',
+        userId: 'user-1',
+        version: 1,
+        date: '2025-03-15',
+        startTime: '09:00',
+        endTime: '17:00',
+        startLocation: context.location,
+        context,
+        items: [
+          { type: 'visit', destinationId: 'a', score: 0.9, recommendationId: 'rec-a' },
+          { type: 'visit', destinationId: 'b', score: 0.7, recommendationId: 'rec-b' }
+        ],
+        createdAt
+      });
+      expect(ItineraryVersion.create).toHaveBeenCalledWith(
+        expect.objectContaining({ itineraryId: 'itinerary-1', version: 1, change: { type: 'generate' } }),
+        expect.any(Object)
+      );
+    });
+
+    it('should not save a second version when the itinerary was imported concurrently', async () => {
+      Itinerary.findOrCreate.mockImplementation(async ({ where, defaults }) => [{ id: where.id, version: 2, ...defaults }, false]);
+
+      const itinerary = await itineraryService.getItinerary('user-1', 'itinerary-1');
+
+      expect(itinerary.version).toBe(2);
+      expect(ItineraryVersion.create).not.toHaveBeenCalled();
+    });
+
+    it('should return null without recommendation rows', async () => {
+      Recommendation.findAll.mockResolvedValue([]);
+
+      expect(await itineraryService.getItinerary('user-1', 'itinerary-1')).toBeNull();
+      expect(Itinerary.findOrCreate).not.toHaveBeenCalled();
+    });
+
+    it('should not look for recommendation rows of a stored itinerary', async () => {
+      Itinerary.findOne.mockResolvedValue({ id: 'itinerary-1', userId: 'user-1', version: 3 });
+
+      expect(await itineraryService.getItinerary('user-1', 'itinerary-1')).toMatchObject({ version: 3 });
+      expect(Recommendation.findAll).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,124 @@
+process.env.RABBITMQ_ENABLED = 'true';
+
+jest.mock('axios', () => ({
+  post: jest.fn()
+}));
+
+jest.mock('../src/models/job', () => ({
+  create: jest.fn(),
+  findByPk: jest.fn()
+}));
+
+jest.mock('../src/config/rabbitmq', () => ({
+  hasTaskConsumer: jest.fn(),
+  sendTask: jest.fn()
+}));
+
+const axios = require('axios');
+const Job = require('../src/models/job');
+const rabbitmq = require('../src/config/rabbitmq');
+const localQueue = require('../src/tasks/localQueue');
+const jobService = require('../src/services/jobService');
+const { BadRequestError } = require('../src/utils/errors');
+
+const waitForIdle = async () => {
+  while (localQueue.size() > 0) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+};
+
+describe('Job dispatch', () => {
+  const task = jest.fn();
+
+  beforeAll(() => {
+    localQueue.register('tests.job', task);
+  });
+
+  beforeEach(() => {
+    task.mockReset();
+    rabbitmq.sendTask.mockReset();
+    Job.create.mockImplementation(async (fields) => ({
+      id: 'job-1',
+      ...fields,
+      update: jest.fn(async function (changes) {
+        return { ...this, ...changes };
+      })
+    }));
+  });
+
+  it('should run the job in-process when no Celery worker consumes the task', async () => {
+    rabbitmq.hasTaskConsumer.mockResolvedValue(false);
+
+    const job = await jobService.enqueueJob('user-1', 'tests.job', { n: 1 });
+    await waitForIdle();
+
+    expect(job.backend).toBe('local');
+    expect(rabbitmq.sendTask).not.toHaveBeenCalled();
+    expect(task).toHaveBeenCalledWith({ n: 1, jobId: 'job-1' });
+  });
+
+  it('should send the job to Celery when a worker consumes the task', async () => {
+    rabbitmq.hasTaskConsumer.mockResolvedValue(true);
+    rabbitmq.sendTask.mockResolvedValue({ taskId: 'celery-1' });
+
+    const job = await jobService.enqueueJob('user-1', 'tests.job', { n: 2 });
+
+    expect(job.backend).toBe('celery');
+    expect(job.taskId).toBe('celery-1');
+    expect(rabbitmq.hasTaskConsumer).toHaveBeenCalledWith('tests.job');
+    expect(task).not.toHaveBeenCalled();
+  });
+});
+
+describe('Job callbacks', () => {
+  beforeEach(() => {
+    axios.post.mockReset();
+    Job.create.mockReset();
+  });
+
+  it.each([
+    'http://127.0.0.1:8080/hook',
+    'http://localhost/hook',
+    'http://169.254.169.254/latest/meta-data/',
+    'https://10.1.2.3/hook',
+    'http://[::1]/hook',
+    'http://[::ffff:192.168.0.1]/hook'
+  ])('should refuse to queue a job calling back %s', async (callbackUrl) => {
+    await expect(jobService.enqueueJob('user-1', 'tests.job', {}, callbackUrl))
+      .rejects.toBeInstanceOf(BadRequestError);
+
+    expect(Job.create).not.toHaveBeenCalled();
+  });
+
+  it('should not deliver a callback whose host now points inward', async () => {
+    const job = {
+      id: 'job-2',
+      callbackUrl: 'http://127.0.0.1/hook',
+      update: jest.fn()
+    };
+    Job.findByPk.mockResolvedValue(job);
+
+    await jobService.completeJob('job-2', { ok: true });
+
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(job.update).toHaveBeenLastCalledWith({ callbackStatus: 'failed' });
+  });
+
+  it('should deliver callbacks to public hosts without following redirects', async () => {
+    const job = {
+      id: 'job-3',
+      callbackUrl: 'https://93.184.216.34/hook',
+      update: jest.fn()
+    };
+    Job.findByPk.mockResolvedValue(job);
+    axios.post.mockResolvedValue({ status: 204 });
+
+    await jobService.completeJob('job-3', { ok: true });
+
+    expect(axios.post).toHaveBeenCalledWith(job.callbackUrl, expect.any(Object), expect.objectContaining({
+      maxRedirects: 0,
+      lookup: expect.any(Function)
+    }));
+    expect(job.update).toHaveBeenLastCalledWith({ callbackStatus: 'delivered' });
+  });
+});
@@ -0,0 +1,51 @@
+const localQueue = require('../src/tasks/localQueue');
+const config = require('../src/config/settings');
+
+const waitForIdle = async () => {
+  while (localQueue.size() > 0) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+};
+
+describe('In-process task queue', () => {
+  it('should run queued tasks in order without exceeding the concurrency limit', async () => {
+    const started = [];
+    let active = 0;
+    let maxActive = 0;
+
+    localQueue.register('tests.ordered', async (payload) => {
+      started.push(payload.n);
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+    });
+
+    const taskIds = [1, 2, 3, 4].map(n => localQueue.enqueue('tests.ordered', [{ n }]));
+    await waitForIdle();
+
+    expect(new Set(taskIds).size).toBe(4);
+    taskIds.forEach(taskId => expect(taskId).toMatch(/^local-/));
+    expect(started).toEqual([1, 2, 3, 4]);
+    expect(maxActive).toBe(config.LOCAL_QUEUE_CONCURRENCY);
+  });
+
+  it('should keep going after a task fails', async () => {
+    const completed = [];
+
+    localQueue.register('tests.flaky', async (payload) => {
+      if (payload.fail) throw new Error('boom');
+      completed.push(payload.n);
+    });
+
+    localQueue.enqueue('tests.flaky', [{ fail: true }]);
+    localQueue.enqueue('tests.flaky', [{ n: 2 }]);
+    await waitForIdle();
+
+    expect(completed).toEqual([2]);
+  });
+
+  it('should reject tasks that were never registered', () => {
+    expect(() => localQueue.enqueue('tests.unknown')).toThrow('not registered');
+  });
+});
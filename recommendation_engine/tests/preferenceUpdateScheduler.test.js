@@ -0,0 +1,89 @@
+process.env.PREFERENCE_UPDATE_DEBOUNCE_MS = '20';
+process.env.PREFERENCE_UPDATE_MAX_WAIT_MS = '1000';
+process.env.PREFERENCE_UPDATE_MAX_ATTEMPTS = '3';
+process.env.PREFERENCE_UPDATE_RETRY_DELAY_MS = '5';
+
+jest.mock('../src/tasks/updateFeatures', () => ({
+  updateUserFeaturesTask: jest.fn()
+}));
+
+const { updateUserFeaturesTask } = require('../src/tasks/updateFeatures');
+const scheduler = require('../src/tasks/preferenceUpdateScheduler');
+const eventService = require('../src/services/eventService');
+const metrics = require('../src/utils/metrics');
+
+const waitForIdle = async () => {
+  while (scheduler.size() > 0) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+const saveFeedback = (userId) => {
+  eventService.publishInternal(userId, 'feedback.saved', { recommendationId: 'rec-1', authUserId: `auth-${userId}` });
+};
+
+describe('Preference update scheduler', () => {
+  beforeEach(() => {
+    updateUserFeaturesTask.mockReset();
+    metrics.resetMetrics();
+    scheduler.start();
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+  });
+
+  it('should batch feedback events into one update per user', async () => {
+    updateUserFeaturesTask.mockResolvedValue({ success: true, updated: true });
+
+    saveFeedback('user-1');
+    saveFeedback('user-1');
+    saveFeedback('user-1');
+    saveFeedback('user-2');
+    await waitForIdle();
+
+    expect(updateUserFeaturesTask).toHaveBeenCalledTimes(2);
+    expect(updateUserFeaturesTask).toHaveBeenCalledWith({ userId: 'user-1', authUserId: 'auth-user-1' });
+    expect(updateUserFeaturesTask).toHaveBeenCalledWith({ userId: 'user-2', authUserId: 'auth-user-2' });
+
+    const { preference_updates: counters } = metrics.getAllMetrics();
+    expect(counters.scheduled).toBe(2);
+    expect(counters.batched).toBe(2);
+    expect(counters.succeeded).toBe(2);
+  });
+
+  it('should ignore events other than saved feedback', async () => {
+    eventService.publish('user-3', 'itinerary.generated', { itineraryId: 'it-1' });
+    await waitForIdle();
+
+    expect(updateUserFeaturesTask).not.toHaveBeenCalled();
+  });
+
+  it('should retry failed updates', async () => {
+    updateUserFeaturesTask
+      .mockRejectedValueOnce(new Error('profile service down'))
+      .mockResolvedValueOnce({ success: true, updated: true });
+
+    saveFeedback('user-4');
+    await waitForIdle();
+
+    expect(updateUserFeaturesTask).toHaveBeenCalledTimes(2);
+    expect(metrics.getAllMetrics().preference_updates.retried).toBe(1);
+    expect(metrics.getAllMetrics().preference_updates.succeeded).toBe(1);
+  });
+
+  it('should dead-letter updates that keep failing', async () => {
+    updateUserFeaturesTask.mockRejectedValue(new Error('database unavailable'));
+
+    saveFeedback('user-5');
+    await waitForIdle();
+
+    expect(updateUserFeaturesTask).toHaveBeenCalledTimes(3);
+    expect(metrics.getAllMetrics().preference_updates.dead_lettered).toBe(1);
+
+    const deadLetter = scheduler.getDeadLetters().pop();
+    expect(deadLetter.payload).toEqual({ userId: 'user-5', authUserId: 'auth-user-5' });
+    expect(deadLetter.attempts).toBe(3);
+    expect(deadLetter.error).toBe('database unavailable');
+  });
+});
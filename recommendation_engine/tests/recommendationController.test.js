@@ -0,0 +1,95 @@
+jest.mock('../src/services/itineraryService', () => ({
+  getItinerary: jest.fn(),
+  getRejectedDestinationIds: jest.fn(),
+  reviseItinerary: jest.fn(),
+  serializeItinerary: jest.fn(itinerary => itinerary)
+}));
+
+jest.mock('../src/services/destinationService', () => ({
+  findNearbyDestinations: jest.fn(),
+  withDestinations: jest.fn(async (candidates) => candidates)
+}));
+
+jest.mock('../src/services/scoringService', () => ({
+  scoreDestinations: jest.fn(async (userId, candidates) =>
+    candidates.map(dest => ({ destinationId: dest.id, score: 0.5 })))
+}));
+
+jest.mock('../src/services/profileService', () => ({
+  getUserSchedule: jest.fn()
+}));
+
+jest.mock('../src/services/constraintSolver', () => ({
+  createOptimizedItinerary: jest.fn(async (scored) => ({
+    items: scored.map(dest => ({ type: 'visit', destinationId: dest.destinationId })),
+    dropped: []
+  }))
+}));
+
+const itineraryService = require('../src/services/itineraryService');
+const destinationService = require('../src/services/destinationService');
+const scoringService = require('../src/services/scoringService');
+const recommendationController = require('../src/api/controllers/recommendationController');
+
+const refine = async (body) => {
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  const next = jest.fn();
+
+  await recommendationController.refineItinerary(
+    { user: { userId: 'user-1' }, params: { itineraryId: 'itinerary-1' }, body, headers: {} },
+    res,
+    next
+  );
+
+  expect(next).not.toHaveBeenCalled();
+  return res;
+};
+
+describe('Refine itinerary', () => {
+  let stored;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    stored = {
+      id: 'itinerary-1',
+      userId: 'user-1',
+      date: '2025-03-15',
+      startTime: '09:00',
+      endTime: '17:00',
+      transportMode: 'walking',
+      context: { location: { latitude: 40.71, longitude: -74.0 } },
+      requestParams: { constraints: { mustInclude: [], pinned: [], exclude: [] } },
+      items: ['a', 'b', 'c'].map(destinationId => ({ type: 'visit', destinationId }))
+    };
+
+    itineraryService.getItinerary.mockImplementation(async () => stored);
+    itineraryService.getRejectedDestinationIds.mockResolvedValue([]);
+    itineraryService.reviseItinerary.mockImplementation(async (itinerary, { items, requestParams }) => {
+      stored = { ...itinerary, items, requestParams };
+      return stored;
+    });
+    destinationService.findNearbyDestinations.mockResolvedValue(['a', 'b', 'c', 'd'].map(id => ({ id })));
+  });
+
+  it('should keep a removed destination out of later refinements', async () => {
+    await refine({ removedDestinations: ['b'] });
+
+    expect(stored.requestParams.constraints.exclude).toEqual(['b']);
+    expect(stored.items.map(item => item.destinationId)).not.toContain('b');
+
+    await refine({ addedConstraints: { endTime: '18:00' } });
+
+    const candidates = scoringService.scoreDestinations.mock.calls[1][1].map(dest => dest.id);
+    expect(candidates).toEqual(['a', 'c', 'd']);
+    expect(stored.requestParams.constraints.exclude).toEqual(['b']);
+  });
+
+  it('should bring a removed destination back when it is pinned again', async () => {
+    await refine({ removedDestinations: ['b'] });
+    await refine({ pinned: ['b'] });
+
+    expect(stored.requestParams.constraints).toMatchObject({ pinned: ['b'], exclude: [] });
+    expect(stored.items.map(item => item.destinationId)).toContain('b');
+  });
+});
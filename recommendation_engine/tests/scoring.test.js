@@ -0,0 +1,107 @@
+const contentFilter = require('../src/services/contentFilter');
+const scoringService = require('../src/services/scoringService');
+const config = require('../src/config/settings');
+
+const destination = (id, overrides = {}) => ({
+  id,
+  categories: [{ id: `cat-${id}`, slug: 'museums', name: 'Museums' }],
+  costLevel: 3,
+  visitDuration: 90,
+  attributes: {},
+  ...overrides
+});
+
+const contentScore = (dest, preferences, context) =>
+  contentFilter.scoreWithPreferences([dest], preferences, context)[0];
+
+describe('Per-user scoring preferences', () => {
+  it('should keep the configured weights for a neutral popularity preference', () => {
+    const weights = scoringService.getScoringWeights({ popularityPreference: 0.5 });
+
+    expect(weights.content).toBeCloseTo(config.PREFERENCE_WEIGHT);
+    expect(weights.popularity).toBeCloseTo(config.POPULARITY_WEIGHT);
+    expect(scoringService.getScoringWeights({}).popularity).toBeCloseTo(config.POPULARITY_WEIGHT);
+  });
+
+  it('should shift weight towards popularity for users who value it', () => {
+    const fan = scoringService.getScoringWeights({ popularityPreference: 1 });
+    const indifferent = scoringService.getScoringWeights({ popularityPreference: 0 });
+    const total = config.PREFERENCE_WEIGHT + config.POPULARITY_WEIGHT;
+
+    expect(fan.popularity).toBeGreaterThan(config.POPULARITY_WEIGHT);
+    expect(fan.content + fan.popularity).toBeCloseTo(total);
+    expect(indifferent.popularity).toBe(0);
+    expect(indifferent.content).toBeCloseTo(total);
+  });
+
+  it('should prefer visits close to the preferred duration', () => {
+    const preferences = { visitDurationPreference: 60 };
+    const short = contentScore(destination('short', { visitDuration: 60 }), preferences);
+    const long = contentScore(destination('long', { visitDuration: 240 }), preferences);
+
+    expect(short.contentFactors.durationScore).toBe(1);
+    expect(long.contentFactors.durationScore).toBeLessThan(0.5);
+  });
+
+  it('should score time of day against the user average', () => {
+    const evening = destination('bar', { attributes: { bestTimeOfDay: 'evening' } });
+    const nightOwl = { timeOfDay: { morning: 0.1, afternoon: 0.3, evening: 0.6 } };
+    const even = { timeOfDay: { morning: 0.33, afternoon: 0.33, evening: 0.33 } };
+
+    expect(contentScore(evening, nightOwl).contentFactors.timeOfDayScore).toBeGreaterThan(0.5);
+    expect(contentScore(evening, even).contentFactors.timeOfDayScore).toBeCloseTo(0.5);
+    expect(contentScore(destination('museum'), nightOwl).contentFactors.timeOfDayScore).toBe(0.5);
+  });
+
+  it('should only apply weather preferences for the day\'s weather', () => {
+    const museum = destination('museum', {
+      categories: [{ id: 'cat-museum', slug: 'museum', name: 'Museum' }]
+    });
+    const preferences = { weatherPreferences: { rainy: ['museum'], sunny: ['park'] } };
+
+    const rainy = contentScore(museum, preferences, { weather: 'rainy' });
+    const sunny = contentScore(museum, preferences, { weather: 'sunny' });
+    const unknown = contentScore(museum, preferences);
+
+    expect(rainy.contentFactors.attributesScore).toBeGreaterThan(sunny.contentFactors.attributesScore);
+    expect(sunny.contentFactors.attributesScore).toBe(unknown.contentFactors.attributesScore);
+  });
+
+  it('should let learned category weights rank liked categories higher', () => {
+    const mixed = destination('mixed', {
+      categories: [
+        { id: 'cat-museums', slug: 'museums' },
+        { id: 'cat-parks', slug: 'parks' }
+      ]
+    });
+    const preferences = { categories: ['museums'] };
+
+    const unweighted = contentScore(mixed, preferences).contentFactors.categoryScore;
+    const weighted = contentScore(mixed, {
+      ...preferences,
+      categoryWeights: { museums: 1.8, parks: 0.4 }
+    }).contentFactors.categoryScore;
+
+    expect(weighted).toBeGreaterThan(unweighted);
+  });
+
+  it('should scale a single category by how strongly it was learned', () => {
+    const museum = destination('museum');
+    const preferences = { categories: ['museums'] };
+    const categoryScore = (weights) => contentScore(museum, { ...preferences, categoryWeights: weights })
+      .contentFactors.categoryScore;
+
+    expect(categoryScore({ museums: 2 })).toBeGreaterThan(categoryScore({ museums: 1.1 }));
+    expect(categoryScore({ museums: 1.1 })).toBeGreaterThan(contentScore(museum, preferences).contentFactors.categoryScore);
+    expect(categoryScore({ museums: 0.4 })).toBeCloseTo(0.4);
+    expect(categoryScore({ museums: 5 })).toBeCloseTo(2);
+  });
+
+  it('should keep unseen categories neutral once weights are learned', () => {
+    const park = destination('park', { categories: [{ id: 'cat-parks', slug: 'parks' }] });
+    const preferences = { categories: ['museums'], categoryWeights: { museums: 1.8, beaches: 0.3 } };
+
+    expect(contentScore(park, preferences).contentFactors.categoryScore).toBe(0.5);
+    expect(contentScore(park, { categoryWeights: { parks: 1.5 } }).contentFactors.categoryScore).toBeCloseTo(0.75);
+  });
+});
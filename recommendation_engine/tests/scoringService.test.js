@@ -0,0 +1,104 @@
+const config = require('../src/config/settings');
+const scoringService = require('../src/services/scoringService');
+const contentFilter = require('../src/services/contentFilter');
+const contextFilter = require('../src/services/contextFilter');
+const collaborativeFilter = require('../src/services/collaborativeFilter');
+const profileService = require('../src/services/profileService');
+const UserPreference = require('../src/models/userPreference');
+
+const destination = (id, popularity, overrides = {}) => ({
+  id,
+  popularity,
+  visitDuration: 60,
+  location: { latitude: 40.7128, longitude: -74.0060 },
+  categories: [{ id: `cat-${id}`, slug: 'parks', name: 'Parks' }],
+  attributes: {},
+  ...overrides
+});
+
+// Content scores and context multipliers per destination ID
+const stubStages = ({ content, context, collaborative = new Map() }) => {
+  jest.spyOn(contentFilter, 'scoreWithPreferences').mockImplementation(destinations => destinations.map(dest => ({
+    destinationId: dest.id,
+    contentScore: content[dest.id],
+    contentFactors: { categoryScore: content[dest.id] }
+  })));
+  jest.spyOn(contextFilter, 'applyContextualAdjustments').mockImplementation(async destinations => destinations.map(dest => ({
+    ...dest,
+    score: dest.score * context[dest.destinationId],
+    reasoning: { contextFactors: [{ type: 'weather', multiplier: context[dest.destinationId] }] }
+  })));
+  jest.spyOn(collaborativeFilter, 'getCollaborativeScores').mockResolvedValue(collaborative);
+};
+
+describe('Scoring pipeline', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(UserPreference, 'findOne').mockResolvedValue(null);
+    jest.spyOn(profileService, 'getUserProfile').mockResolvedValue({ userId: 'user-1', preferences: { categories: [] } });
+  });
+
+  it('should scale the content and popularity blend by the context multiplier', async () => {
+    stubStages({ content: { park: 0.8 }, context: { park: 1.2 } });
+
+    const [scored] = await scoringService.scoreDestinations('user-1', [destination('park', 2)]);
+    const blended = 0.8 * config.PREFERENCE_WEIGHT + 0.4 * config.POPULARITY_WEIGHT;
+    const adjustment = 1 + 0.2 * config.CONTEXT_WEIGHT;
+
+    expect(scored.score).toBeCloseTo(blended * adjustment);
+    expect(scored.reasoning).toMatchObject({ preferenceScore: 0.8, popularityScore: 0.4, contextAdjustment: adjustment });
+  });
+
+  it('should run the context filter on a neutral score', async () => {
+    stubStages({ content: { park: 0.8 }, context: { park: 1 } });
+
+    const [scored] = await scoringService.scoreDestinations('user-1', [destination('park', 2)]);
+    const [[neutral]] = contextFilter.applyContextualAdjustments.mock.calls[0];
+
+    expect(neutral).toMatchObject({ destinationId: 'park', score: 1.0, attributes: { parks: true } });
+    expect(scored.score).toBeCloseTo(0.8 * config.PREFERENCE_WEIGHT + 0.4 * config.POPULARITY_WEIGHT);
+  });
+
+  it('should mix in the collaborative score by its confidence', async () => {
+    stubStages({
+      content: { park: 0.8 },
+      context: { park: 1 },
+      collaborative: new Map([['park', { score: 0.2, confidence: 0.5 }]])
+    });
+
+    const [scored] = await scoringService.scoreDestinations('user-1', [destination('park', 2)]);
+    const blended = 0.8 * config.PREFERENCE_WEIGHT + 0.4 * config.POPULARITY_WEIGHT;
+    const weight = config.CF_WEIGHT * 0.5;
+
+    expect(scored.score).toBeCloseTo(
+      blended * (1 - weight) + 0.2 * (config.PREFERENCE_WEIGHT + config.POPULARITY_WEIGHT) * weight
+    );
+    expect(scored.reasoning.stages.collaborative).toEqual({ score: 0.2, confidence: 0.5, weight });
+  });
+
+  it('should store the inputs and weight of every stage in the reasoning', async () => {
+    stubStages({ content: { park: 0.8 }, context: { park: 0.5 } });
+
+    const [scored] = await scoringService.scoreDestinations('user-1', [destination('park', 2)]);
+
+    expect(scored.reasoning.stages).toEqual({
+      content: { score: 0.8, weight: config.PREFERENCE_WEIGHT, factors: { categoryScore: 0.8 } },
+      popularity: { score: 0.4, weight: config.POPULARITY_WEIGHT },
+      collaborative: { score: null, confidence: 0, weight: 0 },
+      context: { multiplier: 0.5, weight: config.CONTEXT_WEIGHT, adjustment: 1 - 0.5 * config.CONTEXT_WEIGHT }
+    });
+    expect(scored.reasoning.contextFactors).toEqual([{ type: 'weather', multiplier: 0.5 }]);
+  });
+
+  it('should rank destinations by their final score', async () => {
+    // The museum has the better content match, but the context favours the park
+    stubStages({ content: { museum: 0.9, park: 0.6 }, context: { museum: 0.6, park: 1.3 } });
+
+    const scored = await scoringService.scoreDestinations('user-1', [
+      destination('museum', 3),
+      destination('park', 3)
+    ]);
+
+    expect(scored.map(dest => dest.destinationId)).toEqual(['park', 'museum']);
+  });
+});
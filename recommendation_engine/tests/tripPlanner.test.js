@@ -0,0 +1,168 @@
+jest.mock('../src/config/database', () => ({
+  transaction: jest.fn(async (work) => work({ id: 'transaction-1' }))
+}));
+
+jest.mock('../src/models/trip', () => ({
+  create: jest.fn()
+}));
+
+jest.mock('../src/services/profileService', () => ({
+  getUserSchedule: jest.fn()
+}));
+
+jest.mock('../src/services/destinationService', () => ({
+  findNearbyDestinations: jest.fn()
+}));
+
+jest.mock('../src/services/weatherService', () => ({
+  getForecast: jest.fn()
+}));
+
+jest.mock('../src/services/scoringService', () => ({
+  scoreDestinations: jest.fn(async (userId, candidates) => candidates.map(dest => ({
+    destinationId: dest.id,
+    score: dest.score,
+    categories: dest.categories,
+    reasoning: {}
+  })))
+}));
+
+// Two best-scoring candidates per day, in score order
+jest.mock('../src/services/constraintSolver', () => ({
+  createOptimizedItinerary: jest.fn(async (scored) => ({
+    items: [...scored]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 2)
+      .map(dest => ({ type: 'visit', destinationId: dest.destinationId, score: dest.score })),
+    dropped: []
+  }))
+}));
+
+jest.mock('../src/services/itineraryService', () => ({
+  saveItinerary: jest.fn()
+}));
+
+const config = require('../src/config/settings');
+const Trip = require('../src/models/trip');
+const destinationService = require('../src/services/destinationService');
+const constraintSolver = require('../src/services/constraintSolver');
+const itineraryService = require('../src/services/itineraryService');
+const tripPlanner = require('../src/services/tripPlanner');
+const { BadRequestError } = require('../src/utils/errors');
+
+const HOTEL = { latitude: 40.7128, longitude: -74.0060 };
+const LODGE = { latitude: 41.0, longitude: -73.9 };
+
+const request = (overrides = {}) => ({
+  location: HOTEL,
+  startDate: '2025-03-14',
+  endDate: '2025-03-16',
+  startTime: '09:00',
+  endTime: '17:00',
+  ...overrides
+});
+
+const visitedOn = (day) => day.items.map(item => item.destinationId);
+
+describe('Trip planner', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    destinationService.findNearbyDestinations.mockResolvedValue([
+      { id: 'museum-1', score: 0.9, categories: ['museums'] },
+      { id: 'museum-2', score: 0.85, categories: ['museums'] },
+      { id: 'museum-3', score: 0.8, categories: ['museums'] },
+      { id: 'park-1', score: 0.7, categories: ['parks'] },
+      { id: 'park-2', score: 0.6, categories: ['parks'] },
+      { id: 'market-1', score: 0.5, categories: ['markets'] },
+      { id: 'market-2', score: 0.4, categories: ['markets'] }
+    ]);
+    itineraryService.saveItinerary.mockImplementation(async ({ date, items, dropped }) => ({
+      id: `itinerary-${date}`,
+      version: 1,
+      items,
+      dropped
+    }));
+  });
+
+  it('should never schedule a destination twice in one trip', async () => {
+    const trip = await tripPlanner.planTrip('user-1', request());
+
+    expect(trip.days.map(day => day.date)).toEqual(['2025-03-14', '2025-03-15', '2025-03-16']);
+
+    const visited = trip.days.flatMap(visitedOn);
+    expect(visited).toHaveLength(6);
+    expect(new Set(visited).size).toBe(6);
+  });
+
+  it('should score down categories visited on earlier days', async () => {
+    const trip = await tripPlanner.planTrip('user-1', request());
+    const secondDay = constraintSolver.createOptimizedItinerary.mock.calls[1][0];
+    const museum = secondDay.find(dest => dest.destinationId === 'museum-3');
+
+    expect(visitedOn(trip.days[0])).toEqual(['museum-1', 'museum-2']);
+    expect(museum.score).toBeCloseTo(0.8 * Math.pow(config.TRIP_CATEGORY_REPEAT_PENALTY, 2));
+    expect(museum.reasoning.tripBalance).toEqual({
+      categoryRepeats: 2,
+      factor: Math.pow(config.TRIP_CATEGORY_REPEAT_PENALTY, 2)
+    });
+    expect(visitedOn(trip.days[1])).toEqual(['park-1', 'park-2']);
+  });
+
+  it('should apply per-day windows and start days from their lodging', async () => {
+    const trip = await tripPlanner.planTrip('user-1', request({
+      days: [{ date: '2025-03-15', startTime: '11:00', lodging: LODGE }]
+    }));
+
+    expect(trip.days[1]).toMatchObject({ startTime: '11:00', endTime: '17:00', lodging: LODGE });
+    expect(trip.days[2]).toMatchObject({ startTime: '09:00', lodging: null });
+    expect(destinationService.findNearbyDestinations).toHaveBeenCalledTimes(2);
+    expect(destinationService.findNearbyDestinations).toHaveBeenCalledWith(
+      LODGE.latitude, LODGE.longitude, expect.anything(), undefined, expect.anything()
+    );
+    expect(constraintSolver.createOptimizedItinerary.mock.calls[1][1])
+      .toMatchObject({ date: '2025-03-15', startTime: '11:00', startLocation: LODGE });
+  });
+
+  it('should save every day and the trip in one transaction', async () => {
+    const trip = await tripPlanner.planTrip('user-1', request());
+
+    itineraryService.saveItinerary.mock.calls.forEach(([params]) => {
+      expect(params).toMatchObject({ tripId: trip.tripId, transaction: { id: 'transaction-1' } });
+    });
+    expect(Trip.create).toHaveBeenCalledWith(expect.objectContaining({
+      id: trip.tripId,
+      days: trip.days.map(day => expect.objectContaining({ date: day.date, itineraryId: `itinerary-${day.date}` }))
+    }), { transaction: { id: 'transaction-1' } });
+  });
+
+  it('should not create the trip when a day fails to save', async () => {
+    itineraryService.saveItinerary
+      .mockImplementationOnce(async ({ items }) => ({ id: 'itinerary-1', version: 1, items, dropped: [] }))
+      .mockRejectedValueOnce(new Error('insert failed'));
+
+    await expect(tripPlanner.planTrip('user-1', request())).rejects.toThrow('insert failed');
+
+    expect(Trip.create).not.toHaveBeenCalled();
+  });
+
+  describe('trip days', () => {
+    it('should reject an end date before the start date', async () => {
+      await expect(tripPlanner.planTrip('user-1', request({ startDate: '2025-03-16', endDate: '2025-03-14' })))
+        .rejects.toBeInstanceOf(BadRequestError);
+    });
+
+    it('should reject trips longer than MAX_TRIP_DAYS', async () => {
+      const endDate = new Date(Date.UTC(2025, 2, 14 + config.MAX_TRIP_DAYS)).toISOString().split('T')[0];
+
+      await expect(tripPlanner.planTrip('user-1', request({ endDate })))
+        .rejects.toThrow(`at most ${config.MAX_TRIP_DAYS} days`);
+      expect(destinationService.findNearbyDestinations).not.toHaveBeenCalled();
+    });
+
+    it('should reject overrides for dates outside the trip', async () => {
+      await expect(tripPlanner.planTrip('user-1', request({ days: [{ date: '2025-03-20', startTime: '10:00' }] })))
+        .rejects.toMatchObject({ details: { dates: ['2025-03-20'] } });
+    });
+  });
+});
@@ -0,0 +1,128 @@
+jest.mock('axios', () => ({
+  get: jest.fn()
+}));
+
+const axios = require('axios');
+const config = require('../src/config/settings');
+const weatherService = require('../src/services/weatherService');
+
+// Each test uses its own location so forecasts cached by another test don't leak in
+const at = (latitude) => ({ latitude, longitude: -74.0060 });
+
+const openMeteo = (code, max, min, date = '2025-06-01') => ({
+  data: {
+    daily: {
+      time: [date],
+      weathercode: [code],
+      temperature_2m_max: [max],
+      temperature_2m_min: [min]
+    }
+  }
+});
+
+describe('Weather service', () => {
+  const provider = config.WEATHER_PROVIDER;
+
+  beforeEach(() => {
+    axios.get.mockReset();
+  });
+
+  afterEach(() => {
+    config.WEATHER_PROVIDER = provider;
+  });
+
+  describe('fixture provider', () => {
+    it('should default to the fixture provider in tests', () => {
+      expect(provider).toBe('fixture');
+    });
+
+    it('should return the forecast listed for the date', async () => {
+      const forecast = await weatherService.getForecast(at(40.1), '2025-03-15');
+
+      expect(forecast).toEqual({ type: 'rainy', condition: 'rain', temperature: 11, date: '2025-03-15', source: 'fixture' });
+    });
+
+    it('should fall back to the default forecast for other dates', async () => {
+      const forecast = await weatherService.getForecast(at(40.2), new Date('2025-05-02T10:00:00Z'));
+
+      expect(forecast).toMatchObject({ type: 'sunny', condition: 'clear', temperature: 22, date: '2025-05-02' });
+    });
+  });
+
+  describe('http provider', () => {
+    beforeEach(() => {
+      config.WEATHER_PROVIDER = 'http';
+    });
+
+    it('should map the daily weather code and average the temperature', async () => {
+      axios.get.mockResolvedValue(openMeteo(61, 14, 8));
+
+      const forecast = await weatherService.getForecast(at(41.1), '2025-06-01');
+
+      expect(forecast).toEqual({ type: 'rainy', condition: 'rain', temperature: 11, date: '2025-06-01', source: 'http' });
+      expect(axios.get).toHaveBeenCalledWith(config.WEATHER_API_URL, expect.objectContaining({
+        params: expect.objectContaining({ latitude: 41.1, start_date: '2025-06-01', end_date: '2025-06-01' }),
+        timeout: config.WEATHER_API_TIMEOUT_MS
+      }));
+    });
+
+    it('should serve repeated lookups from the cache', async () => {
+      axios.get.mockResolvedValue(openMeteo(3, 20, 14));
+
+      const first = await weatherService.getForecast(at(41.2), '2025-06-01');
+      const second = await weatherService.getForecast(at(41.2), '2025-06-01');
+
+      expect(second).toEqual(first);
+      expect(first.type).toBe('cloudy');
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return no forecast for dates beyond the forecast horizon', async () => {
+      axios.get.mockResolvedValue({ data: { daily: { time: [] } } });
+
+      expect(await weatherService.getForecast(at(41.3), '2026-01-01')).toBeNull();
+
+      // Nothing was cached, so the date is looked up again once it comes into range
+      axios.get.mockResolvedValue(openMeteo(0, 5, -3, '2026-01-01'));
+      expect(await weatherService.getForecast(at(41.3), '2026-01-01')).toMatchObject({ type: 'cold', temperature: 1 });
+    });
+
+    it('should continue without weather when the API fails', async () => {
+      axios.get.mockRejectedValue(new Error('timeout of 5000ms exceeded'));
+
+      expect(await weatherService.getForecast(at(41.4), '2025-06-01')).toBeNull();
+    });
+  });
+
+  it('should use an override instead of the provider', async () => {
+    config.WEATHER_PROVIDER = 'http';
+
+    expect(await weatherService.getForecast(at(42.1), '2025-06-01', 'snow'))
+      .toMatchObject({ type: 'snow', temperature: null, source: 'override' });
+    expect(await weatherService.getForecast(at(42.1), '2025-06-01', { condition: 'overcast', temperature: 35 }))
+      .toMatchObject({ type: 'hot', condition: 'overcast', temperature: 35, source: 'override' });
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  it('should skip the lookup for an unknown provider', async () => {
+    config.WEATHER_PROVIDER = 'satellite';
+
+    expect(await weatherService.getForecast(at(42.2), '2025-06-01')).toBeNull();
+  });
+
+  describe('normalizeWeather', () => {
+    it.each([
+      ['light drizzle', 15, 'rainy'],
+      ['thunderstorm', 32, 'rainy'],
+      ['blizzard', -5, 'snow'],
+      ['clear', config.WEATHER_COLD_THRESHOLD_C, 'cold'],
+      ['clear', config.WEATHER_HOT_THRESHOLD_C, 'hot'],
+      ['fog', 15, 'cloudy'],
+      ['clear', null, 'sunny'],
+      ['hot', 10, 'hot'],
+      [undefined, undefined, 'sunny']
+    ])('should treat %s at %s°C as %s', (condition, temperature, type) => {
+      expect(weatherService.normalizeWeather(condition, temperature)).toBe(type);
+    });
+  });
+});